@@ -0,0 +1,232 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Analytics Page
+ * ==============================================================================
+ *
+ * Price, daily volume, TVL and fee APR for one pool over a time window,
+ * rebuilt from the pool's transaction history (sdk/analytics.js) and drawn
+ * with the SVG charts in charts.js. Read-only: no wallet needed.
+ * ==============================================================================
+ */
+
+import {
+  PoolRegistry,
+  poolLabel,
+  NETWORKS,
+  formatUnits,
+  DAY_MS,
+  reserveSeries,
+  spotPrice,
+  dailyVolume,
+  feeGrowth,
+  tvl,
+  feeApr
+} from './sdk/index.js';
+import { activeNetwork as NETWORK, switchNetwork, networkLabel } from './network.js';
+import { lineChart, barChart } from './charts.js';
+import poolManifest from './config/pools.json';
+
+const CONFIG = {
+  // Shared with the swap and liquidity pages so all show the same pool
+  poolStorageKey: 'stacks-dex:pool',
+  // Calls read per window before giving up on older history
+  maxEntries: 2000,
+  defaultWindowDays: 30,
+};
+
+const clientOptions = { network: NETWORK.id, apiUrl: NETWORK.apiUrl };
+const registry = new PoolRegistry(poolManifest[NETWORK.id]);
+
+function loadSelectedPoolId() {
+  try {
+    const saved = localStorage.getItem(CONFIG.poolStorageKey);
+    if (saved && registry.get(saved)) return saved;
+  } catch (e) {
+    // Storage unavailable - use default
+  }
+  return registry.getDefault()?.id ?? null;
+}
+
+// Null when the active network has no registered pools
+const initialPoolId = loadSelectedPoolId();
+let pool = initialPoolId ? registry.createClient(initialPoolId, clientOptions) : null;
+let windowDays = CONFIG.defaultWindowDays;
+// Bumped per load so a slow response for an old pool or window is dropped
+let loadRequest = 0;
+
+// Format base units with decimals
+function formatAmount(amount, decimals) {
+  return formatUnits(amount, decimals, { maxDecimals: Math.min(decimals, 4), group: true });
+}
+
+// Base units to a plain number, for chart geometry only
+function toChartValue(amount, decimals) {
+  return Number(formatUnits(amount, decimals));
+}
+
+function formatChartValue(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: value < 1 ? 6 : 2 });
+}
+
+// Load history for the window and render every stat and chart
+async function loadAnalytics() {
+  if (!pool) return;
+
+  const client = pool;
+  const request = ++loadRequest;
+  const to = Date.now();
+  let from = to - windowDays * DAY_MS;
+  showStatus('Loading pool history...', 'pending');
+
+  try {
+    const [reserves, entries] = await Promise.all([
+      client.getReserves(),
+      client.getPoolHistory({ since: from, maxEntries: CONFIG.maxEntries })
+    ]);
+    if (request !== loadRequest) return;
+
+    const series = reserveSeries(entries, reserves, client);
+    const notes = [];
+
+    // Stats cover only the span the history reaches
+    if (entries.length >= CONFIG.maxEntries) {
+      from = Math.max(from, entries[entries.length - 1].time ?? from);
+      notes.push('History limit reached: showing the last ' + entries.length + ' calls, since ' + formatDate(from) + '.');
+    }
+    const initialized = series.points.find(p => p.action === 'initialize');
+    if (initialized?.time) {
+      from = Math.max(from, initialized.time);
+      notes.push('Pool initialized ' + formatDate(initialized.time) + '.');
+    }
+
+    renderStats(client, reserves, entries, series, from, to);
+    renderCharts(client, entries, series, from, to);
+    document.getElementById('analyticsNote').textContent = notes.join(' ');
+    clearStatus();
+  } catch (error) {
+    if (request !== loadRequest) return;
+    console.error('Failed to load analytics:', error);
+    showStatus('Failed to load pool history: ' + error.message, 'error');
+  }
+}
+
+function renderStats(client, reserves, entries, series, from, to) {
+  const { tokenX, tokenY } = client;
+  const price = spotPrice(reserves, client);
+  const value = tvl(reserves);
+  const volume = dailyVolume(entries, client).reduce(
+    (total, day) => ({ x: total.x + day.x, y: total.y + day.y, swaps: total.swaps + day.swaps }),
+    { x: 0n, y: 0n, swaps: 0 }
+  );
+  const fees = feeGrowth(entries, client);
+  const apr = feeApr({ fees, series, from, to });
+
+  setText('price', price === null ? '-' : formatUnits(price, tokenY.decimals, { maxDecimals: 6, group: true }) + ' ' + tokenY.symbol);
+  setText('tvlX', formatAmount(value.inX, tokenX.decimals) + ' ' + tokenX.symbol);
+  setText('tvlY', formatAmount(value.inY, tokenY.decimals) + ' ' + tokenY.symbol);
+  setText('volumeX', formatAmount(volume.x, tokenX.decimals));
+  setText('volumeY', formatAmount(volume.y, tokenY.decimals));
+  setText('swapCount', String(volume.swaps));
+  setText('feesX', formatAmount(fees.x, tokenX.decimals));
+  setText('feesY', formatAmount(fees.y, tokenY.decimals));
+  setText('feeApr', apr === null ? '-' : apr.toFixed(2) + '%');
+}
+
+function renderCharts(client, entries, series, from, to) {
+  const { tokenX, tokenY } = client;
+
+  // The state entering the window, then every change inside it
+  const inWindow = series.points.filter(p => p.time !== null && p.time >= from);
+  const before = series.points.filter(p => p.time === null || p.time < from).pop() || series.start;
+  const states = [{ ...before, time: from }, ...inWindow].filter(p => p.x > 0n);
+
+  document.getElementById('priceChart').innerHTML = lineChart(
+    states.map(p => ({ t: p.time, v: toChartValue(spotPrice(p, client), tokenY.decimals) })),
+    { formatValue: formatChartValue, from, to }
+  );
+  document.getElementById('tvlChart').innerHTML = lineChart(
+    states.map(p => ({ t: p.time, v: toChartValue(tvl(p).inY, tokenY.decimals) })),
+    { formatValue: formatChartValue, from, to }
+  );
+
+  const days = dailyVolume(entries, client).filter(day => day.day >= formatDate(from));
+  document.getElementById('volumeXChart').innerHTML = barChart(
+    days.map(day => ({ label: day.day, v: toChartValue(day.x, tokenX.decimals) })),
+    { formatValue: formatChartValue }
+  );
+  document.getElementById('volumeYChart').innerHTML = barChart(
+    days.map(day => ({ label: day.day, v: toChartValue(day.y, tokenY.decimals) })),
+    { formatValue: formatChartValue }
+  );
+}
+
+function formatDate(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function setText(id, text) {
+  document.getElementById(id).textContent = text;
+}
+
+// Render pool options and token symbols for the selected pool
+function renderPoolSelector() {
+  if (!pool) {
+    showStatus('No pools are registered for ' + NETWORK.label + '. Add its deployments to src/config/pools.json.', 'error');
+    return;
+  }
+
+  const select = document.getElementById('poolSelect');
+  select.innerHTML = registry.list().map(p =>
+    '<option value="' + p.id + '"' + (p.id === pool.id ? ' selected' : '') + '>' + poolLabel(p) + '</option>'
+  ).join('');
+
+  document.querySelectorAll('[data-symbol="x"]').forEach(el => { el.textContent = pool.tokenX.symbol; });
+  document.querySelectorAll('[data-symbol="y"]').forEach(el => { el.textContent = pool.tokenY.symbol; });
+}
+
+// Switch to another registered pool
+async function selectPool(poolId) {
+  if (poolId === pool.id || !registry.get(poolId)) return;
+
+  pool = registry.createClient(poolId, clientOptions);
+  try {
+    localStorage.setItem(CONFIG.poolStorageKey, poolId);
+  } catch (e) {
+    // Storage unavailable - selection only lasts for this page
+  }
+
+  renderPoolSelector();
+  await loadAnalytics();
+}
+
+// Render the network switcher; switching reloads the page
+function renderNetworkSelector() {
+  const select = document.getElementById('networkSelect');
+  select.innerHTML = Object.values(NETWORKS).map(n =>
+    '<option value="' + n.id + '"' + (n.id === NETWORK.id ? ' selected' : '') + '>' +
+    (n.id === NETWORK.id ? networkLabel(NETWORK) : n.label) + '</option>'
+  ).join('');
+}
+
+function showStatus(message, type) {
+  const el = document.getElementById('status');
+  el.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+}
+
+function clearStatus() {
+  document.getElementById('status').innerHTML = '';
+}
+
+// Event listeners
+document.getElementById('networkSelect').addEventListener('change', (e) => switchNetwork(e.target.value));
+document.getElementById('poolSelect').addEventListener('change', (e) => selectPool(e.target.value));
+document.getElementById('windowSelect').addEventListener('change', (e) => {
+  windowDays = Number(e.target.value);
+  loadAnalytics();
+});
+
+// Initialize
+document.getElementById('windowSelect').value = String(CONFIG.defaultWindowDays);
+renderNetworkSelector();
+renderPoolSelector();
+loadAnalytics();
@@ -24,67 +24,78 @@
  * - Browser extensions (Leather) use their own provider APIs
  * - WalletConnect v2 uses stx_* JSON-RPC methods for mobile
  * - Frontend builds transactions, wallet signs them
+ * - Every wallet (plus Asigna multisig, watch-only and a dev mock) is a
+ *   WalletAdapter in src/wallets; swap code only talks to state.wallet
  * ==============================================================================
  */
 
-import UniversalProvider from '@walletconnect/universal-provider';
-import { 
-  makeUnsignedContractCall,
-  uintCV,
-  principalCV,
-  contractPrincipalCV,
-  standardPrincipalCV,
-  PostConditionMode,
-  FungibleConditionCode,
-  makeStandardFungiblePostCondition,
-  AnchorMode,
-  deserializeTransaction,
-  broadcastTransaction,
-  createAssetInfo
-} from '@stacks/transactions';
 import { StacksMainnet, StacksTestnet } from '@stacks/network';
-import { openContractCall } from '@stacks/connect';
+import {
+  PoolRegistry,
+  poolLabel,
+  Router,
+  findRoutes,
+  selectBestRoute,
+  selectBestRouteForOutput,
+  routeLimits,
+  describeRoute,
+  NETWORKS,
+  explorerTxUrl,
+  isNetworkAddress,
+  TxTracker,
+  isFinalStatus,
+  ChainWatcher,
+  FEE_TIERS,
+  FEE_TIER_LABELS,
+  estimateCallFees,
+  fetchAccountNonces,
+  replaceTransaction,
+  parseErrorCode,
+  describePoolError,
+  HISTORY_LABELS,
+  exportHistory,
+  parseUnits,
+  formatUnits,
+  percentToBps,
+  applySlippage,
+  addSlippage,
+  priceChange
+} from './sdk/index.js';
+import { activeNetwork as NETWORK, switchNetwork, networkLabel } from './network.js';
+import { createWalletAdapters } from './wallets/index.js';
+import poolManifest from './config/pools.json';
 
 // ==============================================================================
 // CONFIGURATION
 // ==============================================================================
 
 const CONFIG = {
-  // Network configuration - MAINNET
-  network: 'mainnet',
+  // The network (mainnet / testnet / devnet, optional custom node) lives in
+  // src/network.js and is switched from the settings modal
   
   // REOWN AppKit Project ID
   projectId: '904d5b805622ae67732d359178980e74',
   
-  // Pool contract - V3 with bidirectional swaps
-  poolContract: {
-    address: 'SP31G2FZ5JN87BATZMP4ZRYE5F7WZQDNEXJ7G7X97',
-    name: 'pool-lp'
+  // Pools, token pairs and fees live in src/config/pools.json, per network
+  storageKeys: {
+    pool: 'stacks-dex:pool',
+    router: 'stacks-dex:router',
+    pending: 'stacks-dex:pending',
+    feeTier: 'stacks-dex:fee-tier'
   },
   
-  // Token pair
-  tokenX: {
-    address: 'SP102V8P0F7JX67ARQ77WEA3D3CFB5XW39REDT0AM',
-    name: 'token-alex',
-    symbol: 'ALEX',
-    decimals: 8,
-    assetName: 'alex'
-  },
-  tokenY: {
-    address: 'SP2C2YFP12AJZB4MABJBAJ55XECVS7E4PMMZ89YZR',
-    name: 'usda-token',
-    symbol: 'USDA',
-    decimals: 6,
-    assetName: 'usda'
-  },
-  
-  // DEX parameters
-  feeBps: 30,
-  bpsDenom: 10000,
-  
   // Default settings
   defaultSlippage: 0.5,
   defaultDeadlineBlocks: 20,
+  historyPageSize: 10,
+  // An export reads at most this many calls, the most recent
+  exportMaxEntries: 5000,
+  // Watcher events are batched for this long before re-reading the chain
+  liveRefreshDelay: 500,
+  // Pending-aware quotes flag a difference from the confirmed quote above this percent
+  pendingWarning: 1,
+  // The network fee shown in the swap details is re-estimated once typing pauses this long
+  feeEstimateDelay: 400,
   
   // App metadata
   metadata: {
@@ -95,13 +106,86 @@ const CONFIG = {
   }
 };
 
-// Stacks network instance
-const stacksNetwork = CONFIG.network === 'mainnet' 
-  ? new StacksMainnet() 
-  : new StacksTestnet();
+// Stacks network instance (devnet and custom nodes keep the testnet chain id)
+const stacksNetwork = NETWORK.chain === 'mainnet'
+  ? new StacksMainnet({ url: NETWORK.apiUrl })
+  : new StacksTestnet({ url: NETWORK.apiUrl });
+
+// Options shared by every PoolClient on this page
+const clientOptions = { network: NETWORK.id, apiUrl: NETWORK.apiUrl };
+
+// Pools registered for the active network (src/config/pools.json)
+const registry = new PoolRegistry(poolManifest[NETWORK.id]);
+
+/**
+ * Restore the last selected pool, falling back to the manifest default.
+ * Null when the active network has no registered pools.
+ */
+function loadSelectedPoolId() {
+  try {
+    const saved = localStorage.getItem(CONFIG.storageKeys.pool);
+    if (saved && registry.get(saved)) return saved;
+  } catch (e) {
+    // Storage unavailable (private mode) - use default
+  }
+  return registry.getDefault()?.id ?? null;
+}
+
+// Headless client for the selected pool (quotes, read-only calls, contract-call builders)
+const initialPoolId = loadSelectedPoolId();
+let pool = initialPoolId ? registry.createClient(initialPoolId, clientOptions) : null;
+
+// Multi-hop router across every registered pool
+const router = new Router(registry, clientOptions);
+
+// Follows submitted transactions until they confirm; pending ones survive reloads
+const txTracker = new TxTracker({
+  apiUrl: NETWORK.apiUrl,
+  network: NETWORK.id,
+  storage: getStorage(),
+  onUpdate: handleTxUpdate
+});
+
+// Re-reads reserves and balances as blocks and pool transactions land
+const chainWatcher = new ChainWatcher({
+  apiUrl: NETWORK.apiUrl,
+  onBlock: handleNewBlock,
+  onAddressTx: handleAddressTx,
+  onModeChange: renderLiveBadge
+});
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+}
+
+function loadRouterEnabled() {
+  try {
+    return localStorage.getItem(CONFIG.storageKeys.router) === 'on';
+  } catch (e) {
+    return false;
+  }
+}
+
+function loadFeeTier() {
+  try {
+    const tier = localStorage.getItem(CONFIG.storageKeys.feeTier);
+    return FEE_TIERS.includes(tier) ? tier : 'standard';
+  } catch (e) {
+    return 'standard';
+  }
+}
 
-// Stacks chain identifier for WalletConnect
-const STACKS_CHAIN_ID = CONFIG.network === 'mainnet' ? 'stacks:1' : 'stacks:2147483648';
+function loadPendingAware() {
+  try {
+    return localStorage.getItem(CONFIG.storageKeys.pending) === 'on';
+  } catch (e) {
+    return false;
+  }
+}
 
 // ==============================================================================
 // STATE
@@ -110,19 +194,31 @@ const STACKS_CHAIN_ID = CONFIG.network === 'mainnet' ? 'stacks:1' : 'stacks:2147
 let state = {
   connected: false,
   address: null,
-  provider: null,
-  providerType: null, // 'leather', 'xverse', 'walletconnect'
-  session: null,
-  balanceX: 0,
-  balanceY: 0,
-  reserveX: 0,
-  reserveY: 0,
+  wallet: null, // connected WalletAdapter (src/wallets)
+  // Amounts are BigInt base units (sdk/amounts.js)
+  balanceX: 0n,
+  balanceY: 0n,
+  reserveX: 0n,
+  reserveY: 0n,
   slippage: CONFIG.defaultSlippage,
   deadlineBlocks: CONFIG.defaultDeadlineBlocks,
+  feeTier: loadFeeTier(), // 'low', 'standard' or 'fast' (sdk/fees.js)
+  networkFees: null, // micro-STX per tier for the quoted swap, summed over its calls
   inputAmount: '',
   outputAmount: '',
   currentBlockHeight: 0,
-  swapDirection: true // true = X->Y, false = Y->X
+  swapDirection: true, // true = X->Y, false = Y->X
+  exactOutput: false, // true once the user types the amount to receive
+  quoteAnchor: null, // the untyped side of the quote when the user typed, bigint
+  quoteMoved: null, // percent the quote has worsened past slippage since then
+  poolId: initialPoolId,
+  useRouter: loadRouterEnabled(), // route across all pools instead of the selected one
+  routeReserves: {}, // pool id -> { x, y }, loaded when routing is enabled
+  accountNonces: null, // fetchAccountNonces for the connected address
+  pendingAware: loadPendingAware(), // also quote against the pool's mempool calls
+  pending: null, // simulatePending result for the selected pool, when pendingAware
+  historyPage: 0,
+  historyOffsets: [0] // API offset each history page starts at; null past the last
 };
 
 // ==============================================================================
@@ -137,6 +233,8 @@ const elements = {
   walletAddress: document.getElementById('wallet-address'),
   inputAmount: document.getElementById('input-amount'),
   outputAmount: document.getElementById('output-amount'),
+  inputLabel: document.getElementById('input-label'),
+  outputLabel: document.getElementById('output-label'),
   maxBtn: document.getElementById('max-btn'),
   swapBtn: document.getElementById('swap-btn'),
   swapDetails: document.getElementById('swap-details'),
@@ -145,7 +243,10 @@ const elements = {
   exchangeRate: document.getElementById('exchange-rate'),
   dexFee: document.getElementById('dex-fee'),
   minReceived: document.getElementById('min-received'),
+  minReceivedLabel: document.getElementById('min-received-label'),
   slippageDisplay: document.getElementById('slippage-display'),
+  networkFee: document.getElementById('network-fee'),
+  feeTierBtns: document.querySelectorAll('.fee-tier-btn'),
   priceImpact: document.getElementById('price-impact'),
   settingsBtn: document.getElementById('settings-btn'),
   settingsModal: document.getElementById('settings-modal'),
@@ -156,7 +257,34 @@ const elements = {
   statusMessage: document.getElementById('status-message'),
   swapDirectionBtn: document.getElementById('swap-direction-btn'),
   tokenXSymbol: document.getElementById('token-x-symbol'),
-  tokenYSymbol: document.getElementById('token-y-symbol')
+  tokenYSymbol: document.getElementById('token-y-symbol'),
+  poolSelect: document.getElementById('pool-select'),
+  dexFeeLabel: document.getElementById('dex-fee-label'),
+  routeRow: document.getElementById('route-row'),
+  routePath: document.getElementById('route-path'),
+  routerToggle: document.getElementById('router-toggle'),
+  pendingRow: document.getElementById('pending-row'),
+  pendingLabel: document.getElementById('pending-label'),
+  pendingQuote: document.getElementById('pending-quote'),
+  pendingWarning: document.getElementById('pending-warning'),
+  pendingToggle: document.getElementById('pending-toggle'),
+  networkSelect: document.getElementById('network-select'),
+  nodeUrl: document.getElementById('node-url'),
+  networkBadge: document.getElementById('network-badge'),
+  liveBadge: document.getElementById('live-badge'),
+  quoteMoved: document.getElementById('quote-moved'),
+  quoteMovedText: document.getElementById('quote-moved-text'),
+  quoteAcceptBtn: document.getElementById('quote-accept-btn'),
+  txList: document.getElementById('tx-list'),
+  historyCard: document.getElementById('history-card'),
+  historyFilter: document.getElementById('history-filter'),
+  historyList: document.getElementById('history-list'),
+  historyPrev: document.getElementById('history-prev'),
+  historyNext: document.getElementById('history-next'),
+  historyPageLabel: document.getElementById('history-page'),
+  exportLayout: document.getElementById('export-layout'),
+  exportFormat: document.getElementById('export-format'),
+  exportBtn: document.getElementById('export-btn')
 };
 
 // ==============================================================================
@@ -164,18 +292,21 @@ const elements = {
 // ==============================================================================
 
 function formatAmount(amount, decimals = 6) {
-  const value = Number(amount) / Math.pow(10, decimals);
-  if (value === 0) return '0.00';
-  if (value < 0.000001) return '<0.000001';
-  return value.toLocaleString('en-US', {
-    minimumFractionDigits: 2,
-    maximumFractionDigits: 6
-  });
+  if (BigInt(amount) === 0n) return '0.00';
+  const text = formatUnits(amount, decimals, { maxDecimals: 6, minDecimals: 2, group: true });
+  return /^[0.,]+$/.test(text) ? '<0.000001' : text;
 }
 
+/**
+ * Base units typed in an amount field, or null when the input is not a
+ * valid amount for the token
+ */
 function parseAmount(input, decimals = 6) {
-  const value = parseFloat(input) || 0;
-  return Math.floor(value * Math.pow(10, decimals));
+  try {
+    return parseUnits(input, decimals);
+  } catch (e) {
+    return null;
+  }
 }
 
 function truncateAddress(address) {
@@ -193,51 +324,41 @@ function hideStatus() {
   elements.statusMessage.classList.add('hidden');
 }
 
-function bytesToHex(bytes) {
-  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
-}
-
-function hexToBytes(hex) {
-  const cleanHex = hex.startsWith('0x') ? hex.slice(2) : hex;
-  const bytes = new Uint8Array(cleanHex.length / 2);
-  for (let i = 0; i < cleanHex.length; i += 2) {
-    bytes[i / 2] = parseInt(cleanHex.substr(i, 2), 16);
-  }
-  return bytes;
-}
-
 // ==============================================================================
-// WALLET DETECTION
+// WALLETS
 // ==============================================================================
 
+// Leather, Xverse, Asigna, WalletConnect and watch-only behind one interface
+// (src/wallets); the mock wallet is offered in dev builds only
+const walletAdapters = createWalletAdapters({
+  network: NETWORK,
+  stacksNetwork,
+  walletConnect: { projectId: CONFIG.projectId, metadata: CONFIG.metadata },
+  requestAddress: async () => window.prompt(`Stacks address to watch (${NETWORK.label})`),
+  includeMock: import.meta.env.DEV
+});
+
+// Unsubscribe functions for the connected wallet's events
+let walletSubscriptions = [];
+
 /**
- * Detect available wallet providers
+ * Wallets usable in this browser
  */
 function detectWallets() {
-  const wallets = [];
-  
-  // Check for Leather (browser extension)
-  if (typeof window !== 'undefined' && window.LeatherProvider) {
-    wallets.push({ id: 'leather', name: 'Leather', icon: '🦊', provider: window.LeatherProvider });
-  }
-  
-  // Check for Xverse (browser extension)
-  if (typeof window !== 'undefined' && (window.XverseProviders?.StacksProvider || window.btc)) {
-    wallets.push({ id: 'xverse', name: 'Xverse', icon: '🟠', provider: window.XverseProviders?.StacksProvider });
-  }
-  
-  // WalletConnect is always available as fallback
-  wallets.push({ id: 'walletconnect', name: 'WalletConnect', icon: '🔗', provider: null });
-  
-  return wallets;
+  return walletAdapters.filter(wallet => wallet.isAvailable());
+}
+
+function getWalletAdapter(walletId) {
+  return walletAdapters.find(wallet => wallet.id === walletId) || null;
 }
 
+// Show the pairing QR code whenever WalletConnect asks for one
+getWalletAdapter('walletconnect')?.on('display_uri', showQRModal);
+
 // ==============================================================================
 // WALLET MODAL UI
 // ==============================================================================
 
-let universalProvider = null;
-
 /**
  * Show wallet selection modal
  */
@@ -262,7 +383,7 @@ function showWalletModal() {
     <button class="wallet-option" data-wallet="${w.id}">
       <span class="wallet-icon">${w.icon}</span>
       <span class="wallet-name">${w.name}</span>
-      ${w.id !== 'walletconnect' ? '<span class="wallet-badge">Detected</span>' : '<span class="wallet-badge secondary">QR Code</span>'}
+      <span class="wallet-badge${w.badge === 'Detected' ? '' : ' secondary'}">${w.badge}</span>
     </button>
   `).join('');
   
@@ -302,356 +423,9 @@ function closeWalletModal() {
 window.closeWalletModal = closeWalletModal;
 
 // ==============================================================================
-// LEATHER WALLET CONNECTION (Browser Extension)
-// ==============================================================================
-
-async function connectWithLeather() {
-  if (!window.LeatherProvider) {
-    throw new Error('Leather wallet not installed. Please install from leather.io');
-  }
-  
-  showStatus('Connecting to Leather...', 'pending');
-  
-  try {
-    // Request addresses using Leather's API
-    const response = await window.LeatherProvider.request('getAddresses');
-    console.log('Leather response:', response);
-    
-    if (response.result && response.result.addresses) {
-      // Find Stacks address
-      const stacksAddress = response.result.addresses.find(addr => 
-        addr.symbol === 'STX' && 
-        (CONFIG.network === 'mainnet' ? addr.address.startsWith('SP') : addr.address.startsWith('ST'))
-      );
-      
-      if (stacksAddress) {
-        state.address = stacksAddress.address;
-        state.provider = window.LeatherProvider;
-        state.providerType = 'leather';
-        state.connected = true;
-        
-        hideStatus();
-        showStatus('Connected to Leather!', 'success');
-        setTimeout(hideStatus, 2000);
-        
-        updateUI();
-        await Promise.all([fetchBalances(), fetchReserves()]);
-        return;
-      }
-    }
-    
-    throw new Error('No Stacks address found in Leather wallet');
-    
-  } catch (error) {
-    console.error('Leather connection error:', error);
-    throw error;
-  }
-}
-
-/**
- * Execute contract call with Leather using @stacks/connect openContractCall
- * This is the standard way to interact with Leather wallet
- * 
- * swap-x-for-y signature:
- *   (token-x trait_reference, token-y trait_reference, dx uint128, min-dy uint128, recipient principal, deadline uint128)
- */
-async function executeWithLeather(swapParams) {
-  const { functionName, amountIn, minAmountOut, deadline, inputToken, outputToken } = swapParams;
-  
-  // Contract always expects token-x (ALEX) first, then token-y (USDA)
-  // Regardless of swap direction
-  const tokenX = CONFIG.tokenX;
-  const tokenY = CONFIG.tokenY;
-  
-  console.log('Executing Leather swap with @stacks/connect:', {
-    functionName,
-    amountIn: amountIn.toString(),
-    minAmountOut: minAmountOut.toString(),
-    deadline,
-    tokenX: `${tokenX.address}.${tokenX.name}`,
-    tokenY: `${tokenY.address}.${tokenY.name}`,
-    recipient: state.address
-  });
-  
-  return new Promise((resolve, reject) => {
-    openContractCall({
-      contractAddress: CONFIG.poolContract.address,
-      contractName: CONFIG.poolContract.name,
-      functionName: functionName,
-      functionArgs: [
-        // Always token-x first, then token-y (contract signature)
-        contractPrincipalCV(tokenX.address, tokenX.name),
-        contractPrincipalCV(tokenY.address, tokenY.name),
-        uintCV(amountIn),
-        uintCV(minAmountOut),
-        standardPrincipalCV(state.address),
-        uintCV(deadline)
-      ],
-      network: stacksNetwork,
-      postConditionMode: PostConditionMode.Allow,
-      postConditions: [],
-      onFinish: (data) => {
-        console.log('Transaction finished:', data);
-        resolve(data.txId);
-      },
-      onCancel: () => {
-        reject(new Error('Transaction cancelled by user'));
-      }
-    });
-  });
-}
-
-/**
- * Sign pre-built transaction with Leather (fallback)
- */
-async function signWithLeather(unsignedTx) {
-  const serializedTx = bytesToHex(unsignedTx.serialize());
-  
-  const response = await window.LeatherProvider.request('stx_signTransaction', {
-    transaction: serializedTx,
-    network: CONFIG.network
-  });
-  
-  console.log('Leather sign response:', response);
-  
-  if (response.result) {
-    if (response.result.txId || response.result.txid) {
-      return response.result.txId || response.result.txid;
-    }
-    const signedTxHex = response.result.transaction || response.result;
-    const signedTx = deserializeTransaction(hexToBytes(signedTxHex));
-    const broadcastResult = await broadcastTransaction(signedTx, stacksNetwork);
-    
-    if (broadcastResult.error) {
-      throw new Error(broadcastResult.reason || 'Broadcast failed');
-    }
-    return broadcastResult.txid;
-  }
-  
-  throw new Error('Signing failed');
-}
-
-// ==============================================================================
-// XVERSE WALLET CONNECTION (Browser Extension)
-// ==============================================================================
-
-async function connectWithXverse() {
-  // Xverse uses sats-connect library or direct provider
-  showStatus('Connecting to Xverse...', 'pending');
-  
-  try {
-    // Try using the direct provider first
-    let provider = window.XverseProviders?.StacksProvider;
-    
-    if (!provider) {
-      throw new Error('Xverse wallet not installed. Please install from xverse.app');
-    }
-    
-    const response = await provider.request('getAddresses', {
-      purposes: ['stacks']
-    });
-    
-    console.log('Xverse response:', response);
-    
-    if (response.result && response.result.addresses) {
-      const stacksAddress = response.result.addresses.find(addr => 
-        addr.purpose === 'stacks' &&
-        (CONFIG.network === 'mainnet' ? addr.address.startsWith('SP') : addr.address.startsWith('ST'))
-      );
-      
-      if (stacksAddress) {
-        state.address = stacksAddress.address;
-        state.provider = provider;
-        state.providerType = 'xverse';
-        state.connected = true;
-        
-        hideStatus();
-        showStatus('Connected to Xverse!', 'success');
-        setTimeout(hideStatus, 2000);
-        
-        updateUI();
-        await Promise.all([fetchBalances(), fetchReserves()]);
-        return;
-      }
-    }
-    
-    throw new Error('No Stacks address found in Xverse wallet');
-    
-  } catch (error) {
-    console.error('Xverse connection error:', error);
-    throw error;
-  }
-}
-
-/**
- * Execute contract call with Xverse
- */
-async function executeWithXverse(swapParams) {
-  const { functionName, amountIn, minAmountOut, deadline, inputToken, outputToken } = swapParams;
-  const provider = window.XverseProviders?.StacksProvider;
-  
-  if (!provider) {
-    throw new Error('Xverse provider not available');
-  }
-  
-  const response = await provider.request('stx_callContract', {
-    contract: `${CONFIG.poolContract.address}.${CONFIG.poolContract.name}`,
-    functionName: functionName,
-    functionArgs: [
-      { type: 'uint128', value: amountIn.toString() },
-      { type: 'uint128', value: minAmountOut.toString() },
-      { type: 'uint128', value: deadline.toString() },
-      { type: 'principal', value: `${inputToken.address}.${inputToken.name}` },
-      { type: 'principal', value: `${outputToken.address}.${outputToken.name}` }
-    ],
-    network: CONFIG.network,
-    postConditionMode: 'deny',
-    postConditions: [
-      {
-        type: 'ft-postcondition',
-        address: state.address,
-        conditionCode: 'eq',
-        amount: amountIn.toString(),
-        asset: `${inputToken.address}.${inputToken.name}::${inputToken.assetName}`
-      }
-    ]
-  });
-  
-  console.log('Xverse contract call response:', response);
-  
-  if (response.result) {
-    return response.result.txid || response.result.txId;
-  }
-  
-  throw new Error('Contract call failed');
-}
-
-/**
- * Sign transaction with Xverse (fallback)
- */
-async function signWithXverse(unsignedTx) {
-  const provider = window.XverseProviders?.StacksProvider;
-  const serializedTx = bytesToHex(unsignedTx.serialize());
-  
-  const response = await provider.request('stx_signTransaction', {
-    transaction: serializedTx,
-    network: CONFIG.network
-  });
-  
-  console.log('Xverse sign response:', response);
-  
-  if (response.result) {
-    if (response.result.txId || response.result.txid) {
-      return response.result.txId || response.result.txid;
-    }
-    const signedTxHex = response.result.transaction || response.result;
-    const signedTx = deserializeTransaction(hexToBytes(signedTxHex));
-    const broadcastResult = await broadcastTransaction(signedTx, stacksNetwork);
-    
-    if (broadcastResult.error) {
-      throw new Error(broadcastResult.reason || 'Broadcast failed');
-    }
-    return broadcastResult.txid;
-  }
-  
-  throw new Error('Signing failed');
-}
-
-// ==============================================================================
-// WALLETCONNECT CONNECTION (QR Code / Mobile)
+// WALLETCONNECT QR MODAL
 // ==============================================================================
 
-async function initializeWalletConnect() {
-  if (universalProvider) return;
-  
-  try {
-    console.log('Initializing WalletConnect...');
-    
-    universalProvider = await UniversalProvider.init({
-      projectId: CONFIG.projectId,
-      metadata: CONFIG.metadata,
-      relayUrl: 'wss://relay.walletconnect.com'
-    });
-
-    universalProvider.on('display_uri', (uri) => {
-      console.log('WalletConnect URI:', uri);
-      showQRModal(uri);
-    });
-
-    universalProvider.on('session_delete', () => {
-      console.log('Session deleted');
-      handleDisconnect();
-    });
-
-    console.log('WalletConnect initialized');
-    
-  } catch (error) {
-    console.error('WalletConnect init failed:', error);
-    throw error;
-  }
-}
-
-async function connectWithWalletConnect() {
-  showStatus('Opening WalletConnect...', 'pending');
-  
-  try {
-    await initializeWalletConnect();
-    
-    console.log('Connecting via WalletConnect...');
-    const session = await universalProvider.connect({
-      namespaces: {
-        stacks: {
-          methods: ['stx_getAddresses', 'stx_signTransaction', 'stx_signMessage'],
-          chains: [STACKS_CHAIN_ID],
-          events: ['accountsChanged', 'chainChanged']
-        }
-      }
-    });
-
-    closeQRModal();
-    
-    state.session = session;
-    state.provider = universalProvider;
-    state.providerType = 'walletconnect';
-    
-    // Get Stacks address
-    const response = await universalProvider.request({
-      method: 'stx_getAddresses',
-      params: {}
-    }, STACKS_CHAIN_ID);
-
-    console.log('stx_getAddresses response:', response);
-
-    if (response && response.addresses) {
-      const addressInfo = response.addresses.find(addr => 
-        CONFIG.network === 'mainnet' 
-          ? addr.address.startsWith('SP') 
-          : addr.address.startsWith('ST')
-      );
-      state.address = addressInfo?.address || response.addresses[0]?.address;
-    } else if (typeof response === 'string') {
-      state.address = response;
-    }
-
-    if (!state.address) {
-      throw new Error('No Stacks address returned');
-    }
-
-    state.connected = true;
-    hideStatus();
-    showStatus('Connected via WalletConnect!', 'success');
-    setTimeout(hideStatus, 2000);
-    
-    updateUI();
-    await Promise.all([fetchBalances(), fetchReserves()]);
-
-  } catch (error) {
-    console.error('WalletConnect connection failed:', error);
-    closeQRModal();
-    throw error;
-  }
-}
-
 function showQRModal(uri) {
   let modal = document.getElementById('wc-qr-modal');
   if (!modal) {
@@ -705,38 +479,6 @@ function copyWcUri() {
 
 window.closeQRModal = closeQRModal;
 window.copyWcUri = copyWcUri;
-
-/**
- * Sign transaction with WalletConnect
- */
-async function signWithWalletConnect(unsignedTx) {
-  const serializedTx = bytesToHex(unsignedTx.serialize());
-
-  const signedTxHex = await universalProvider.request({
-    method: 'stx_signTransaction',
-    params: {
-      transaction: serializedTx,
-      network: CONFIG.network,
-      address: state.address
-    }
-  }, STACKS_CHAIN_ID);
-
-  console.log('Signed transaction:', signedTxHex);
-
-  if (typeof signedTxHex === 'object' && signedTxHex.txId) {
-    return signedTxHex.txId;
-  }
-
-  const signedTx = deserializeTransaction(hexToBytes(signedTxHex));
-  const broadcastResult = await broadcastTransaction(signedTx, stacksNetwork);
-  
-  if (broadcastResult.error) {
-    throw new Error(broadcastResult.reason || 'Broadcast failed');
-  }
-
-  return broadcastResult.txid;
-}
-
 // ==============================================================================
 // MAIN CONNECTION HANDLER
 // ==============================================================================
@@ -746,32 +488,50 @@ async function connectWallet() {
 }
 
 async function connectWithWallet(walletId) {
+  const wallet = getWalletAdapter(walletId);
+
   try {
-    switch (walletId) {
-      case 'leather':
-        await connectWithLeather();
-        break;
-      case 'xverse':
-        await connectWithXverse();
-        break;
-      case 'walletconnect':
-        await connectWithWalletConnect();
-        break;
-      default:
-        throw new Error('Unknown wallet');
-    }
+    if (!wallet) throw new Error('Unknown wallet');
+
+    showStatus(`Connecting to ${wallet.name}...`, 'pending');
+    const address = await wallet.connect();
+    closeQRModal();
+    await setConnectedWallet(wallet, address);
+
+    showStatus(wallet.readOnly
+      ? `Watching ${truncateAddress(address)} (read-only)`
+      : `Connected to ${wallet.name}!`, 'success');
+    setTimeout(hideStatus, 2000);
   } catch (error) {
     console.error('Connection error:', error);
+    closeQRModal();
     showStatus('Connection failed: ' + error.message, 'error');
     setTimeout(hideStatus, 3000);
   }
 }
 
+/**
+ * Make a connected adapter the active wallet and follow its events
+ */
+async function setConnectedWallet(wallet, address) {
+  walletSubscriptions.forEach(unsubscribe => unsubscribe());
+  walletSubscriptions = [
+    wallet.on('disconnect', handleDisconnect)
+  ];
+
+  if (state.address !== address) chainWatcher.unwatch(state.address);
+  chainWatcher.watch(address);
+  state.wallet = wallet;
+  state.address = address;
+  state.connected = true;
+
+  updateUI();
+  await Promise.all([fetchBalances(), fetchReserves(), fetchNonces(), loadHistory()]);
+}
+
 async function disconnectWallet() {
   try {
-    if (state.providerType === 'walletconnect' && universalProvider && state.session) {
-      await universalProvider.disconnect();
-    }
+    await state.wallet?.disconnect();
   } catch (error) {
     console.error('Disconnect error:', error);
   }
@@ -780,35 +540,31 @@ async function disconnectWallet() {
 }
 
 function handleDisconnect() {
+  walletSubscriptions.forEach(unsubscribe => unsubscribe());
+  walletSubscriptions = [];
+
+  chainWatcher.unwatch(state.address);
   state.connected = false;
   state.address = null;
-  state.session = null;
-  state.provider = null;
-  state.providerType = null;
-  state.balanceX = 0;
-  state.balanceY = 0;
+  state.wallet = null;
+  state.balanceX = 0n;
+  state.balanceY = 0n;
+  state.accountNonces = null;
   updateUI();
+  renderTxList();
+  loadHistory();
 }
 
 // ==============================================================================
-// SIGN AND BROADCAST TRANSACTION (Routes to correct provider)
+// SIGN AND BROADCAST TRANSACTION
 // ==============================================================================
 
 async function signAndBroadcastTransaction(unsignedTx) {
-  if (!state.connected || !state.address) {
+  if (!state.connected || !state.wallet) {
     throw new Error('Wallet not connected');
   }
 
-  switch (state.providerType) {
-    case 'leather':
-      return await signWithLeather(unsignedTx);
-    case 'xverse':
-      return await signWithXverse(unsignedTx);
-    case 'walletconnect':
-      return await signWithWalletConnect(unsignedTx);
-    default:
-      throw new Error('No wallet provider available');
-  }
+  return await state.wallet.signTransaction(unsignedTx);
 }
 
 // ==============================================================================
@@ -816,61 +572,65 @@ async function signAndBroadcastTransaction(unsignedTx) {
 // ==============================================================================
 
 async function fetchReserves() {
+  if (!pool) return;
+  
+  const client = pool;
   try {
-    const apiUrl = CONFIG.network === 'mainnet'
-      ? 'https://api.mainnet.hiro.so'
-      : 'https://api.testnet.hiro.so';
-
-    const response = await fetch(
-      `${apiUrl}/v2/contracts/call-read/${CONFIG.poolContract.address}/${CONFIG.poolContract.name}/get-reserves`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sender: CONFIG.poolContract.address,
-          arguments: []
-        })
-      }
-    );
-
-    const data = await response.json();
-    
-    if (data.okay && data.result) {
-      const result = parseClarityValue(data.result);
-      state.reserveX = result.x || 0;
-      state.reserveY = result.y || 0;
-      console.log('Reserves:', { x: state.reserveX, y: state.reserveY });
-    }
+    const reserves = await client.getReserves();
+    // Ignore results for a pool the user has since switched away from
+    if (client !== pool) return;
+    state.reserveX = reserves.x;
+    state.reserveY = reserves.y;
+    console.log('Reserves:', { x: state.reserveX, y: state.reserveY });
   } catch (error) {
     console.error('Failed to fetch reserves:', error);
   }
   
+  await fetchPending();
+  
+  if (state.useRouter) {
+    state.routeReserves = await router.loadReserves(registry.list().map(p => p.id));
+  }
+  
   updateSwapDetails();
 }
 
+/**
+ * Replay the selected pool's mempool calls over its confirmed reserves.
+ * Routed quotes span several pools and stay on confirmed reserves.
+ */
+async function fetchPending() {
+  if (!pool || !state.pendingAware || state.useRouter) {
+    state.pending = null;
+    return;
+  }
+  
+  const client = pool;
+  try {
+    const calls = await client.getPendingCalls();
+    // Liquidity calls only replay against a known share supply
+    const needsSupply = calls.some(call => call.functionName === 'add-liquidity' || call.functionName === 'remove-liquidity');
+    const totalSupply = needsSupply && client.supports('liquidity') ? await client.getTotalSupply() : null;
+    if (client !== pool) return;
+    state.pending = client.simulatePending({ x: state.reserveX, y: state.reserveY }, calls, {
+      totalSupply,
+      blockHeight: state.currentBlockHeight || null
+    });
+  } catch (error) {
+    console.error('Failed to fetch pending pool calls:', error);
+    if (client === pool) state.pending = null;
+  }
+}
+
 async function fetchBalances() {
-  if (!state.address) return;
+  if (!state.address || !pool) return;
 
+  const client = pool;
   try {
-    const apiUrl = CONFIG.network === 'mainnet'
-      ? 'https://api.mainnet.hiro.so'
-      : 'https://api.testnet.hiro.so';
-
-    // Fetch both token balances
-    const balanceUrl = `${apiUrl}/extended/v1/address/${state.address}/balances`;
-    const response = await fetch(balanceUrl);
-    const data = await response.json();
-
-    // Parse fungible token balances
-    if (data.fungible_tokens) {
-      // Token X (ALEX)
-      const tokenXKey = `${CONFIG.tokenX.address}.${CONFIG.tokenX.name}::${CONFIG.tokenX.assetName}`;
-      state.balanceX = parseInt(data.fungible_tokens[tokenXKey]?.balance || '0');
-
-      // Token Y (USDA)
-      const tokenYKey = `${CONFIG.tokenY.address}.${CONFIG.tokenY.name}::${CONFIG.tokenY.assetName}`;
-      state.balanceY = parseInt(data.fungible_tokens[tokenYKey]?.balance || '0');
-    }
+    const balances = await client.getBalances(state.address);
+    if (client !== pool) return;
+    state.balanceX = balances.x;
+    state.balanceY = balances.y;
 
     console.log('Balances:', { x: state.balanceX, y: state.balanceY });
     updateBalanceDisplay();
@@ -879,105 +639,35 @@ async function fetchBalances() {
   }
 }
 
-function parseClarityValue(hex) {
-  // Simplified parser for tuple responses
-  try {
-    if (hex.startsWith('0x')) hex = hex.slice(2);
-    
-    // Check if it's a tuple (0x0c prefix)
-    if (hex.startsWith('0c')) {
-      const result = {};
-      let offset = 2;
-      const numItems = parseInt(hex.slice(offset, offset + 8), 16);
-      offset += 8;
-      
-      for (let i = 0; i < numItems; i++) {
-        // Read key length
-        const keyLen = parseInt(hex.slice(offset, offset + 2), 16);
-        offset += 2;
-        
-        // Read key
-        const keyBytes = [];
-        for (let j = 0; j < keyLen; j++) {
-          keyBytes.push(parseInt(hex.slice(offset + j * 2, offset + j * 2 + 2), 16));
-        }
-        const key = String.fromCharCode(...keyBytes);
-        offset += keyLen * 2;
-        
-        // Read value type
-        const valueType = hex.slice(offset, offset + 2);
-        offset += 2;
-        
-        // Read value based on type
-        if (valueType === '01') { // uint
-          const valueBigInt = BigInt('0x' + hex.slice(offset, offset + 32));
-          result[key] = Number(valueBigInt);
-          offset += 32;
-        }
-      }
-      
-      return result;
-    }
-    
-    return {};
-  } catch (e) {
-    console.error('Parse error:', e);
-    return {};
-  }
-}
-
-// ==============================================================================
-// SWAP CALCULATIONS
-// ==============================================================================
-
-function calculateSwapOutput(amountIn, reserveIn, reserveOut) {
-  if (reserveIn === 0 || reserveOut === 0 || amountIn === 0) return 0;
-  
-  // Constant product formula with fee: dy = (dx * y * (10000 - fee)) / (x * 10000 + dx * (10000 - fee))
-  const amountInWithFee = BigInt(amountIn) * BigInt(CONFIG.bpsDenom - CONFIG.feeBps);
-  const numerator = amountInWithFee * BigInt(reserveOut);
-  const denominator = BigInt(reserveIn) * BigInt(CONFIG.bpsDenom) + amountInWithFee;
-  
-  return Number(numerator / denominator);
-}
-
-function calculatePriceImpact(amountIn, reserveIn, reserveOut) {
-  if (reserveIn === 0 || reserveOut === 0 || amountIn === 0) return 0;
-  
-  const spotPrice = reserveOut / reserveIn;
-  const outputAmount = calculateSwapOutput(amountIn, reserveIn, reserveOut);
-  const executionPrice = outputAmount / amountIn;
-  
-  return ((spotPrice - executionPrice) / spotPrice) * 100;
-}
-
 // ==============================================================================
 // UI UPDATES
 // ==============================================================================
 
 function updateUI() {
-  if (state.connected) {
+  if (state.connected && pool) {
     elements.connectBtn.classList.add('hidden');
     elements.walletInfo.classList.remove('hidden');
     elements.walletAddress.textContent = truncateAddress(state.address);
-    elements.swapBtn.disabled = false;
-    elements.swapBtn.textContent = 'Swap';
+    elements.swapBtn.disabled = Boolean(state.wallet?.readOnly);
+    elements.swapBtn.textContent = state.wallet?.readOnly ? 'Watch-only' : 'Swap';
   } else {
     elements.connectBtn.classList.remove('hidden');
     elements.walletInfo.classList.add('hidden');
     elements.walletAddress.textContent = '';
     elements.swapBtn.disabled = true;
-    elements.swapBtn.textContent = 'Connect Wallet';
+    elements.swapBtn.textContent = pool ? 'Connect Wallet' : 'No pools on this network';
   }
   
+  if (!pool) return;
+  
   updateBalanceDisplay();
   updateSwapDetails();
   updateTokenDisplay();
 }
 
 function updateTokenDisplay() {
-  const inputSymbol = state.swapDirection ? CONFIG.tokenX.symbol : CONFIG.tokenY.symbol;
-  const outputSymbol = state.swapDirection ? CONFIG.tokenY.symbol : CONFIG.tokenX.symbol;
+  const inputSymbol = state.swapDirection ? pool.tokenX.symbol : pool.tokenY.symbol;
+  const outputSymbol = state.swapDirection ? pool.tokenY.symbol : pool.tokenX.symbol;
   
   if (elements.tokenXSymbol) elements.tokenXSymbol.textContent = inputSymbol;
   if (elements.tokenYSymbol) elements.tokenYSymbol.textContent = outputSymbol;
@@ -992,10 +682,10 @@ function updateTokenDisplay() {
 function updateBalanceDisplay() {
   const inputBalance = state.swapDirection ? state.balanceX : state.balanceY;
   const outputBalance = state.swapDirection ? state.balanceY : state.balanceX;
-  const inputDecimals = state.swapDirection ? CONFIG.tokenX.decimals : CONFIG.tokenY.decimals;
-  const outputDecimals = state.swapDirection ? CONFIG.tokenY.decimals : CONFIG.tokenX.decimals;
-  const inputSymbol = state.swapDirection ? CONFIG.tokenX.symbol : CONFIG.tokenY.symbol;
-  const outputSymbol = state.swapDirection ? CONFIG.tokenY.symbol : CONFIG.tokenX.symbol;
+  const inputDecimals = state.swapDirection ? pool.tokenX.decimals : pool.tokenY.decimals;
+  const outputDecimals = state.swapDirection ? pool.tokenY.decimals : pool.tokenX.decimals;
+  const inputSymbol = state.swapDirection ? pool.tokenX.symbol : pool.tokenY.symbol;
+  const outputSymbol = state.swapDirection ? pool.tokenY.symbol : pool.tokenX.symbol;
   
   if (elements.balanceX) {
     elements.balanceX.textContent = `Balance: ${formatAmount(inputBalance, inputDecimals)} ${inputSymbol}`;
@@ -1005,35 +695,123 @@ function updateBalanceDisplay() {
   }
 }
 
-function updateSwapDetails() {
-  const inputAmount = parseFloat(elements.inputAmount.value) || 0;
+/**
+ * Quote an input amount against the selected pool, or against the best route
+ * across all registered pools when routing is enabled.
+ * Returns null when there is no liquidity to quote against.
+ */
+function getSwapQuote(amountIn) {
+  const inputToken = state.swapDirection ? pool.tokenX : pool.tokenY;
+  const outputToken = state.swapDirection ? pool.tokenY : pool.tokenX;
+  
+  if (state.useRouter) {
+    return selectBestRoute(registry.list(), inputToken.symbol, outputToken.symbol, amountIn, state.routeReserves);
+  }
   
-  // Get correct reserves based on swap direction
   const reserveIn = state.swapDirection ? state.reserveX : state.reserveY;
   const reserveOut = state.swapDirection ? state.reserveY : state.reserveX;
-  const inputDecimals = state.swapDirection ? CONFIG.tokenX.decimals : CONFIG.tokenY.decimals;
-  const outputDecimals = state.swapDirection ? CONFIG.tokenY.decimals : CONFIG.tokenX.decimals;
-  const inputSymbol = state.swapDirection ? CONFIG.tokenX.symbol : CONFIG.tokenY.symbol;
-  const outputSymbol = state.swapDirection ? CONFIG.tokenY.symbol : CONFIG.tokenX.symbol;
-  
-  if (inputAmount > 0 && reserveIn > 0 && reserveOut > 0) {
-    const amountIn = parseAmount(inputAmount.toString(), inputDecimals);
-    const outputAmount = calculateSwapOutput(amountIn, reserveIn, reserveOut);
-    const priceImpact = calculatePriceImpact(amountIn, reserveIn, reserveOut);
-    const minReceived = outputAmount * (1 - state.slippage / 100);
-    const fee = (inputAmount * CONFIG.feeBps) / CONFIG.bpsDenom;
+  if (!(reserveIn > 0 && reserveOut > 0)) return null;
+  
+  return pool.quoteSwap(amountIn, { x: state.reserveX, y: state.reserveY }, state.swapDirection);
+}
+
+/**
+ * Exact-output counterpart of getSwapQuote: the input needed to receive
+ * amountOut. Returns null when no pool or route can pay out that much.
+ */
+function getSwapQuoteForOutput(amountOut) {
+  const inputToken = state.swapDirection ? pool.tokenX : pool.tokenY;
+  const outputToken = state.swapDirection ? pool.tokenY : pool.tokenX;
+  
+  if (state.useRouter) {
+    return selectBestRouteForOutput(registry.list(), inputToken.symbol, outputToken.symbol, amountOut, state.routeReserves);
+  }
+  
+  return pool.quoteSwapForOutput(amountOut, { x: state.reserveX, y: state.reserveY }, state.swapDirection);
+}
+
+/**
+ * Quote whichever field the user typed in
+ */
+function getFormQuote() {
+  if (state.exactOutput) {
+    const outputDecimals = state.swapDirection ? pool.tokenY.decimals : pool.tokenX.decimals;
+    const amountOut = parseAmount(elements.outputAmount.value, outputDecimals) || 0n;
+    return amountOut > 0n ? getSwapQuoteForOutput(amountOut) : null;
+  }
+  const inputDecimals = state.swapDirection ? pool.tokenX.decimals : pool.tokenY.decimals;
+  const amountIn = parseAmount(elements.inputAmount.value, inputDecimals) || 0n;
+  return amountIn > 0n ? getSwapQuote(amountIn) : null;
+}
+
+/**
+ * What the swap will spend and must receive. Exact input spends the typed
+ * amount and accepts the quote less slippage. Exact output cannot ask the
+ * pool for a refund, so it spends the needed input plus slippage and
+ * requires the typed amount; any price headroom left over arrives as extra
+ * output. Post-conditions pin both numbers.
+ */
+function swapLimits(quote) {
+  if (quote.hops) {
+    const limits = routeLimits(quote, state.slippage);
+    return { amountIn: limits[0].amountIn, minAmountOut: limits[limits.length - 1].minAmountOut };
+  }
+  const slippageBps = percentToBps(state.slippage);
+  return quote.exactOutput
+    ? { amountIn: addSlippage(quote.amountIn, slippageBps), minAmountOut: quote.amountOut }
+    : { amountIn: quote.amountIn, minAmountOut: applySlippage(quote.amountOut, slippageBps) };
+}
+
+function updateSwapDetails() {
+  if (!pool) return;
+  
+  const inputDecimals = state.swapDirection ? pool.tokenX.decimals : pool.tokenY.decimals;
+  const outputDecimals = state.swapDirection ? pool.tokenY.decimals : pool.tokenX.decimals;
+  const inputSymbol = state.swapDirection ? pool.tokenX.symbol : pool.tokenY.symbol;
+  const outputSymbol = state.swapDirection ? pool.tokenY.symbol : pool.tokenX.symbol;
+  
+  if (elements.inputLabel) {
+    // Exact output spends the whole input, headroom included (see swapLimits)
+    elements.inputLabel.textContent = state.exactOutput ? 'From (spent in full)' : 'From';
+    elements.outputLabel.textContent = state.exactOutput ? 'To (at least)' : 'To (estimated)';
+    elements.minReceivedLabel.textContent = state.exactOutput ? 'Amount Sold' : 'Minimum Received';
+  }
+  
+  const quote = getFormQuote();
+  let limits = null;
+  try {
+    limits = quote && swapLimits(quote);
+  } catch (e) {
+    // A route hop cannot absorb the slippage headroom - treat as no quote
+  }
+  
+  if (limits) {
+    const { amountIn, minAmountOut } = limits;
+    const outputAmount = quote.amountOut;
+    const priceImpact = quote.priceImpact;
     
-    elements.outputAmount.value = formatAmount(outputAmount, outputDecimals);
+    // Fill the field the user did not type in. Number input: no thousands separators
+    if (state.exactOutput) {
+      elements.inputAmount.value = formatUnits(amountIn, inputDecimals);
+    } else {
+      elements.outputAmount.value = formatUnits(outputAmount, outputDecimals, { maxDecimals: 6 });
+    }
     
     if (elements.exchangeRate) {
-      const rate = outputAmount / amountIn;
-      elements.exchangeRate.textContent = `1 ${inputSymbol} = ${(rate * Math.pow(10, inputDecimals - outputDecimals)).toFixed(6)} ${outputSymbol}`;
+      // Output base units received per whole input token, at the quote
+      const rate = outputAmount * 10n ** BigInt(inputDecimals) / quote.amountIn;
+      elements.exchangeRate.textContent = `1 ${inputSymbol} = ${formatUnits(rate, outputDecimals, { maxDecimals: 6 })} ${outputSymbol}`;
     }
     if (elements.dexFee) {
-      elements.dexFee.textContent = `${fee.toFixed(6)} ${inputSymbol}`;
+      // Routed swaps pay each pool's fee in that hop's input token
+      elements.dexFee.textContent = quote.hops
+        ? quote.hops.map(hop => `${formatAmount(hop.fee, hop.tokenIn.decimals)} ${hop.tokenIn.symbol}`).join(' + ')
+        : `${formatAmount(quote.fee, inputDecimals)} ${inputSymbol}`;
     }
     if (elements.minReceived) {
-      elements.minReceived.textContent = `${formatAmount(minReceived, outputDecimals)} ${outputSymbol}`;
+      elements.minReceived.textContent = state.exactOutput
+        ? `${formatAmount(amountIn, inputDecimals)} ${inputSymbol}`
+        : `${formatAmount(minAmountOut, outputDecimals)} ${outputSymbol}`;
     }
     if (elements.priceImpact) {
       elements.priceImpact.textContent = `${priceImpact.toFixed(2)}%`;
@@ -1042,16 +820,125 @@ function updateSwapDetails() {
     if (elements.slippageDisplay) {
       elements.slippageDisplay.textContent = `${state.slippage}%`;
     }
+    if (elements.routeRow) {
+      elements.routeRow.classList.toggle('hidden', !quote.hops);
+      if (quote.hops) elements.routePath.textContent = describeRoute(quote);
+    }
     
+    renderPendingQuote(quote, limits);
+    renderQuoteMovement(quote);
+    scheduleFeeEstimate(quote);
     elements.swapDetails.classList.remove('hidden');
   } else {
-    elements.outputAmount.value = '';
+    (state.exactOutput ? elements.inputAmount : elements.outputAmount).value = '';
+    state.quoteAnchor = null;
+    scheduleFeeEstimate(null);
+    renderPendingQuote(null);
+    renderQuoteMovement(null);
     elements.swapDetails.classList.add('hidden');
   }
 }
 
+/**
+ * Show the quote expected once the pool's pending calls have run next to
+ * the confirmed one, and warn when it differs by more than
+ * CONFIG.pendingWarning or falls outside the swap's limits
+ */
+function renderPendingQuote(quote, limits) {
+  if (!elements.pendingRow) return;
+  
+  const pending = state.pending;
+  const show = Boolean(quote && !quote.hops && pending && pending.applied.length > 0);
+  elements.pendingRow.classList.toggle('hidden', !show);
+  elements.pendingWarning.classList.add('hidden');
+  if (!show) return;
+  
+  const inputDecimals = state.swapDirection ? pool.tokenX.decimals : pool.tokenY.decimals;
+  const outputDecimals = state.swapDirection ? pool.tokenY.decimals : pool.tokenX.decimals;
+  const inputSymbol = state.swapDirection ? pool.tokenX.symbol : pool.tokenY.symbol;
+  const outputSymbol = state.swapDirection ? pool.tokenY.symbol : pool.tokenX.symbol;
+  const count = pending.applied.length;
+  elements.pendingLabel.textContent = `After ${count} Pending Tx${count === 1 ? '' : 's'}`;
+  
+  const after = state.exactOutput
+    ? pool.quoteSwapForOutput(quote.amountOut, pending.reserves, state.swapDirection)
+    : pool.quoteSwap(quote.amountIn, pending.reserves, state.swapDirection);
+  if (!after || after.amountOut === 0n) {
+    elements.pendingQuote.textContent = 'No liquidity left';
+    elements.pendingQuote.className = 'warning';
+    showPendingWarning('Pending swaps would drain the pool before yours, and it would fail.');
+    return;
+  }
+  
+  // Positive when the pending calls make the swap worse for the user
+  const [confirmed, expected] = state.exactOutput ? [quote.amountIn, after.amountIn] : [quote.amountOut, after.amountOut];
+  const worse = Number((state.exactOutput ? expected - confirmed : confirmed - expected) * 10000n / confirmed) / 100;
+  elements.pendingQuote.textContent = state.exactOutput
+    ? `${formatAmount(expected, inputDecimals)} ${inputSymbol} (${worse > 0 ? '+' : ''}${worse.toFixed(2)}%)`
+    : `${formatAmount(expected, outputDecimals)} ${outputSymbol} (${worse > 0 ? '-' : '+'}${Math.abs(worse).toFixed(2)}%)`;
+  elements.pendingQuote.className = worse > CONFIG.pendingWarning ? 'warning' : '';
+  
+  const fails = state.exactOutput ? expected > limits.amountIn : expected < limits.minAmountOut;
+  if (fails) {
+    showPendingWarning(`If the ${count} pending pool transaction${count === 1 ? '' : 's'} confirm first, this swap would fail its slippage limit. Raise slippage or wait for them to confirm.`);
+  } else if (worse > CONFIG.pendingWarning) {
+    showPendingWarning(`Pending pool transactions move this quote by ${worse.toFixed(2)}% against you. It stays within your slippage.`);
+  }
+}
+
+function showPendingWarning(message) {
+  elements.pendingWarning.textContent = message;
+  elements.pendingWarning.classList.remove('hidden');
+}
+
+/**
+ * Compare a quote with the one shown when the user typed. The untyped side
+ * is what moves: less output for exact input, more input for exact output.
+ * Past the slippage tolerance the swap waits until the user accepts the
+ * new price.
+ */
+function renderQuoteMovement(quote) {
+  const current = quote && (state.exactOutput ? quote.amountIn : quote.amountOut);
+  if (current && state.quoteAnchor === null) state.quoteAnchor = current;
+  
+  let moved = 0;
+  if (current && state.quoteAnchor > 0n) {
+    const worse = state.exactOutput ? current - state.quoteAnchor : state.quoteAnchor - current;
+    moved = Number(worse * 10000n / state.quoteAnchor) / 100;
+  }
+  state.quoteMoved = moved > state.slippage ? moved : null;
+  
+  if (!elements.quoteMoved) return;
+  elements.quoteMoved.classList.toggle('hidden', state.quoteMoved === null);
+  if (state.quoteMoved !== null) {
+    elements.quoteMovedText.textContent = state.exactOutput
+      ? `Price moved: this now costs ${state.quoteMoved.toFixed(2)}% more than when you entered it, beyond your ${state.slippage}% slippage`
+      : `Price moved: you now receive ${state.quoteMoved.toFixed(2)}% less than when you entered it, beyond your ${state.slippage}% slippage`;
+  }
+}
+
+// Take the current quote as the one the user agreed to
+function acceptQuote() {
+  state.quoteAnchor = null;
+  updateSwapDetails();
+}
+
+/**
+ * Typing in a field makes its amount the exact one
+ */
+function setExactOutput(exactOutput) {
+  state.exactOutput = exactOutput;
+  state.quoteAnchor = null;
+  updateSwapDetails();
+}
+
 function switchSwapDirection() {
+  if (!pool || !canSwap(!state.swapDirection)) return;
+  
   state.swapDirection = !state.swapDirection;
+  // The typed amount moves to the other side, and stays the exact one
+  state.exactOutput = !state.exactOutput;
+  state.quoteAnchor = null;
   
   // Swap input/output values
   const inputVal = elements.inputAmount.value;
@@ -1070,51 +957,173 @@ function switchSwapDirection() {
   }
 }
 
+// ==============================================================================
+// POOL SELECTION
+// ==============================================================================
+
+function renderPoolOptions() {
+  if (!elements.poolSelect) return;
+  
+  elements.poolSelect.innerHTML = registry.list().map(p => `
+    <option value="${p.id}" ${p.id === state.poolId ? 'selected' : ''}>${poolLabel(p)}</option>
+  `).join('');
+}
+
+function updatePoolDisplay() {
+  if (pool && elements.dexFeeLabel) {
+    elements.dexFeeLabel.textContent = `DEX Fee (${(pool.feeBps / pool.bpsDenom * 100).toFixed(2)}%)`;
+  }
+}
+
+/**
+ * Read what every registered contract supports. Pool labels then show the
+ * deployed versions, and routes and the direction switch skip what a
+ * contract cannot do.
+ */
+async function detectCapabilities() {
+  await registry.detectCapabilities(clientOptions);
+  if (pool) pool.useCapabilities(registry.get(pool.id).capabilities);
+  console.log('Pool capabilities:', Object.fromEntries(registry.list().map(p => [p.id, `v${p.version} (${p.capabilities.source})`])));
+  renderPoolOptions();
+  updateDirectionAvailability();
+}
+
+// Whether the selected pool, or with routing any route, swaps in a direction
+function canSwap(xForY) {
+  const [from, to] = xForY ? [pool.tokenX, pool.tokenY] : [pool.tokenY, pool.tokenX];
+  return state.useRouter
+    ? findRoutes(registry.list(), from.symbol, to.symbol).length > 0
+    : pool.supports(xForY ? 'swapXForY' : 'swapYForX');
+}
+
+/**
+ * Keep the form on a direction that can be swapped, and disable the
+ * direction switch when the other one cannot
+ */
+function updateDirectionAvailability() {
+  if (!pool || !elements.swapDirectionBtn) return;
+  
+  if (!canSwap(state.swapDirection)) switchSwapDirection();
+  
+  const reversible = canSwap(!state.swapDirection);
+  const [from, to] = state.swapDirection ? [pool.tokenY, pool.tokenX] : [pool.tokenX, pool.tokenY];
+  elements.swapDirectionBtn.disabled = !reversible;
+  elements.swapDirectionBtn.title = reversible ? '' : state.useRouter
+    ? `No registered pool swaps ${from.symbol} → ${to.symbol}`
+    : `${pool.id} (v${pool.version}) does not swap ${from.symbol} → ${to.symbol}`;
+}
+
+/**
+ * Switch the swap form to another registered pool and reload its data
+ */
+async function selectPool(poolId) {
+  if (poolId === state.poolId || !registry.get(poolId)) return;
+  
+  pool = registry.createClient(poolId, clientOptions);
+  state.poolId = poolId;
+  state.reserveX = 0n;
+  state.reserveY = 0n;
+  state.balanceX = 0n;
+  state.balanceY = 0n;
+  state.quoteAnchor = null;
+  state.pending = null;
+  
+  try {
+    localStorage.setItem(CONFIG.storageKeys.pool, poolId);
+  } catch (e) {
+    // Storage unavailable - selection only lasts for this session
+  }
+  
+  elements.inputAmount.value = '';
+  elements.outputAmount.value = '';
+  
+  updatePoolDisplay();
+  updateDirectionAvailability();
+  updateUI();
+  await Promise.all([fetchBalances(), fetchReserves(), loadHistory()]);
+}
+
 // ==============================================================================
 // SWAP EXECUTION
 // ==============================================================================
 
+/**
+ * Sign and broadcast one contract call with the connected wallet.
+ * The call carries its own Deny-mode post-conditions.
+ *
+ * @param {Object} call - Contract call built by PoolClient
+ * @returns {Promise<string|null>} txId, or null when a multisig queued it for approval
+ */
+async function submitContractCall(call) {
+  if (!state.wallet) {
+    throw new Error('Wallet not connected');
+  }
+  return await state.wallet.callContract(call);
+}
+
+/**
+ * Contract calls for a quote: one per hop, a direct swap is a single step
+ */
+function buildSwapSteps(quote, { recipient, deadline }) {
+  if (quote.hops) {
+    return router.buildRouteCalls(quote, { slippage: state.slippage, recipient, deadline });
+  }
+  
+  const { amountIn, minAmountOut } = swapLimits(quote);
+  return [{
+    tokenIn: state.swapDirection ? pool.tokenX : pool.tokenY,
+    tokenOut: state.swapDirection ? pool.tokenY : pool.tokenX,
+    amountIn,
+    call: pool.buildSwap({
+      xForY: state.swapDirection,
+      amountIn,
+      minAmountOut,
+      recipient,
+      deadline
+    })
+  }];
+}
+
 async function executeSwap() {
   if (!state.connected || !state.address) {
     showStatus('Please connect wallet first', 'error');
     return;
   }
+  if (state.wallet?.readOnly) {
+    showStatus('Watching a read-only address. Connect a wallet to swap', 'error');
+    return;
+  }
 
-  const inputAmount = parseFloat(elements.inputAmount.value);
-  if (!inputAmount || inputAmount <= 0) {
-    showStatus('Please enter a valid amount', 'error');
+  const inputToken = state.swapDirection ? pool.tokenX : pool.tokenY;
+  const outputToken = state.swapDirection ? pool.tokenY : pool.tokenX;
+  const typedToken = state.exactOutput ? outputToken : inputToken;
+
+  const typedAmount = parseAmount((state.exactOutput ? elements.outputAmount : elements.inputAmount).value, typedToken.decimals);
+  if (!typedAmount || typedAmount <= 0n) {
+    showStatus(`Please enter a valid amount (up to ${typedToken.decimals} decimals)`, 'error');
     return;
   }
 
-  // Get reserves based on swap direction
-  const reserveIn = state.swapDirection ? state.reserveX : state.reserveY;
-  const reserveOut = state.swapDirection ? state.reserveY : state.reserveX;
+  const quote = state.exactOutput ? getSwapQuoteForOutput(typedAmount) : getSwapQuote(typedAmount);
   
-  // Check if pool is initialized
-  if (!reserveIn || !reserveOut || reserveIn <= 0 || reserveOut <= 0) {
-    showStatus('Pool not initialized. Please initialize liquidity first.', 'error');
+  // Check if pool (or any route) has liquidity
+  if (!quote) {
+    showStatus(state.exactOutput
+      ? `Not enough liquidity to receive ${formatAmount(typedAmount, outputToken.decimals)} ${outputToken.symbol}.`
+      : state.useRouter
+        ? 'No route with liquidity for this pair.'
+        : 'Pool not initialized. Please initialize liquidity first.', 'error');
     return;
   }
   
-  const inputDecimals = state.swapDirection ? CONFIG.tokenX.decimals : CONFIG.tokenY.decimals;
-  const outputDecimals = state.swapDirection ? CONFIG.tokenY.decimals : CONFIG.tokenX.decimals;
-  const inputToken = state.swapDirection ? CONFIG.tokenX : CONFIG.tokenY;
-  const outputToken = state.swapDirection ? CONFIG.tokenY : CONFIG.tokenX;
-  const functionName = state.swapDirection ? 'swap-x-for-y' : 'swap-y-for-x';
-
-  const amountIn = parseAmount(inputAmount.toString(), inputDecimals);
-  const expectedOutput = calculateSwapOutput(amountIn, reserveIn, reserveOut);
-  const minAmountOut = Math.floor(expectedOutput * (1 - state.slippage / 100));
+  if (state.quoteMoved !== null) {
+    showStatus('The price moved beyond your slippage tolerance. Accept the new quote to swap.', 'error');
+    return;
+  }
 
   // Calculate deadline
   try {
-    const blockResponse = await fetch(
-      CONFIG.network === 'mainnet'
-        ? 'https://api.mainnet.hiro.so/v2/info'
-        : 'https://api.testnet.hiro.so/v2/info'
-    );
-    const blockInfo = await blockResponse.json();
-    state.currentBlockHeight = blockInfo.stacks_tip_height;
+    state.currentBlockHeight = await pool.getBlockHeight();
   } catch (e) {
     console.error('Failed to fetch block height:', e);
   }
@@ -1123,84 +1132,506 @@ async function executeSwap() {
 
   showStatus('Preparing swap...', 'pending');
 
+  const txIds = [];
+  let stepCount = 1;
+
   try {
-    // Create swap parameters
-    const swapParams = {
-      functionName,
-      amountIn,
-      minAmountOut,
-      deadline,
-      inputToken,
-      outputToken
-    };
+    // Fee recipients keep their fee, which the post-conditions must know
+    const clients = quote.hops ? quote.hops.map(hop => router.client(hop.pool.id)) : [pool];
+    await Promise.all(clients.map(client => client.getFeeInfo()));
+    
+    const steps = buildSwapSteps(quote, { recipient: state.address, deadline });
+    stepCount = steps.length;
 
-    showStatus('Please confirm in wallet...', 'pending');
+    // Each hop spends the previous hop's output, which a pending proposal does not have yet
+    if (state.wallet.multisig && steps.length > 1) {
+      throw new Error(`${state.wallet.name} cannot chain route hops. Turn off routing and swap in a single pool`);
+    }
 
-    let txId;
+    showStatus('Estimating network fee...', 'pending');
+    const fees = await Promise.all(steps.map(step => estimateFees(step.call)));
     
-    // Route to appropriate execution method based on wallet type
-    if (state.providerType === 'leather') {
-      // Use Leather's native stx_callContract
-      txId = await executeWithLeather(swapParams);
-    } else if (state.providerType === 'xverse') {
-      // Use Xverse's native method
-      txId = await executeWithXverse(swapParams);
-    } else {
-      // Build transaction for WalletConnect
-      const postConditions = [
-        makeStandardFungiblePostCondition(
-          state.address,
-          FungibleConditionCode.Equal,
-          amountIn,
-          createAssetInfo(inputToken.address, inputToken.name, inputToken.assetName)
-        )
-      ];
-
-      const txOptions = {
-        contractAddress: CONFIG.poolContract.address,
-        contractName: CONFIG.poolContract.name,
-        functionName: functionName,
-        functionArgs: [
-          uintCV(amountIn),
-          uintCV(minAmountOut),
-          uintCV(deadline),
-          principalCV(`${inputToken.address}.${inputToken.name}`),
-          principalCV(`${outputToken.address}.${outputToken.name}`)
-        ],
-        network: stacksNetwork,
-        postConditionMode: PostConditionMode.Deny,
-        postConditions: postConditions,
-        anchorMode: AnchorMode.Any,
-        fee: 10000
-      };
-
-      const unsignedTx = await makeUnsignedContractCall(txOptions);
-      txId = await signWithWalletConnect(unsignedTx);
+    for (const [index, step] of steps.entries()) {
+      showStatus(steps.length > 1
+        ? `Please confirm hop ${index + 1} of ${steps.length} in wallet...`
+        : 'Please confirm in wallet...', 'pending');
+      const txId = await submitContractCall({ ...step.call, fee: fees[index][state.feeTier] });
+      if (!txId) {
+        showStatus(`Swap proposed in ${state.wallet.name}. It broadcasts once co-signers approve it.`, 'success');
+        elements.inputAmount.value = '';
+        elements.outputAmount.value = '';
+        elements.swapDetails.classList.add('hidden');
+        return;
+      }
+      txIds.push(txId);
+      txTracker.track(txId, {
+        label: swapLabel(step, steps.length > 1 ? `${index + 1}/${steps.length}` : null),
+        ...swapContext(quote, index)
+      });
     }
+    const txId = txIds[txIds.length - 1];
 
-    showStatus(`Swap submitted! TX: ${txId.slice(0, 10)}...`, 'success');
-    
-    // Open explorer
-    const explorerUrl = CONFIG.network === 'mainnet'
-      ? `https://explorer.hiro.so/txid/${txId}?chain=mainnet`
-      : `https://explorer.hiro.so/txid/${txId}?chain=testnet`;
-    window.open(explorerUrl, '_blank');
+    // Balances and reserves refresh when the tracker sees the tx confirm
+    showStatus(steps.length > 1
+      ? `Route submitted (${steps.length} transactions). Waiting for confirmation... TX: ${txId.slice(0, 10)}...`
+      : `Swap submitted. Waiting for confirmation... TX: ${txId.slice(0, 10)}...`, 'pending');
 
-    // Clear inputs and refresh
+    // Clear inputs
     elements.inputAmount.value = '';
     elements.outputAmount.value = '';
     elements.swapDetails.classList.add('hidden');
 
-    setTimeout(async () => {
-      await Promise.all([fetchBalances(), fetchReserves()]);
-      hideStatus();
-    }, 5000);
-
   } catch (error) {
     console.error('Swap failed:', error);
-    const errorMsg = error?.message || error?.reason || (typeof error === 'string' ? error : 'Unknown error');
-    showStatus('Swap failed: ' + errorMsg, 'error');
+    let errorMsg = error?.message || error?.reason || (typeof error === 'string' ? error : 'Unknown error');
+    // Wallets that simulate the call surface the contract's (err uNNN)
+    const code = parseErrorCode(errorMsg);
+    if (code !== null) errorMsg = describePoolError(code, { tokenX: pool.tokenX, tokenY: pool.tokenY });
+    // Earlier hops of a route are already broadcast and cannot be recalled
+    const prefix = txIds.length > 0
+      ? `Route stopped after ${txIds.length} of ${stepCount} hops: `
+      : 'Swap failed: ';
+    showStatus(prefix + errorMsg, 'error');
+    setTimeout(hideStatus, 5000);
+  }
+}
+
+// ==============================================================================
+// NETWORK FEES
+// ==============================================================================
+
+let feeTimer = null;
+let feeRequest = 0;
+
+function estimateFees(call) {
+  return estimateCallFees({ apiUrl: NETWORK.apiUrl, chain: NETWORK.chain, call });
+}
+
+/**
+ * Estimate the quoted swap's calls once the form settles. Before a wallet
+ * is connected the pool deployer stands in as recipient; the length, and
+ * so the fee, is the same.
+ */
+function scheduleFeeEstimate(quote) {
+  clearTimeout(feeTimer);
+  const request = ++feeRequest;
+  if (!quote) {
+    state.networkFees = null;
+    renderNetworkFee();
+    return;
+  }
+  
+  feeTimer = setTimeout(async () => {
+    let steps;
+    try {
+      steps = buildSwapSteps(quote, {
+        recipient: state.address || pool.contract.address,
+        deadline: state.currentBlockHeight + state.deadlineBlocks
+      });
+    } catch (e) {
+      // A route hop cannot absorb the slippage headroom - nothing to estimate
+      return;
+    }
+    
+    const estimates = await Promise.all(steps.map(step => estimateFees(step.call)));
+    if (request !== feeRequest) return;
+    state.networkFees = Object.fromEntries(FEE_TIERS.map(tier => [tier, estimates.reduce((sum, fees) => sum + fees[tier], 0n)]));
+    state.networkFees.source = estimates.every(fees => fees.source === 'estimate') ? 'estimate' : 'default';
+    renderNetworkFee();
+  }, CONFIG.feeEstimateDelay);
+}
+
+function renderNetworkFee() {
+  if (!elements.networkFee) return;
+  
+  const fees = state.networkFees;
+  if (!fees) {
+    elements.networkFee.textContent = '-';
+    elements.networkFee.title = '';
+    return;
+  }
+  const fallback = fees.source === 'default';
+  elements.networkFee.textContent = `${formatUnits(fees[state.feeTier], 6)} STX (${FEE_TIER_LABELS[state.feeTier]}${fallback ? ', default' : ''})`;
+  elements.networkFee.title = fallback ? 'The node could not estimate this call, so a default fee is used' : '';
+}
+
+// ==============================================================================
+// LIVE UPDATES
+// ==============================================================================
+
+// Reads requested by watcher events, batched so a block full of pool calls
+// re-reads each only once
+const pendingRefresh = { reserves: false, balances: false };
+let refreshTimer = null;
+
+function queueRefresh({ reserves = false, balances = false }) {
+  pendingRefresh.reserves ||= reserves;
+  pendingRefresh.balances ||= balances;
+  if (refreshTimer) return;
+  
+  refreshTimer = setTimeout(async () => {
+    refreshTimer = null;
+    const { reserves: readReserves, balances: readBalances } = pendingRefresh;
+    pendingRefresh.reserves = false;
+    pendingRefresh.balances = false;
+    await Promise.all([readReserves && fetchReserves(), readBalances && fetchBalances(), readBalances && fetchNonces()]);
+  }, CONFIG.liveRefreshDelay);
+}
+
+function handleNewBlock({ height }) {
+  state.currentBlockHeight = height;
+  // Polling sees no per-address events, so any block may have moved the pool
+  if (chainWatcher.mode !== 'socket') queueRefresh({ reserves: true, balances: true });
+}
+
+function handleAddressTx({ address, status }) {
+  // New or dropped mempool calls to the pool change the pending-aware quote
+  if (state.pendingAware && address === pool?.contractId && !state.useRouter &&
+      (status === 'pending' || status?.startsWith('dropped'))) {
+    queueRefresh({ reserves: true });
+    return;
+  }
+  // Mempool and dropped txs have not changed anything on chain
+  if (!status || status === 'pending' || status.startsWith('dropped')) return;
+  
+  if (address === state.address) {
+    // Failed txs still pay a fee
+    queueRefresh({ balances: true });
+  } else if (status === 'success' && (state.useRouter || address === pool?.contractId)) {
+    queueRefresh({ reserves: true });
+  }
+}
+
+function renderLiveBadge(mode) {
+  if (!elements.liveBadge) return;
+  
+  elements.liveBadge.classList.toggle('hidden', mode === 'stopped');
+  elements.liveBadge.classList.toggle('polling', mode === 'polling');
+  elements.liveBadge.textContent = mode === 'socket' ? 'Live' : 'Polling';
+  elements.liveBadge.title = mode === 'socket'
+    ? 'Prices and balances update as blocks and pool transactions arrive'
+    : `Websocket unavailable - checking for new blocks every ${chainWatcher.pollInterval / 1000}s`;
+}
+
+// ==============================================================================
+// TRANSACTION TRACKING
+// ==============================================================================
+
+/**
+ * Short description stored with a tracked swap, e.g. "Swap 1.5 ALEX → USDA (hop 1/2)"
+ */
+function swapLabel(step, hop) {
+  const amount = formatAmount(step.amountIn, step.tokenIn.decimals);
+  return `Swap ${amount} ${step.tokenIn.symbol} → ${step.tokenOut.symbol}` + (hop ? ` (hop ${hop})` : '');
+}
+
+/**
+ * Pool and reserves at submission, stored on the tracked tx so a slippage
+ * failure can report how far the pool moved. Reserves are kept as strings
+ * so the record stays JSON.
+ */
+function swapContext(quote, hopIndex) {
+  if (quote.hops) {
+    const hop = quote.hops[hopIndex];
+    return {
+      poolId: hop.pool.id,
+      xForY: hop.xForY,
+      reservesAtSubmit: [String(hop.reserveIn), String(hop.reserveOut)]
+    };
+  }
+  const reserveIn = state.swapDirection ? state.reserveX : state.reserveY;
+  const reserveOut = state.swapDirection ? state.reserveY : state.reserveX;
+  return {
+    poolId: pool.id,
+    xForY: state.swapDirection,
+    reservesAtSubmit: [String(reserveIn), String(reserveOut)]
+  };
+}
+
+/**
+ * Explain an aborted tx using the error catalog. For slippage failures the
+ * pool is re-read to show how far its price moved since submission.
+ */
+async function describeTxFailure(tx) {
+  if (tx.status === 'abort_by_post_condition') {
+    return 'A post-condition was not met, so no tokens moved';
+  }
+  if (tx.status === 'dropped') {
+    return 'Dropped from the mempool';
+  }
+  if (tx.errorCode === null || tx.errorCode === undefined) {
+    return tx.result ? `Failed with ${tx.result}` : 'Failed';
+  }
+  
+  const txPool = registry.get(tx.poolId) || pool;
+  const context = { tokenX: txPool?.tokenX, tokenY: txPool?.tokenY };
+  
+  if (tx.errorCode === 103 && tx.reservesAtSubmit && registry.get(tx.poolId)) {
+    try {
+      const reserves = await router.client(tx.poolId).getReserves();
+      const [reserveIn, reserveOut] = tx.reservesAtSubmit;
+      context.priceMove = priceChange(
+        { reserveIn, reserveOut },
+        tx.xForY ? { reserveIn: reserves.x, reserveOut: reserves.y } : { reserveIn: reserves.y, reserveOut: reserves.x }
+      );
+    } catch (e) {
+      console.error('Failed to re-read reserves:', e);
+    }
+  }
+  
+  return describePoolError(tx.errorCode, context);
+}
+
+const TX_STATUS_LABELS = {
+  pending: 'Pending',
+  success: 'Confirmed',
+  abort_by_response: 'Failed',
+  abort_by_post_condition: 'Post-condition failed',
+  dropped: 'Dropped'
+};
+
+/**
+ * Tracker callback: report final states and refresh once a tx has confirmed
+ */
+async function handleTxUpdate(tx) {
+  renderTxList();
+  if (!isFinalStatus(tx.status)) return;
+  
+  // A sped-up or cancelled tx is dropped once its replacement is mined
+  if (tx.status === 'dropped' && tx.replacedBy) return;
+  
+  if (tx.status === 'success') {
+    showStatus(`${tx.label} confirmed`, 'success');
     setTimeout(hideStatus, 5000);
+  } else {
+    const errorMessage = await describeTxFailure(tx);
+    txTracker.update(tx.txId, { errorMessage });
+    renderTxList();
+    showStatus(`${tx.label} failed: ${errorMessage}`, 'error');
+  }
+  
+  // Failed txs still pay a fee, so balances change either way
+  await Promise.all([fetchBalances(), fetchReserves(), fetchNonces(), loadHistory(state.historyPage)]);
+}
+
+// Whether the connected wallet can speed up or cancel a tracked tx
+function canReplace(tx) {
+  return !isFinalStatus(tx.status) && !tx.replacedBy && tx.nonce !== null && tx.nonce !== undefined &&
+    tx.sender === state.address && !state.wallet?.readOnly && Boolean(state.wallet?.publicKey);
+}
+
+function renderTxList() {
+  if (!elements.txList) return;
+  
+  const txs = txTracker.list().slice(0, 5);
+  const missing = state.accountNonces?.missing || [];
+  elements.txList.classList.toggle('hidden', txs.length === 0 && missing.length === 0);
+  elements.txList.innerHTML = (missing.length > 0 ? `
+      <div class="tx-error">Nonce ${missing.join(', ')} was never used, so your later transactions cannot confirm until a transaction fills it.</div>
+    ` : '') + txs.map(tx => {
+    const replaced = tx.status === 'dropped' && tx.replacedBy;
+    const statusClass = tx.status === 'success' ? 'success' : (isFinalStatus(tx.status) && !replaced ? 'failed' : '');
+    const statusText = replaced ? 'Replaced' : (TX_STATUS_LABELS[tx.status] || tx.status);
+    const detail = tx.errorCode !== null && tx.errorCode !== undefined
+      ? ` · err u${tx.errorCode}`
+      : (!isFinalStatus(tx.status) && tx.nonce !== null && tx.nonce !== undefined ? ` · nonce ${tx.nonce}` : '');
+    return `
+      <div class="tx-row" ${tx.errorMessage ? `title="${tx.errorMessage}"` : ''}>
+        <a href="${explorerTxUrl(NETWORK, tx.txId)}" target="_blank" rel="noopener">${tx.label || tx.txId.slice(0, 10)}</a>
+        <span class="tx-status ${statusClass}">${statusText}${detail}</span>
+      </div>
+      ${canReplace(tx) ? `
+      <div class="tx-actions">
+        <button class="btn btn-secondary btn-sm" data-action="speedUp" data-tx-id="${tx.txId}">Speed up</button>
+        <button class="btn btn-secondary btn-sm" data-action="cancel" data-tx-id="${tx.txId}">Cancel</button>
+      </div>` : ''}
+      ${tx.errorMessage ? `<div class="tx-error">${tx.errorMessage}</div>` : ''}
+    `;
+  }).join('');
+}
+
+async function fetchNonces() {
+  if (!state.address) return;
+  
+  const address = state.address;
+  try {
+    const nonces = await fetchAccountNonces({ apiUrl: NETWORK.apiUrl, address });
+    if (address !== state.address) return;
+    state.accountNonces = nonces;
+  } catch (error) {
+    console.error('Failed to fetch account nonces:', error);
+  }
+  renderTxList();
+}
+
+/**
+ * Speed up or cancel a pending tx by replacing it at its nonce with a
+ * higher fee. The wallet signs a transaction built here, so it must have
+ * shared its public key.
+ */
+async function replacePendingTx(txId, action) {
+  const tx = txTracker.get(txId);
+  if (!tx || !canReplace(tx)) return;
+  
+  const verb = action === 'cancel' ? 'Cancel' : 'Speed up';
+  showStatus(`Please confirm the ${verb.toLowerCase()} in wallet...`, 'pending');
+  try {
+    const replacement = await replaceTransaction({
+      action,
+      txId,
+      apiUrl: NETWORK.apiUrl,
+      chain: NETWORK.chain,
+      publicKey: state.wallet.publicKey,
+      sign: signAndBroadcastTransaction
+    });
+    // A cancel is a plain STX transfer, so it keeps none of the swap context
+    txTracker.replace(txId, replacement.txId, action === 'cancel'
+      ? { label: `Cancel: ${tx.label}` }
+      : { ...tx, label: `Speed up: ${tx.label}` });
+    showStatus(`${verb} submitted at nonce ${replacement.nonce} with a ${formatUnits(replacement.fee, 6)} STX fee. TX: ${replacement.txId.slice(0, 10)}...`, 'pending');
+  } catch (error) {
+    console.error(`${verb} failed:`, error);
+    showStatus(`${verb} failed: ${error?.message || 'Unknown error'}`, 'error');
+  }
+}
+
+// ==============================================================================
+// HISTORY
+// ==============================================================================
+
+// Bumped per load so a slow response for an old page, filter or address is dropped
+let historyRequest = 0;
+
+/**
+ * Load one page of the connected address's calls to the selected pool.
+ * Page 0 starts over, e.g. after the filter, pool or address changed.
+ */
+async function loadHistory(page = 0) {
+  if (!elements.historyCard) return;
+  
+  const visible = Boolean(state.address && pool);
+  elements.historyCard.classList.toggle('hidden', !visible);
+  if (!visible) return;
+  
+  if (page === 0) state.historyOffsets = [0];
+  const request = ++historyRequest;
+  const action = elements.historyFilter.value;
+  elements.historyList.innerHTML = '<div class="history-empty">Loading...</div>';
+  
+  try {
+    const { entries, nextOffset } = await pool.getHistory(state.address, {
+      actions: action ? [action] : undefined,
+      limit: CONFIG.historyPageSize,
+      offset: state.historyOffsets[page]
+    });
+    if (request !== historyRequest) return;
+    
+    state.historyPage = page;
+    state.historyOffsets[page + 1] = nextOffset;
+    renderHistory(entries);
+  } catch (error) {
+    if (request !== historyRequest) return;
+    console.error('Failed to load history:', error);
+    elements.historyList.innerHTML = '<div class="history-empty">Could not load history. Try again later.</div>';
+  }
+}
+
+/**
+ * Amounts of one side of an entry, e.g. "1.50 ALEX + 420.00 USDA"
+ */
+function formatHistoryLegs(legs) {
+  return legs
+    .map(leg => `${leg.minimum ? 'min ' : ''}${formatAmount(leg.amount, leg.token.decimals)} ${leg.token.symbol}`)
+    .join(' + ');
+}
+
+function renderHistory(entries) {
+  const page = state.historyPage;
+  elements.historyPageLabel.textContent = `Page ${page + 1}`;
+  elements.historyPrev.disabled = page === 0;
+  elements.historyNext.disabled = state.historyOffsets[page + 1] === null;
+  
+  if (entries.length === 0) {
+    elements.historyList.innerHTML = `<div class="history-empty">${page === 0 ? 'No transactions with this pool yet' : 'No more transactions'}</div>`;
+    return;
+  }
+  
+  elements.historyList.innerHTML = entries.map(entry => {
+    const statusClass = entry.status === 'success' ? 'success' : (isFinalStatus(entry.status) ? 'failed' : '');
+    const legsOut = entry.amountsOut.length > 0 ? ` → ${formatHistoryLegs(entry.amountsOut)}` : '';
+    const details = [];
+    if (entry.price) {
+      const { base, quote, value } = entry.price;
+      details.push(`1 ${base.symbol} = ${formatUnits(value, quote.decimals, { maxDecimals: 6 })} ${quote.symbol}`);
+    }
+    if (entry.fee) details.push(`Fee ${formatAmount(entry.fee.amount, entry.fee.token.decimals)} ${entry.fee.token.symbol}`);
+    if (entry.networkFee !== null) details.push(`Network fee ${formatAmount(entry.networkFee, 6)} STX`);
+    if (entry.time) details.push(new Date(entry.time).toLocaleString());
+    const error = entry.errorCode !== null
+      ? describePoolError(entry.errorCode, { tokenX: pool.tokenX, tokenY: pool.tokenY })
+      : null;
+    
+    return `
+      <div class="history-entry">
+        <div class="tx-row">
+          <a href="${explorerTxUrl(NETWORK, entry.txId)}" target="_blank" rel="noopener">
+            ${HISTORY_LABELS[entry.action]}: ${formatHistoryLegs(entry.amountsIn)}${legsOut}
+          </a>
+          <span class="tx-status ${statusClass}">${TX_STATUS_LABELS[entry.status] || entry.status}</span>
+        </div>
+        <div class="history-detail">${details.join(' · ')}</div>
+        ${error ? `<div class="tx-error">${error}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Download the calls matching the history filter as CSV or JSON, in the
+ * chosen column layout: all of them, or the CONFIG.exportMaxEntries most
+ * recent
+ */
+async function exportHistoryFile() {
+  if (!state.address || !pool) return;
+  
+  const format = elements.exportFormat.value;
+  const action = elements.historyFilter.value;
+  elements.exportBtn.disabled = true;
+  showStatus('Loading history for export...', 'pending');
+  
+  try {
+    // One past the limit tells whether anything was left out
+    const fetched = await pool.getFullHistory(state.address, {
+      actions: action ? [action] : undefined,
+      maxEntries: CONFIG.exportMaxEntries + 1
+    });
+    const truncated = fetched.length > CONFIG.exportMaxEntries;
+    const entries = fetched.slice(0, CONFIG.exportMaxEntries);
+    const contents = exportHistory(entries, {
+      format,
+      layout: elements.exportLayout.value,
+      lpSymbol: `${pool.tokenX.symbol}-${pool.tokenY.symbol}-LP`
+    });
+    
+    const blob = new Blob([contents], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `stacks-dex-${pool.id}-${state.address}.${format}`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    if (truncated) {
+      // Left up: the file is missing the older calls
+      showStatus(`Exported the ${entries.length} most recent transactions only; older ones are over the export limit`, 'success');
+    } else {
+      showStatus(`Exported ${entries.length} transaction(s)`, 'success');
+      setTimeout(hideStatus, 5000);
+    }
+  } catch (error) {
+    console.error('Export failed:', error);
+    showStatus(`Export failed: ${error.message}`, 'error');
+  } finally {
+    elements.exportBtn.disabled = false;
   }
 }
 
@@ -1225,8 +1656,21 @@ function setSlippage(value) {
   updateSwapDetails();
 }
 
+function setFeeTier(tier) {
+  if (!FEE_TIERS.includes(tier)) return;
+  state.feeTier = tier;
+  elements.feeTierBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.tier === tier));
+  try {
+    localStorage.setItem(CONFIG.storageKeys.feeTier, tier);
+  } catch (e) {
+    // Storage unavailable - setting only lasts for this session
+  }
+  renderNetworkFee();
+}
+
 function setCustomSlippage(value) {
-  const slippage = parseFloat(value);
+  // Whole basis points: slippage math runs in bps (percentToBps)
+  const slippage = Math.round(parseFloat(value) * 100) / 100;
   if (!isNaN(slippage) && slippage >= 0.01 && slippage <= 50) {
     state.slippage = slippage;
     elements.slippageBtns.forEach(btn => btn.classList.remove('active'));
@@ -1234,6 +1678,29 @@ function setCustomSlippage(value) {
   }
 }
 
+async function setRouterEnabled(enabled) {
+  state.useRouter = enabled;
+  state.quoteAnchor = null;
+  try {
+    localStorage.setItem(CONFIG.storageKeys.router, enabled ? 'on' : 'off');
+  } catch (e) {
+    // Storage unavailable - setting only lasts for this session
+  }
+  updateDirectionAvailability();
+  await fetchReserves();
+}
+
+async function setPendingAware(enabled) {
+  state.pendingAware = enabled;
+  try {
+    localStorage.setItem(CONFIG.storageKeys.pending, enabled ? 'on' : 'off');
+  } catch (e) {
+    // Storage unavailable - setting only lasts for this session
+  }
+  await fetchPending();
+  updateSwapDetails();
+}
+
 function setDeadline(value) {
   const blocks = parseInt(value);
   if (!isNaN(blocks) && blocks >= 1 && blocks <= 100) {
@@ -1241,6 +1708,38 @@ function setDeadline(value) {
   }
 }
 
+function renderNetworkOptions() {
+  if (elements.networkBadge) {
+    elements.networkBadge.textContent = networkLabel(NETWORK);
+    elements.networkBadge.classList.toggle('testnet', NETWORK.chain !== 'mainnet');
+  }
+  if (elements.networkSelect) {
+    elements.networkSelect.innerHTML = Object.values(NETWORKS).map(n => `
+      <option value="${n.id}" ${n.id === NETWORK.id ? 'selected' : ''}>${n.label}</option>
+    `).join('');
+  }
+  if (elements.nodeUrl) {
+    elements.nodeUrl.value = NETWORK.customNode ? NETWORK.apiUrl : '';
+    elements.nodeUrl.placeholder = NETWORKS[elements.networkSelect?.value || NETWORK.id].apiUrl;
+  }
+}
+
+/**
+ * Apply the network / custom node from the settings form. Reloads the page.
+ */
+function applyNetworkSettings() {
+  const id = elements.networkSelect.value;
+  const nodeUrl = elements.nodeUrl.value.trim();
+  
+  if (nodeUrl && !/^https?:\/\//.test(nodeUrl)) {
+    showStatus('Node URL must start with http:// or https://', 'error');
+    return;
+  }
+  if (id === NETWORK.id && nodeUrl === (NETWORK.customNode ? NETWORK.apiUrl : '')) return;
+  
+  switchNetwork(id, nodeUrl);
+}
+
 // ==============================================================================
 // EVENT LISTENERS
 // ==============================================================================
@@ -1250,23 +1749,41 @@ function initEventListeners() {
   elements.connectBtn?.addEventListener('click', connectWallet);
   elements.disconnectBtn?.addEventListener('click', disconnectWallet);
   
+  // Pool selector
+  elements.poolSelect?.addEventListener('change', (e) => selectPool(e.target.value));
+  
   // Swap direction toggle
   elements.swapDirectionBtn?.addEventListener('click', switchSwapDirection);
   
   // Swap inputs
-  elements.inputAmount?.addEventListener('input', updateSwapDetails);
+  elements.inputAmount?.addEventListener('input', () => setExactOutput(false));
+  elements.outputAmount?.addEventListener('input', () => setExactOutput(true));
   
   // Max button
   elements.maxBtn?.addEventListener('click', () => {
+    if (!pool) return;
     const maxBalance = state.swapDirection ? state.balanceX : state.balanceY;
-    const decimals = state.swapDirection ? CONFIG.tokenX.decimals : CONFIG.tokenY.decimals;
-    elements.inputAmount.value = formatAmount(maxBalance, decimals).replace(/,/g, '');
-    updateSwapDetails();
+    const decimals = state.swapDirection ? pool.tokenX.decimals : pool.tokenY.decimals;
+    elements.inputAmount.value = formatUnits(maxBalance, decimals);
+    setExactOutput(false);
   });
   
   // Swap button
   elements.swapBtn?.addEventListener('click', executeSwap);
   
+  // Speed up / cancel buttons in the recent transactions
+  elements.txList?.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (button) replacePendingTx(button.dataset.txId, button.dataset.action);
+  });
+  elements.quoteAcceptBtn?.addEventListener('click', acceptQuote);
+  
+  // History
+  elements.historyFilter?.addEventListener('change', () => loadHistory());
+  elements.historyPrev?.addEventListener('click', () => loadHistory(state.historyPage - 1));
+  elements.historyNext?.addEventListener('click', () => loadHistory(state.historyPage + 1));
+  elements.exportBtn?.addEventListener('click', exportHistoryFile);
+  
   // Settings
   elements.settingsBtn?.addEventListener('click', openSettings);
   elements.closeSettings?.addEventListener('click', closeSettings);
@@ -1276,7 +1793,14 @@ function initEventListeners() {
   });
   
   elements.customSlippage?.addEventListener('input', (e) => setCustomSlippage(e.target.value));
+  elements.feeTierBtns?.forEach(btn => {
+    btn.addEventListener('click', () => setFeeTier(btn.dataset.tier));
+  });
   elements.deadlineBlocks?.addEventListener('input', (e) => setDeadline(e.target.value));
+  elements.routerToggle?.addEventListener('change', (e) => setRouterEnabled(e.target.checked));
+  elements.pendingToggle?.addEventListener('change', (e) => setPendingAware(e.target.checked));
+  elements.networkSelect?.addEventListener('change', applyNetworkSettings);
+  elements.nodeUrl?.addEventListener('change', applyNetworkSettings);
   
   // Close settings on backdrop click
   elements.settingsModal?.addEventListener('click', (e) => {
@@ -1299,36 +1823,47 @@ function initEventListeners() {
 
 async function init() {
   console.log('Initializing Stacks DEX...');
+  console.log('Network:', NETWORK.id, NETWORK.apiUrl);
   console.log('Detected wallets:', detectWallets().map(w => w.name));
   
   initEventListeners();
+  renderNetworkOptions();
+  renderPoolOptions();
+  updatePoolDisplay();
+  if (elements.routerToggle) elements.routerToggle.checked = state.useRouter;
+  if (elements.pendingToggle) elements.pendingToggle.checked = state.pendingAware;
+  setFeeTier(state.feeTier);
   updateUI();
   
-  // Fetch initial data
-  await fetchReserves();
+  if (!pool) {
+    showStatus(`No pools are registered for ${NETWORK.label}. Add its deployments to src/config/pools.json.`, 'error');
+  }
   
-  // Check for existing WalletConnect session
-  try {
-    await initializeWalletConnect();
-    if (universalProvider?.session) {
-      state.providerType = 'walletconnect';
-      state.provider = universalProvider;
-      state.session = universalProvider.session;
-      
-      const response = await universalProvider.request({
-        method: 'stx_getAddresses',
-        params: {}
-      }, STACKS_CHAIN_ID);
-      
-      if (response?.addresses?.[0]?.address) {
-        state.address = response.addresses[0].address;
-        state.connected = true;
-        updateUI();
-        await fetchBalances();
+  // Resume polling transactions that were pending before a reload
+  txTracker.resume();
+  renderTxList();
+  if (txTracker.pending().length > 0) {
+    showStatus(`Waiting for ${txTracker.pending().length} pending transaction(s)...`, 'pending');
+  }
+  
+  // Fetch initial data while the contracts' capabilities are read
+  await Promise.all([fetchReserves(), detectCapabilities()]);
+  
+  // Keep it current: every registered pool can be part of a route
+  registry.list().forEach(p => chainWatcher.watch(`${p.contract.address}.${p.contract.name}`));
+  chainWatcher.start();
+  
+  // Reconnect a wallet session that survived the reload (WalletConnect)
+  for (const wallet of walletAdapters) {
+    try {
+      const address = await wallet.restore();
+      if (address) {
+        await setConnectedWallet(wallet, address);
+        break;
       }
+    } catch (e) {
+      console.log(`No existing ${wallet.name} session`);
     }
-  } catch (e) {
-    console.log('No existing session');
   }
   
   console.log('DEX initialized');
@@ -0,0 +1,134 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Charts
+ * ==============================================================================
+ *
+ * Minimal SVG line and bar charts for the analytics page. Each returns markup
+ * for a fixed viewBox that scales to its container's width; values are plain
+ * numbers already converted from base units for display.
+ * ==============================================================================
+ */
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PAD = { top: 12, right: 12, bottom: 24, left: 64 };
+
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+
+/**
+ * Step line: each value holds until the next point
+ * @param {Array<{t: number, v: number}>} points - Oldest first; t in ms
+ * @param {Object} [options]
+ * @param {Function} [options.formatValue] - Axis and tooltip label for a value
+ * @param {number} [options.from] - Left edge (ms); defaults to the first point
+ * @param {number} [options.to] - Right edge (ms); defaults to the last point
+ * @returns {string} SVG markup
+ */
+export function lineChart(points, { formatValue = String, from, to } = {}) {
+  if (points.length === 0) return emptyChart();
+
+  const start = from ?? points[0].t;
+  const end = Math.max(to ?? points[points.length - 1].t, start + 1);
+  const [min, max] = valueRange(points.map(p => p.v), false);
+
+  const x = t => PAD.left + (Math.max(t, start) - start) / (end - start) * PLOT_W;
+  const y = v => PAD.top + (max - v) / (max - min) * PLOT_H;
+
+  let path = `M${x(points[0].t).toFixed(1)},${y(points[0].v).toFixed(1)}`;
+  for (let i = 1; i < points.length; i++) {
+    path += ` H${x(points[i].t).toFixed(1)} V${y(points[i].v).toFixed(1)}`;
+  }
+  path += ` H${x(end).toFixed(1)}`;
+
+  const dots = points.map(p =>
+    `<circle cx="${x(p.t).toFixed(1)}" cy="${y(p.v).toFixed(1)}" r="2.5" class="chart-dot">` +
+    `<title>${escape(`${formatTime(p.t)}: ${formatValue(p.v)}`)}</title></circle>`
+  ).join('');
+
+  return frame(
+    axes(min, max, formatValue) +
+    timeLabels(formatTime(start), formatTime(end)) +
+    `<path d="${path}" class="chart-line" fill="none"/>` +
+    dots
+  );
+}
+
+/**
+ * Vertical bars, one per labelled value
+ * @param {Array<{label: string, v: number}>} bars - In display order
+ * @param {Object} [options]
+ * @param {Function} [options.formatValue] - Axis and tooltip label for a value
+ * @returns {string} SVG markup
+ */
+export function barChart(bars, { formatValue = String } = {}) {
+  if (bars.length === 0) return emptyChart();
+
+  const [, max] = valueRange(bars.map(b => b.v), true);
+  const slot = PLOT_W / bars.length;
+  const width = Math.max(1, slot * 0.7);
+
+  const rects = bars.map((bar, i) => {
+    const height = bar.v / max * PLOT_H;
+    return `<rect x="${(PAD.left + i * slot + (slot - width) / 2).toFixed(1)}" ` +
+      `y="${(PAD.top + PLOT_H - height).toFixed(1)}" width="${width.toFixed(1)}" ` +
+      `height="${height.toFixed(1)}" class="chart-bar">` +
+      `<title>${escape(`${bar.label}: ${formatValue(bar.v)}`)}</title></rect>`;
+  }).join('');
+
+  return frame(
+    axes(0, max, formatValue) +
+    timeLabels(bars[0].label, bars[bars.length - 1].label) +
+    rects
+  );
+}
+
+// ==============================================================================
+// HELPERS
+// ==============================================================================
+
+// Axis bounds with some headroom; bars always start at zero
+function valueRange(values, fromZero) {
+  let min = fromZero ? 0 : Math.min(...values);
+  let max = Math.max(...values);
+  if (max === min) {
+    max = max === 0 ? 1 : max * 1.1;
+    min = fromZero ? 0 : min * 0.9;
+  } else if (!fromZero) {
+    const margin = (max - min) * 0.1;
+    min -= margin;
+    max += margin;
+  }
+  return [min, max];
+}
+
+function frame(content) {
+  return `<svg viewBox="0 0 ${WIDTH} ${HEIGHT}" class="chart" role="img">${content}</svg>`;
+}
+
+function emptyChart() {
+  return frame(`<text x="${WIDTH / 2}" y="${HEIGHT / 2}" text-anchor="middle" class="chart-label">No data in this window</text>`);
+}
+
+// Horizontal gridlines at the bottom, middle and top of the value range
+function axes(min, max, formatValue) {
+  return [min, (min + max) / 2, max].map((value, i) => {
+    const y = (PAD.top + PLOT_H - i * PLOT_H / 2).toFixed(1);
+    return `<line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${y}" y2="${y}" class="chart-grid"/>` +
+      `<text x="${PAD.left - 6}" y="${y}" dy="4" text-anchor="end" class="chart-label">${escape(formatValue(value))}</text>`;
+  }).join('');
+}
+
+function timeLabels(first, last) {
+  const y = HEIGHT - 6;
+  return `<text x="${PAD.left}" y="${y}" class="chart-label">${escape(first)}</text>` +
+    `<text x="${WIDTH - PAD.right}" y="${y}" text-anchor="end" class="chart-label">${escape(last)}</text>`;
+}
+
+function formatTime(t) {
+  return new Date(t).toISOString().slice(0, 16).replace('T', ' ');
+}
+
+function escape(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -0,0 +1,253 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Deploy Page
+ * ==============================================================================
+ *
+ * Deploys any contract in contracts/ with the connected wallet. Sources come
+ * from the build (virtual:contracts in vite.config.js), never from pasted
+ * copies. The page reads back whatever is deployed under the chosen name
+ * (/v2/contracts/source) and compares it with the repo copy, before the
+ * deployment and again once it confirms.
+ * ==============================================================================
+ */
+
+import { StacksMainnet, StacksTestnet } from '@stacks/network';
+import contracts from 'virtual:contracts';
+import {
+  NETWORKS,
+  explorerTxUrl,
+  TxTracker,
+  isFinalStatus,
+  parseUnits
+} from './sdk/index.js';
+import { activeNetwork as NETWORK, switchNetwork, networkLabel } from './network.js';
+import { LeatherAdapter, XverseAdapter } from './wallets/index.js';
+
+const CONFIG = {
+  // Pool contracts are large; wallets tend to underestimate their fee
+  defaultFeeStx: '0.6',
+  defaultContract: 'contracts/pool-v5.clar',
+};
+
+const stacksNetwork = NETWORK.chain === 'mainnet'
+  ? new StacksMainnet({ url: NETWORK.apiUrl })
+  : new StacksTestnet({ url: NETWORK.apiUrl });
+const wallets = [
+  new LeatherAdapter({ network: NETWORK, stacksNetwork }),
+  new XverseAdapter({ network: NETWORK, stacksNetwork })
+];
+
+const txTracker = new TxTracker({
+  apiUrl: NETWORK.apiUrl,
+  network: NETWORK.id,
+  storage: getStorage(),
+  onUpdate: handleTxUpdate
+});
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // Storage unavailable - track in memory only
+    return null;
+  }
+}
+
+let state = {
+  wallet: null,
+  address: null,
+  contract: contracts.find(c => c.path === CONFIG.defaultContract) || contracts[0],
+  // Whether sender.name already exists on chain
+  deployed: false,
+};
+
+// Bumped per on-chain check so a slow response for an old name is dropped
+let checkRequest = 0;
+
+// Source of a deployed contract, or null if none exists under that id
+async function fetchContractSource(address, name) {
+  const response = await fetch(`${NETWORK.apiUrl}/v2/contracts/source/${address}/${name}?proof=0`);
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(`Failed to read ${address}.${name}: HTTP ${response.status}`);
+  }
+  return (await response.json()).source;
+}
+
+// Show the selected contract, then check the chain for it
+async function renderContract() {
+  const contract = state.contract;
+  document.getElementById('contractName').value = contract.name;
+  document.getElementById('sourcePath').textContent = contract.path;
+  document.getElementById('sourceSize').textContent = `${contract.source.length.toLocaleString()} characters`;
+  document.getElementById('sourceHash').textContent = contract.sha256;
+  document.getElementById('sourcePreview').textContent = contract.source;
+
+  await checkOnChain();
+}
+
+// Compare whatever is deployed at deployer.name with the repo copy
+async function checkOnChain() {
+  const el = document.getElementById('onChain');
+  const name = document.getElementById('contractName').value.trim();
+  state.deployed = false;
+  el.className = 'info-value';
+  updateDeployButton();
+
+  if (!state.address) {
+    el.textContent = `Connect to check ${name || 'the name'}`;
+    return;
+  }
+
+  const request = ++checkRequest;
+  el.textContent = `Checking ${state.address}.${name}...`;
+  try {
+    const source = await fetchContractSource(state.address, name);
+    if (request !== checkRequest) return;
+
+    if (source === null) {
+      el.textContent = 'Not deployed';
+    } else {
+      state.deployed = true;
+      const identical = source === state.contract.source;
+      el.classList.add(identical ? 'ok' : 'bad');
+      el.textContent = identical
+        ? `Deployed, identical to ${state.contract.path}`
+        : `Name taken by a source that differs from ${state.contract.path}`;
+    }
+  } catch (error) {
+    if (request !== checkRequest) return;
+    el.textContent = error.message;
+  }
+  updateDeployButton();
+}
+
+function updateDeployButton() {
+  const button = document.getElementById('deployBtn');
+  const name = document.getElementById('contractName').value.trim();
+  button.disabled = !state.address || state.deployed;
+  button.textContent = `Deploy ${state.address ? `${state.address.slice(0, 8)}...` : ''}.${name}`;
+}
+
+async function connectWallet() {
+  const wallet = wallets.find(w => w.isAvailable());
+  if (!wallet) {
+    showStatus('No supported wallet found. Install Leather (leather.io) or Xverse (xverse.app)', 'error');
+    return;
+  }
+
+  try {
+    state.address = await wallet.connect();
+    state.wallet = wallet;
+    document.getElementById('deployer').textContent = `${state.address} (${wallet.name})`;
+    document.getElementById('connectBtn').style.display = 'none';
+    await checkOnChain();
+  } catch (error) {
+    showStatus(`Failed to connect: ${error.message}`, 'error');
+  }
+}
+
+async function deployContract() {
+  const name = document.getElementById('contractName').value.trim();
+  if (!/^[a-zA-Z]([a-zA-Z0-9]|[-_])*$/.test(name) || name.length > 128) {
+    showStatus('Contract names start with a letter and use letters, digits, - and _', 'error');
+    return;
+  }
+
+  let fee;
+  try {
+    fee = parseUnits(document.getElementById('deployFee').value, 6);
+  } catch (error) {
+    showStatus('Enter a valid fee in STX (up to 6 decimals)', 'error');
+    return;
+  }
+
+  showStatus(`Please confirm the deployment in ${state.wallet.name}...`, 'pending');
+  try {
+    const txid = await state.wallet.deployContract({
+      name,
+      source: state.contract.source,
+      clarityVersion: document.getElementById('clarityVersion').value,
+      fee: Number(fee)
+    });
+    txTracker.track(txid, { label: `Deploy ${state.address}.${name}` });
+    showStatus('Deployment submitted, waiting for confirmation...', 'pending', [txLink(txid, `${txid.slice(0, 16)}...`)]);
+  } catch (error) {
+    showStatus(`Error: ${error.message || 'Unknown'}`, 'error');
+  }
+}
+
+// Render the network switcher; switching reloads the page
+function renderNetworkSelector() {
+  const select = document.getElementById('networkSelect');
+  select.innerHTML = Object.values(NETWORKS).map(n => `
+    <option value="${n.id}" ${n.id === NETWORK.id ? 'selected' : ''}>${n.id === NETWORK.id ? networkLabel(NETWORK) : n.label}</option>
+  `).join('');
+}
+
+function renderContractSelector() {
+  const select = document.getElementById('contractSelect');
+  select.innerHTML = contracts.map(c => `
+    <option value="${c.path}" ${c === state.contract ? 'selected' : ''}>${c.path}</option>
+  `).join('');
+}
+
+function txLink(txid, text) {
+  return { href: explorerTxUrl(NETWORK, txid), text, external: true };
+}
+
+// Tracker callback: report the final state and re-check the name
+async function handleTxUpdate(tx) {
+  if (!isFinalStatus(tx.status)) return;
+
+  const label = tx.label || tx.txId.slice(0, 16);
+  const link = txLink(tx.txId, 'View transaction');
+  if (tx.status === 'success') {
+    showStatus(`✅ ${label} confirmed. Register it in src/config/pools.json, then initialize the pool.`, 'success',
+      [link, { href: '/init.html', text: 'Initialize' }]);
+  } else if (tx.status === 'dropped') {
+    showStatus(`${label} was dropped from the mempool`, 'error', [link]);
+  } else {
+    showStatus(`${label} failed: ${tx.result || tx.status}`, 'error', [link]);
+  }
+  // Reads the new contract back and compares it with the repo copy
+  await checkOnChain();
+}
+
+/**
+ * Status message as text, followed by any links ({ href, text, external })
+ */
+function showStatus(message, type, links = []) {
+  const box = document.createElement('div');
+  box.className = `status ${type}`;
+  box.textContent = message;
+  for (const { href, text, external } of links) {
+    const a = document.createElement('a');
+    a.href = href;
+    a.textContent = text;
+    if (external) {
+      a.target = '_blank';
+      a.rel = 'noopener';
+    }
+    box.append(' ', a);
+  }
+  document.getElementById('status').replaceChildren(box);
+}
+
+// Event listeners
+document.getElementById('networkSelect').addEventListener('change', (e) => switchNetwork(e.target.value));
+document.getElementById('contractSelect').addEventListener('change', (e) => {
+  state.contract = contracts.find(c => c.path === e.target.value);
+  renderContract();
+});
+document.getElementById('contractName').addEventListener('change', checkOnChain);
+document.getElementById('contractName').addEventListener('input', updateDeployButton);
+document.getElementById('connectBtn').addEventListener('click', connectWallet);
+document.getElementById('deployBtn').addEventListener('click', deployContract);
+
+// Initialize
+document.getElementById('deployFee').value = CONFIG.defaultFeeStx;
+renderNetworkSelector();
+renderContractSelector();
+renderContract();
+txTracker.resume();
@@ -0,0 +1,498 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Initialization Page
+ * ==============================================================================
+ *
+ * Guided first deposit for any pool in the registry. The starting price is
+ * typed in or taken from another registered pool of the same pair; one
+ * amount is entered and the other derived at each token's decimals
+ * (sdk/initialize.js). The page predicts the shares initialize-pool mints,
+ * refuses deposits the contract would reject, and re-reads the reserves
+ * right before asking the wallet to sign.
+ * ==============================================================================
+ */
+
+import { StacksMainnet, StacksTestnet } from '@stacks/network';
+import {
+  PoolRegistry,
+  poolLabel,
+  NETWORKS,
+  explorerTxUrl,
+  TxTracker,
+  isFinalStatus,
+  parseErrorCode,
+  describePoolError,
+  parseUnits,
+  formatUnits,
+  priceChange,
+  spotPrice,
+  priceRatio,
+  MINIMUM_LIQUIDITY
+} from './sdk/index.js';
+import { activeNetwork as NETWORK, switchNetwork, networkLabel } from './network.js';
+import { LeatherAdapter, XverseAdapter } from './wallets/index.js';
+import poolManifest from './config/pools.json';
+
+const CONFIG = {
+  // Shared with the other pages so all show the same pool
+  poolStorageKey: 'stacks-dex:pool',
+  // Largest gap (percent) between the target and the price the amounts set
+  maxDeviation: 0.5,
+  // Warn when a typed price is this far (percent) from a live reference pool
+  referenceWarning: 2,
+};
+
+const clientOptions = { network: NETWORK.id, apiUrl: NETWORK.apiUrl };
+const registry = new PoolRegistry(poolManifest[NETWORK.id]);
+
+const stacksNetwork = NETWORK.chain === 'mainnet'
+  ? new StacksMainnet({ url: NETWORK.apiUrl })
+  : new StacksTestnet({ url: NETWORK.apiUrl });
+const wallets = [
+  new LeatherAdapter({ network: NETWORK, stacksNetwork }),
+  new XverseAdapter({ network: NETWORK, stacksNetwork })
+];
+
+function loadSelectedPoolId() {
+  try {
+    const saved = localStorage.getItem(CONFIG.poolStorageKey);
+    if (saved && registry.get(saved)) return saved;
+  } catch (e) {
+    // Storage unavailable - use default
+  }
+  return registry.getDefault()?.id ?? null;
+}
+
+// Null when the active network has no registered pools
+const initialPoolId = loadSelectedPoolId();
+let pool = initialPoolId ? registry.createClient(initialPoolId, clientOptions) : null;
+
+const txTracker = new TxTracker({
+  apiUrl: NETWORK.apiUrl,
+  network: NETWORK.id,
+  storage: getStorage(),
+  onUpdate: handleTxUpdate
+});
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // Storage unavailable - track in memory only
+    return null;
+  }
+}
+
+let state = {
+  wallet: null,
+  address: null,
+  // Selected pool's reserves; null until read
+  reserves: null,
+  // Other registered pools of the same pair: [{ pool, reserves }]
+  references: [],
+  // Connected wallet's balances of both tokens; null until read
+  balances: null,
+  // 'target' or the id of a reference pool
+  priceSource: 'target',
+};
+
+// Where the version shown was read from (see sdk/capabilities.js)
+const CAPABILITY_SOURCES = {
+  interface: 'contract interface',
+  'contract-info': 'get-contract-info',
+  manifest: 'pools.json, not verified on chain'
+};
+
+// Bumped per load so a slow response for an old pool is dropped
+let loadRequest = 0;
+
+// Format base units with decimals
+function formatAmount(amount, decimals) {
+  return formatUnits(amount, decimals, { group: true });
+}
+
+function formatPrice(price) {
+  return price === null ? '-' : formatUnits(price, pool.tokenY.decimals, { group: true }) + ' ' + pool.tokenY.symbol;
+}
+
+function isEmpty(reserves) {
+  return reserves.x === 0n && reserves.y === 0n;
+}
+
+// Read the pool and the other registered pools of its pair
+async function loadPoolState() {
+  if (!pool) return;
+
+  const client = pool;
+  const request = ++loadRequest;
+  state.reserves = null;
+  renderPlan();
+
+  try {
+    const peers = registry.list().filter(p =>
+      p.id !== client.id && p.tokenX === client.tokenX && p.tokenY === client.tokenY
+    ).map(p => registry.createClient(p.id, clientOptions));
+
+    const [reserves, references] = await Promise.all([
+      client.getReserves(),
+      Promise.all(peers.map(async (peer) => ({ pool: peer, reserves: await peer.getReserves() })))
+    ]);
+    if (request !== loadRequest) return;
+
+    state.reserves = reserves;
+    state.references = references;
+    renderReserves();
+    renderPriceSources();
+    renderPlan();
+  } catch (error) {
+    if (request !== loadRequest) return;
+    console.error('Failed to read pool state:', error);
+    showStatus('Failed to read ' + client.contractId + ': ' + error.message, 'error');
+  }
+}
+
+function renderReserves() {
+  const { reserves } = state;
+  const el = document.getElementById('poolState');
+  if (isEmpty(reserves)) {
+    el.innerHTML = '<span class="ok">Empty, ready to initialize</span>';
+    return;
+  }
+
+  el.innerHTML = '<span class="bad">Already initialized: ' +
+    formatAmount(reserves.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + ' + ' +
+    formatAmount(reserves.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol + '</span>';
+  showStatus('This pool already has liquidity. Add to it on the <a href="/liquidity.html">liquidity page</a>.', 'error');
+}
+
+// Typed price, plus every reference pool that has a price to copy
+function renderPriceSources() {
+  const select = document.getElementById('priceSource');
+  const options = ['<option value="target">Target price</option>'].concat(
+    state.references.filter(ref => !isEmpty(ref.reserves)).map(ref =>
+      '<option value="' + ref.pool.id + '">Reference: ' + poolLabel(registry.get(ref.pool.id)) +
+      ' (' + formatPrice(spotPrice(ref.reserves, pool)) + ')</option>'
+    )
+  );
+  select.innerHTML = options.join('');
+
+  if (!state.references.some(ref => ref.pool.id === state.priceSource && !isEmpty(ref.reserves))) {
+    state.priceSource = 'target';
+  }
+  select.value = state.priceSource;
+  renderPriceInput();
+}
+
+function renderPriceInput() {
+  const input = document.getElementById('price');
+  const reference = selectedReference();
+  input.disabled = reference !== null;
+  if (reference) {
+    input.value = formatUnits(spotPrice(reference.reserves, pool), pool.tokenY.decimals);
+  }
+}
+
+function selectedReference() {
+  return state.references.find(ref => ref.pool.id === state.priceSource) || null;
+}
+
+// Target proportion as a base-unit ratio; null when no valid price is set
+function currentRatio() {
+  const reference = selectedReference();
+  if (reference) return reference.reserves;
+
+  try {
+    return priceRatio(document.getElementById('price').value, pool.tokenX, pool.tokenY);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Plan for the typed amount at the current ratio; null while incomplete
+function currentPlan(ratio) {
+  if (!ratio) return null;
+
+  const side = document.getElementById('amountToken').value;
+  const token = side === 'x' ? pool.tokenX : pool.tokenY;
+  let amount;
+  try {
+    amount = parseUnits(document.getElementById('amount').value, token.decimals);
+  } catch (e) {
+    return null;
+  }
+  return pool.quoteInitialize(side === 'x' ? { amountX: amount, ratio } : { amountY: amount, ratio });
+}
+
+// Fill the preview and the checklist, and enable signing when all pass
+function renderPlan() {
+  if (!pool) return;
+
+  const { tokenX, tokenY } = pool;
+  const ratio = currentRatio();
+  const plan = currentPlan(ratio);
+  const minimum = ratio ? pool.quoteMinimumInitialize(ratio) : null;
+  const mintsShares = pool.supports('liquidity');
+
+  setText('depositX', plan ? formatAmount(plan.x, tokenX.decimals) + ' ' + tokenX.symbol : '-');
+  setText('depositY', plan ? formatAmount(plan.y, tokenY.decimals) + ' ' + tokenY.symbol : '-');
+  setText('startPrice', plan
+    ? formatPrice(plan.price) + (plan.deviation ? ' (' + formatPercent(plan.deviation) + ' from target)' : '')
+    : '-');
+  setText('initShares', !plan ? '-' : mintsShares
+    ? formatUnits(plan.shares, 0, { group: true })
+    : 'None (' + pool.id + ' has no LP shares)');
+  setText('minDeposit', minimum
+    ? formatAmount(minimum.x, tokenX.decimals) + ' ' + tokenX.symbol + ' + ' +
+      formatAmount(minimum.y, tokenY.decimals) + ' ' + tokenY.symbol
+    : '-');
+  renderReferenceNote(ratio);
+
+  const checks = [
+    {
+      label: 'Contract has initialize-pool',
+      ok: pool.supports('initialize')
+    },
+    {
+      label: 'Pool is empty',
+      ok: state.reserves ? isEmpty(state.reserves) : null
+    },
+    {
+      label: mintsShares
+        ? 'Mints more than ' + formatUnits(MINIMUM_LIQUIDITY, 0, { group: true }) + ' LP shares'
+        : 'Both amounts above zero',
+      ok: plan ? !plan.belowMinimum : null
+    },
+    {
+      label: 'Price within ' + CONFIG.maxDeviation + '% of the target',
+      ok: plan && plan.deviation !== null ? Math.abs(plan.deviation) <= CONFIG.maxDeviation : null
+    },
+    {
+      label: 'Wallet holds both amounts',
+      ok: plan && state.balances ? state.balances.x >= plan.x && state.balances.y >= plan.y : null
+    }
+  ];
+
+  document.getElementById('checks').innerHTML = checks.map(check =>
+    '<div class="info-row"><span class="info-label">' + check.label + '</span>' +
+    '<span class="info-value">' + (check.ok === null ? '-' : check.ok ? '<span class="ok">✓</span>' : '<span class="bad">✗</span>') +
+    '</span></div>'
+  ).join('');
+
+  document.getElementById('initBtn').disabled = !state.address || !checks.every(check => check.ok);
+}
+
+// Warn when a typed price is far from a pool already trading the pair
+function renderReferenceNote(ratio) {
+  const el = document.getElementById('referenceNote');
+  const live = state.references.find(ref => !isEmpty(ref.reserves));
+  if (!ratio || !live || selectedReference()) {
+    el.innerHTML = '';
+    return;
+  }
+
+  const gap = priceChange({ reserveIn: live.reserves.x, reserveOut: live.reserves.y }, { reserveIn: ratio.x, reserveOut: ratio.y });
+  el.innerHTML = Math.abs(gap) > CONFIG.referenceWarning
+    ? '<div class="warning">⚠️ ' + formatPercent(gap) + ' from ' + live.pool.id + ' (' +
+      formatPrice(spotPrice(live.reserves, pool)) + '). Arbitrage will move the price there at the depositor\'s expense.</div>'
+    : '';
+}
+
+function formatPercent(value) {
+  return (value > 0 ? '+' : '') + value.toFixed(4).replace(/\.?0+$/, '') + '%';
+}
+
+async function connectWallet() {
+  const wallet = wallets.find(w => w.isAvailable());
+  if (!wallet) {
+    showStatus('No supported wallet found. Install Leather (leather.io) or Xverse (xverse.app)', 'error');
+    return;
+  }
+
+  try {
+    state.address = await wallet.connect();
+    state.wallet = wallet;
+    document.getElementById('initializer').textContent = state.address + ' (' + wallet.name + ')';
+    document.getElementById('connectBtn').style.display = 'none';
+    await refreshBalances();
+  } catch (error) {
+    showStatus('Failed to connect: ' + error.message, 'error');
+  }
+}
+
+async function refreshBalances() {
+  if (!state.address || !pool) return;
+
+  const client = pool;
+  try {
+    const balances = await client.getBalances(state.address);
+    if (client !== pool) return;
+    state.balances = balances;
+    setText('balances',
+      formatAmount(balances.x, client.tokenX.decimals) + ' ' + client.tokenX.symbol + ', ' +
+      formatAmount(balances.y, client.tokenY.decimals) + ' ' + client.tokenY.symbol);
+  } catch (error) {
+    console.error('Failed to fetch balances:', error);
+  }
+  renderPlan();
+}
+
+async function initializePool() {
+  const plan = currentPlan(currentRatio());
+  if (!plan || plan.belowMinimum) return;
+
+  // Someone may have initialized the pool since it was last read
+  showStatus('Checking the pool is still empty...', 'pending');
+  try {
+    const reserves = await pool.getReserves();
+    state.reserves = reserves;
+    if (!isEmpty(reserves)) {
+      renderReserves();
+      renderPlan();
+      return;
+    }
+  } catch (error) {
+    showStatus('Could not confirm the pool is empty: ' + error.message, 'error');
+    return;
+  }
+
+  showStatus('Please confirm in ' + state.wallet.name + '...', 'pending');
+  try {
+    const txid = await state.wallet.callContract(pool.buildInitializePool({
+      amountX: plan.x,
+      amountY: plan.y,
+      sender: state.address
+    }));
+
+    txTracker.track(txid, {
+      label: 'Initialize ' + pool.id + ' ' +
+        formatUnits(plan.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + ' + ' +
+        formatUnits(plan.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol
+    });
+    showStatus('Transaction submitted, waiting for confirmation... ' + txLink(txid, txid.slice(0, 16) + '...'), 'pending');
+  } catch (error) {
+    showStatus('Error: ' + errorReason(error), 'error');
+  }
+}
+
+// Wallet error text, explained through the error catalog when it carries (err uNNN)
+function errorReason(error) {
+  const message = error.message || 'Unknown';
+  const code = parseErrorCode(message);
+  return code !== null ? describePoolError(code, { tokenX: pool.tokenX, tokenY: pool.tokenY }) : message;
+}
+
+// Read what every registered contract supports; labels show the deployed versions
+async function detectCapabilities() {
+  await registry.detectCapabilities(clientOptions);
+  if (!pool) return;
+
+  pool.useCapabilities(registry.get(pool.id).capabilities);
+  renderPoolSelector();
+  renderPlan();
+}
+
+// Render pool options and token symbols for the selected pool
+function renderPoolSelector() {
+  if (!pool) {
+    showStatus('No pools are registered for ' + NETWORK.label + '. Add its deployments to src/config/pools.json.', 'error');
+    return;
+  }
+
+  const select = document.getElementById('poolSelect');
+  select.innerHTML = registry.list().map(p =>
+    '<option value="' + p.id + '"' + (p.id === pool.id ? ' selected' : '') + '>' + poolLabel(p) + '</option>'
+  ).join('');
+
+  setText('poolContract', pool.contractId);
+  setText('poolVersion', pool.version + ' (' + CAPABILITY_SOURCES[pool.capabilities.source] + ')');
+  document.querySelectorAll('[data-symbol="x"]').forEach(el => { el.textContent = pool.tokenX.symbol; });
+  document.querySelectorAll('[data-symbol="y"]').forEach(el => { el.textContent = pool.tokenY.symbol; });
+}
+
+// Switch to another registered pool
+async function selectPool(poolId) {
+  if (poolId === pool.id || !registry.get(poolId)) return;
+
+  pool = registry.createClient(poolId, clientOptions);
+  try {
+    localStorage.setItem(CONFIG.poolStorageKey, poolId);
+  } catch (e) {
+    // Storage unavailable - selection only lasts for this page
+  }
+
+  state.priceSource = 'target';
+  state.references = [];
+  state.balances = null;
+  document.getElementById('status').innerHTML = '';
+  setText('poolState', '-');
+  setText('balances', '-');
+  renderPoolSelector();
+  await loadPoolState();
+  await refreshBalances();
+}
+
+// Render the network switcher; switching reloads the page
+function renderNetworkSelector() {
+  const select = document.getElementById('networkSelect');
+  select.innerHTML = Object.values(NETWORKS).map(n =>
+    '<option value="' + n.id + '"' + (n.id === NETWORK.id ? ' selected' : '') + '>' +
+    (n.id === NETWORK.id ? networkLabel(NETWORK) : n.label) + '</option>'
+  ).join('');
+}
+
+function txLink(txid, text) {
+  return '<a href="' + explorerTxUrl(NETWORK, txid) + '" target="_blank" rel="noopener">' + text + '</a>';
+}
+
+// Tracker callback: report the final state and re-read the pool
+async function handleTxUpdate(tx) {
+  if (!isFinalStatus(tx.status)) return;
+
+  const label = txLink(tx.txId, tx.label || tx.txId.slice(0, 16));
+  if (tx.status === 'success') {
+    showStatus('✅ ' + label + ' confirmed. The pool is open on the <a href="/">swap</a> and <a href="/liquidity.html">liquidity</a> pages.', 'success');
+  } else if (tx.status === 'abort_by_response') {
+    const reason = tx.errorCode !== null
+      ? describePoolError(tx.errorCode, { tokenX: pool?.tokenX, tokenY: pool?.tokenY })
+      : (tx.result || 'unknown reason');
+    txTracker.update(tx.txId, { errorMessage: reason });
+    showStatus(label + ' failed: ' + reason, 'error');
+  } else if (tx.status === 'abort_by_post_condition') {
+    showStatus(label + ' failed: a post-condition was not met, no tokens moved', 'error');
+  } else {
+    showStatus(label + ' was dropped from the mempool', 'error');
+  }
+
+  await loadPoolState();
+  await refreshBalances();
+}
+
+function setText(id, text) {
+  document.getElementById(id).textContent = text;
+}
+
+function showStatus(message, type) {
+  const el = document.getElementById('status');
+  el.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+}
+
+// Event listeners
+document.getElementById('networkSelect').addEventListener('change', (e) => switchNetwork(e.target.value));
+document.getElementById('poolSelect').addEventListener('change', (e) => selectPool(e.target.value));
+document.getElementById('priceSource').addEventListener('change', (e) => {
+  state.priceSource = e.target.value;
+  renderPriceInput();
+  renderPlan();
+});
+document.getElementById('price').addEventListener('input', renderPlan);
+document.getElementById('amount').addEventListener('input', renderPlan);
+document.getElementById('amountToken').addEventListener('change', renderPlan);
+document.getElementById('connectBtn').addEventListener('click', connectWallet);
+document.getElementById('initBtn').addEventListener('click', initializePool);
+
+// Initialize
+renderNetworkSelector();
+renderPoolSelector();
+loadPoolState();
+detectCapabilities();
+txTracker.resume();
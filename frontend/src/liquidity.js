@@ -0,0 +1,737 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Liquidity Page
+ * ==============================================================================
+ *
+ * Pool statistics, LP position and add/remove liquidity.
+ * All contract reads, share math and call building go through PoolClient.
+ * ==============================================================================
+ */
+
+import { StacksMainnet, StacksTestnet } from '@stacks/network';
+import {
+  PoolRegistry,
+  poolLabel,
+  NETWORKS,
+  explorerTxUrl,
+  TxTracker,
+  isFinalStatus,
+  parseErrorCode,
+  describePoolError,
+  parseUnits,
+  formatUnits,
+  percentToBps,
+  applySlippage,
+  positionValues
+} from './sdk/index.js';
+import { activeNetwork as NETWORK, switchNetwork, networkLabel } from './network.js';
+import { LeatherAdapter } from './wallets/index.js';
+import poolManifest from './config/pools.json';
+
+const CONFIG = {
+  // Shared with the swap page so both show the same pool
+  poolStorageKey: 'stacks-dex:pool',
+  // Tolerance on the quoted withdrawal before remove-liquidity aborts
+  removeSlippage: 0.5,
+  // Tolerance on a zap's swap output and minted shares
+  zapSlippage: 0.5,
+  // Blocks a zap's swap stays valid for (zap in and zap out)
+  deadlineBlocks: 20,
+  // Liquidity calls read to find a position's deposits
+  positionHistoryLimit: 500,
+};
+
+const clientOptions = { network: NETWORK.id, apiUrl: NETWORK.apiUrl };
+
+// This page signs with Leather through the same adapter as the swap page
+const wallet = new LeatherAdapter({
+  network: NETWORK,
+  stacksNetwork: NETWORK.chain === 'mainnet'
+    ? new StacksMainnet({ url: NETWORK.apiUrl })
+    : new StacksTestnet({ url: NETWORK.apiUrl })
+});
+const registry = new PoolRegistry(poolManifest[NETWORK.id]);
+
+function loadSelectedPoolId() {
+  try {
+    const saved = localStorage.getItem(CONFIG.poolStorageKey);
+    if (saved && registry.get(saved)) return saved;
+  } catch (e) {
+    // Storage unavailable - use default
+  }
+  return registry.getDefault()?.id ?? null;
+}
+
+// Null when the active network has no registered pools
+const initialPoolId = loadSelectedPoolId();
+let pool = initialPoolId ? registry.createClient(initialPoolId, clientOptions) : null;
+
+// Shares pending/confirmed transactions with the swap page
+const txTracker = new TxTracker({
+  apiUrl: NETWORK.apiUrl,
+  network: NETWORK.id,
+  storage: getStorage(),
+  onUpdate: handleTxUpdate
+});
+
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    // Storage unavailable - track in memory only
+    return null;
+  }
+}
+
+let state = {
+  connected: false,
+  address: null,
+  // Base units (BigInt)
+  reserveX: 0n,
+  reserveY: 0n,
+  totalSupply: 0n,
+  userShares: 0n,
+  totalFees: { x: 0n, y: 0n },
+  // getPosition result for the connected address
+  position: null,
+  isFeeRecipient: false,
+};
+
+// Format base units with decimals
+function formatAmount(amount, decimals) {
+  return formatUnits(amount, decimals, { minDecimals: 2, group: true });
+}
+
+// Parse a decimal input to base units; null if invalid or not positive
+function parseAmount(input, decimals) {
+  try {
+    const units = parseUnits(input, decimals);
+    return units > 0n ? units : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Fetch pool data
+async function fetchPoolData() {
+  if (!pool) return;
+
+  const client = pool;
+  try {
+    const [reserves, totalSupply, fees] = await Promise.all([
+      client.getReserves(),
+      client.supports('liquidity') ? client.getTotalSupply() : 0n,
+      client.supports('fees') ? client.getTotalFees().catch(error => {
+        console.warn(`No fee totals for ${client.contractId}:`, error.message);
+        return null;
+      }) : null
+    ]);
+    // Ignore results for a pool the user has since switched away from
+    if (client !== pool) return;
+
+    state.reserveX = reserves.x;
+    state.reserveY = reserves.y;
+    state.totalSupply = totalSupply;
+    state.totalFees = fees;
+
+    updatePoolUI(fees);
+    calculateZap();
+  } catch (error) {
+    console.error('Failed to fetch pool data:', error);
+  }
+}
+
+// Fetch user's LP balance
+async function fetchUserBalance() {
+  if (!state.address || !pool || !pool.supports('liquidity')) return;
+
+  const client = pool;
+  try {
+    const liquidity = await client.getUserLiquidity(state.address);
+    if (client !== pool) return;
+    state.userShares = liquidity.shares;
+    updateUserUI(liquidity.x, liquidity.y);
+  } catch (error) {
+    console.error('Failed to fetch user balance:', error);
+    return;
+  }
+  await fetchPosition();
+}
+
+// Rebuild the position's entry basis from history and compare with holding
+async function fetchPosition() {
+  if (!state.address || !pool || state.userShares === 0n) {
+    state.position = null;
+    renderPosition();
+    return;
+  }
+
+  const client = pool;
+  try {
+    const [position, feeInfo] = await Promise.all([
+      client.getPosition(state.address, { maxEntries: CONFIG.positionHistoryLimit }),
+      client.getFeeInfo()
+    ]);
+    if (client !== pool) return;
+    state.position = position;
+    state.isFeeRecipient = feeInfo.recipient === state.address;
+    renderPosition();
+  } catch (error) {
+    console.error('Failed to fetch position:', error);
+  }
+}
+
+// Update pool UI; fees is null for contracts without per-token totals
+function updatePoolUI(fees) {
+  document.getElementById('reserveX').textContent = formatAmount(state.reserveX, pool.tokenX.decimals);
+  document.getElementById('reserveY').textContent = formatAmount(state.reserveY, pool.tokenY.decimals);
+  document.getElementById('totalSupply').textContent = formatUnits(state.totalSupply, 0, { group: true });
+  document.getElementById('feesX').textContent = fees ? formatAmount(fees.x, pool.tokenX.decimals) : '-';
+  document.getElementById('feesY').textContent = fees ? formatAmount(fees.y, pool.tokenY.decimals) : '-';
+
+  if (state.reserveX > 0n && state.reserveY > 0n) {
+    // Price of one whole token, in base units of the other
+    const scaleX = 10n ** BigInt(pool.tokenX.decimals);
+    const scaleY = 10n ** BigInt(pool.tokenY.decimals);
+    const priceXY = state.reserveY * scaleX / state.reserveX;
+    const priceYX = state.reserveX * scaleY / state.reserveY;
+    document.getElementById('priceXY').textContent =
+      formatUnits(priceXY, pool.tokenY.decimals, { maxDecimals: 6 }) + ' ' + pool.tokenY.symbol;
+    document.getElementById('priceYX').textContent =
+      formatUnits(priceYX, pool.tokenX.decimals, { maxDecimals: 2, minDecimals: 2 }) + ' ' + pool.tokenX.symbol;
+  }
+}
+
+// Signed base units, with a + on gains
+function formatSigned(amount, decimals) {
+  return (amount > 0n ? '+' : '') + formatAmount(amount, decimals);
+}
+
+// "1.00 ALEX + 2.00 USDA" (signed: "+1.00 ALEX, -2.00 USDA"), over its value in the quote token
+function formatLeg(amounts, value, quoteToken, signed) {
+  const format = signed ? formatSigned : formatAmount;
+  const valueClass = signed ? (value > 0n ? ' gain' : value < 0n ? ' loss' : '') : '';
+  return format(amounts.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + (signed ? ', ' : ' + ') +
+    format(amounts.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol +
+    '<span class="sub' + valueClass + '">≈ ' + format(value, quoteToken.decimals) + ' ' + quoteToken.symbol + '</span>';
+}
+
+// Render the position against holding, in the chosen quote token
+function renderPosition() {
+  const section = document.getElementById('positionPerformance');
+  const position = state.position;
+  if (!position || position.shares === 0n) {
+    section.style.display = 'none';
+    return;
+  }
+  section.style.display = 'block';
+
+  const performance = position.performance;
+  const note = document.getElementById('perfNote');
+  const rows = ['perfHold', 'perfCurrent', 'perfLoss', 'perfFees', 'perfTotal'];
+  if (!performance) {
+    rows.forEach(id => { document.getElementById(id).textContent = '-'; });
+    note.textContent = 'No deposit from this address was found in the pool history.';
+  } else {
+    const quote = document.getElementById('quoteSelect').value;
+    const quoteToken = quote === 'x' ? pool.tokenX : pool.tokenY;
+    const values = positionValues(performance, quote, position.reserves);
+
+    document.getElementById('perfHold').innerHTML = formatLeg(performance.hold, values.hold, quoteToken, false);
+    document.getElementById('perfCurrent').innerHTML = formatLeg(performance.current, values.current, quoteToken, false);
+    document.getElementById('perfLoss').innerHTML = formatLeg(performance.impermanentLoss, values.impermanentLoss, quoteToken, true) +
+      '<span class="sub">' + values.impermanentLossPercent.toFixed(2) + '% of held value</span>';
+    document.getElementById('perfFees').innerHTML = formatLeg(performance.fees, values.fees, quoteToken, true);
+    document.getElementById('perfTotal').innerHTML = formatLeg(performance.total, values.total, quoteToken, true);
+
+    note.textContent = (performance.complete ? '' : 'Some shares were not deposited by this address (or predate the history read); their basis is scaled from the deposits found. ') +
+      'Swap fees go to the fee recipient, not the reserves: fees earned in pool are only rounding in the LP\'s favour.';
+  }
+
+  const recipientRow = document.getElementById('perfRecipientRow');
+  recipientRow.style.display = state.isFeeRecipient && state.totalFees ? 'flex' : 'none';
+  if (state.isFeeRecipient && state.totalFees) {
+    document.getElementById('perfRecipientFees').textContent =
+      formatAmount(state.totalFees.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + ' + ' +
+      formatAmount(state.totalFees.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol;
+  }
+}
+
+// Update user UI
+function updateUserUI(userX, userY) {
+  const positionEl = document.getElementById('yourPosition');
+
+  if (state.userShares > 0n) {
+    positionEl.style.display = 'block';
+    document.getElementById('userShares').textContent = formatUnits(state.userShares, 0, { group: true });
+    // Share of supply as a 4-decimal percent: shares * 10^6 / supply
+    const poolShare = state.totalSupply > 0n
+      ? formatUnits(state.userShares * 1000000n / state.totalSupply, 4, { minDecimals: 4 })
+      : '0';
+    document.getElementById('userPoolShare').textContent = poolShare + '%';
+    document.getElementById('userAlexValue').textContent = formatAmount(userX, pool.tokenX.decimals);
+    document.getElementById('userUsdaValue').textContent = formatAmount(userY, pool.tokenY.decimals);
+  } else {
+    positionEl.style.display = 'none';
+  }
+}
+
+// Connect wallet
+async function connectWallet() {
+  if (!wallet.isAvailable()) {
+    showStatus('Leather wallet not found. Install from leather.io', 'error');
+    return;
+  }
+
+  try {
+    state.address = await wallet.connect();
+    state.connected = true;
+    renderCapabilities();
+    await fetchUserBalance();
+  } catch (error) {
+    showStatus('Failed to connect: ' + error.message, 'error');
+  }
+}
+
+// Add liquidity
+async function addLiquidity() {
+  if (!pool) return;
+
+  const alexUnits = parseAmount(document.getElementById('addAlexAmount').value, pool.tokenX.decimals);
+  const usdaUnits = parseAmount(document.getElementById('addUsdaAmount').value, pool.tokenY.decimals);
+
+  if (alexUnits === null || usdaUnits === null) {
+    showStatus('Enter valid amounts (up to ' + pool.tokenX.decimals + ' ' + pool.tokenX.symbol +
+      ' and ' + pool.tokenY.decimals + ' ' + pool.tokenY.symbol + ' decimals)', 'error');
+    return;
+  }
+
+  // The first deposit sets the price; the wizard checks it before signing
+  if (state.totalSupply === 0n) {
+    showStatus('This pool has no liquidity yet. Set its starting price with the <a href="/init.html">initialization wizard</a>.', 'error');
+    return;
+  }
+
+  showStatus('Please confirm in wallet...', 'pending');
+
+  try {
+    const txid = await wallet.callContract(
+      pool.buildAddLiquidity({ amountX: alexUnits, amountY: usdaUnits, minShares: 1n, sender: state.address })
+    );
+
+    txTracker.track(txid, {
+      label: 'Add liquidity ' +
+        formatUnits(alexUnits, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + ' + ' +
+        formatUnits(usdaUnits, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol
+    });
+    showStatus(txSubmittedMessage(txid), 'pending');
+  } catch (error) {
+    showStatus('Error: ' + errorReason(error), 'error');
+  }
+}
+
+// Remove liquidity
+async function removeLiquidity() {
+  if (!pool) return;
+
+  const shares = parseAmount(document.getElementById('removeShares').value, 0);
+
+  if (shares === null) {
+    showStatus('Enter valid share amount', 'error');
+    return;
+  }
+
+  if (shares > state.userShares) {
+    showStatus('Insufficient LP shares', 'error');
+    return;
+  }
+
+  const removeAs = document.getElementById('removeAs').value;
+  if (removeAs !== 'both') {
+    await zapOut(shares, removeAs === 'x');
+    return;
+  }
+
+  showStatus('Please confirm in wallet...', 'pending');
+
+  try {
+    // The pool must pay out at least the quoted amounts, less the tolerance
+    const quoted = pool.quoteRemoveLiquidity(shares, { x: state.reserveX, y: state.reserveY }, state.totalSupply);
+    const slippageBps = percentToBps(CONFIG.removeSlippage);
+    const minX = applySlippage(quoted.x, slippageBps);
+    const minY = applySlippage(quoted.y, slippageBps);
+    const txid = await wallet.callContract(pool.buildRemoveLiquidity({
+      shares,
+      minX: minX > 0n ? minX : 1n,
+      minY: minY > 0n ? minY : 1n
+    }));
+
+    txTracker.track(txid, { label: 'Remove liquidity ' + shares + ' shares' });
+    showStatus(txSubmittedMessage(txid), 'pending');
+  } catch (error) {
+    showStatus('Error: ' + errorReason(error), 'error');
+  }
+}
+
+// Zap in: swap part of one token, then deposit both. The swap is signed
+// first; add-liquidity follows at the next nonce and offers only the swap's
+// guaranteed output, so it succeeds whenever the swap does.
+async function zapIn() {
+  if (!pool) return;
+
+  if (state.totalSupply === 0n) {
+    showStatus('Zaps need an initialized pool: set its starting price with the <a href="/init.html">initialization wizard</a> first', 'error');
+    return;
+  }
+  const quote = calculateZap();
+  if (!quote) {
+    showStatus('Enter an amount large enough to split between both tokens', 'error');
+    return;
+  }
+
+  showStatus('Please confirm the swap in wallet (1 of 2)...', 'pending');
+
+  let swapTxid = null;
+  try {
+    // getFeeInfo: the fee recipient's own swap leg keeps its fee
+    const [blockHeight] = await Promise.all([pool.getBlockHeight(), pool.getFeeInfo()]);
+    const deadline = blockHeight + CONFIG.deadlineBlocks;
+    const [swapCall, depositCall] = pool.buildZapIn(quote, { sender: state.address, deadline });
+    const [tokenIn, tokenOut] = quote.xIn ? [pool.tokenX, pool.tokenY] : [pool.tokenY, pool.tokenX];
+
+    swapTxid = await wallet.callContract(swapCall);
+    txTracker.track(swapTxid, {
+      label: 'Zap swap ' + formatUnits(quote.swapAmount, tokenIn.decimals) + ' ' + tokenIn.symbol +
+        ' for ' + tokenOut.symbol
+    });
+
+    showStatus('Swap submitted. Please confirm the deposit in wallet (2 of 2)...', 'pending');
+    const depositTxid = await wallet.callContract(depositCall);
+    txTracker.track(depositTxid, {
+      label: 'Zap deposit ' + formatUnits(quote.deposit.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol +
+        ' + ' + formatUnits(quote.deposit.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol
+    });
+    showStatus(txSubmittedMessage(swapTxid) + '<br>' + txSubmittedMessage(depositTxid), 'pending');
+  } catch (error) {
+    // A rejected deposit leaves the swap standing: the user then holds both tokens
+    const prefix = swapTxid ? 'Swap ' + txLink(swapTxid, swapTxid.slice(0, 16) + '...') +
+      ' was submitted, but the deposit was not: ' : 'Error: ';
+    showStatus(prefix + errorReason(error), 'error');
+  }
+}
+
+// Zap out: remove-liquidity with minimums from quote-remove-liquidity, then
+// swap the unwanted token's guaranteed amount for the wanted one
+async function zapOut(shares, xOut) {
+  showStatus('Please confirm the withdrawal in wallet (1 of 2)...', 'pending');
+
+  let removeTxid = null;
+  try {
+    const [redeemable, blockHeight] = await Promise.all([pool.getRemoveQuote(shares), pool.getBlockHeight(), pool.getFeeInfo()]);
+    const quote = pool.quoteZapOut(shares, { x: state.reserveX, y: state.reserveY }, state.totalSupply, {
+      xOut,
+      slippageBps: percentToBps(CONFIG.removeSlippage),
+      redeemable
+    });
+    if (!quote) {
+      showStatus('These shares would withdraw nothing', 'error');
+      return;
+    }
+    const [removeCall, swapCall] = pool.buildZapOut(quote, {
+      sender: state.address,
+      deadline: blockHeight + CONFIG.deadlineBlocks
+    });
+    const [tokenIn, tokenOut] = xOut ? [pool.tokenY, pool.tokenX] : [pool.tokenX, pool.tokenY];
+
+    removeTxid = await wallet.callContract(removeCall);
+    txTracker.track(removeTxid, { label: 'Zap out: remove liquidity ' + shares + ' shares' });
+
+    showStatus('Withdrawal submitted. Please confirm the swap in wallet (2 of 2)...', 'pending');
+    const swapTxid = await wallet.callContract(swapCall);
+    txTracker.track(swapTxid, {
+      label: 'Zap out: swap ' + formatUnits(quote.swapAmount, tokenIn.decimals) + ' ' + tokenIn.symbol +
+        ' for ' + tokenOut.symbol
+    });
+    showStatus(txSubmittedMessage(removeTxid) + '<br>' + txSubmittedMessage(swapTxid), 'pending');
+  } catch (error) {
+    // A rejected swap leaves the withdrawal standing: the user then holds both tokens
+    const prefix = removeTxid ? 'Withdrawal ' + txLink(removeTxid, removeTxid.slice(0, 16) + '...') +
+      ' was submitted, but the swap was not: ' : 'Error: ';
+    showStatus(prefix + errorReason(error), 'error');
+  }
+}
+
+// Wallet error text, explained through the error catalog when it carries (err uNNN)
+function errorReason(error) {
+  const message = error.message || 'Unknown';
+  const code = parseErrorCode(message);
+  return code !== null ? describePoolError(code, { tokenX: pool.tokenX, tokenY: pool.tokenY }) : message;
+}
+
+// Calculate estimated shares
+function calculateEstimatedShares() {
+  if (!pool) return;
+
+  const alexUnits = parseAmount(document.getElementById('addAlexAmount').value, pool.tokenX.decimals);
+  const usdaUnits = parseAmount(document.getElementById('addUsdaAmount').value, pool.tokenY.decimals);
+
+  if (alexUnits === null || usdaUnits === null) {
+    document.getElementById('estimatedShares').textContent = '-';
+    return;
+  }
+
+  const shares = pool.quoteAddLiquidity(alexUnits, usdaUnits, { x: state.reserveX, y: state.reserveY }, state.totalSupply);
+
+  document.getElementById('estimatedShares').textContent = formatUnits(shares, 0, { group: true });
+}
+
+// Quote and preview a zap in; returns the quote or null
+function calculateZap() {
+  if (!pool) return null;
+
+  const xIn = document.getElementById('zapToken').value === 'x';
+  const tokenIn = xIn ? pool.tokenX : pool.tokenY;
+  const tokenOut = xIn ? pool.tokenY : pool.tokenX;
+  const amount = parseAmount(document.getElementById('zapAmount').value, tokenIn.decimals);
+  const quote = amount === null ? null : pool.quoteZapIn(
+    amount,
+    { x: state.reserveX, y: state.reserveY },
+    state.totalSupply,
+    { xIn, slippageBps: percentToBps(CONFIG.zapSlippage) }
+  );
+
+  const rows = ['zapSwap', 'zapSwapOut', 'zapImpact', 'zapDeposit', 'zapShares', 'zapDust'];
+  if (!quote) {
+    rows.forEach(id => { document.getElementById(id).textContent = '-'; });
+    return null;
+  }
+
+  const pair = amounts =>
+    formatAmount(amounts.x, pool.tokenX.decimals) + ' ' + pool.tokenX.symbol + ' + ' +
+    formatAmount(amounts.y, pool.tokenY.decimals) + ' ' + pool.tokenY.symbol;
+  document.getElementById('zapSwap').textContent = formatAmount(quote.swapAmount, tokenIn.decimals) + ' ' + tokenIn.symbol;
+  document.getElementById('zapSwapOut').textContent =
+    formatAmount(quote.swapOut, tokenOut.decimals) + ' ' + tokenOut.symbol +
+    ' (' + formatAmount(quote.minSwapOut, tokenOut.decimals) + ')';
+  document.getElementById('zapImpact').textContent = quote.priceImpact.toFixed(2) + '%';
+  document.getElementById('zapDeposit').textContent = pair(quote.expected);
+  document.getElementById('zapShares').textContent =
+    formatUnits(quote.expected.shares, 0, { group: true }) + ' (' + formatUnits(quote.minShares, 0, { group: true }) + ')';
+  document.getElementById('zapDust').textContent = pair(quote.dust);
+  return quote;
+}
+
+// Calculate receive amounts
+function calculateReceiveAmounts() {
+  if (!pool) return;
+
+  const shares = parseAmount(document.getElementById('removeShares').value, 0);
+
+  if (shares === null || state.totalSupply === 0n) {
+    document.getElementById('receiveAlex').textContent = '-';
+    document.getElementById('receiveUsda').textContent = '-';
+    renderZapOut(null);
+    return;
+  }
+
+  const amounts = pool.quoteRemoveLiquidity(shares, { x: state.reserveX, y: state.reserveY }, state.totalSupply);
+
+  document.getElementById('receiveAlex').textContent = formatAmount(amounts.x, pool.tokenX.decimals);
+  document.getElementById('receiveUsda').textContent = formatAmount(amounts.y, pool.tokenY.decimals);
+  renderZapOut(shares);
+}
+
+// Combined preview when exiting into one token; hidden for both tokens
+function renderZapOut(shares) {
+  const removeAs = document.getElementById('removeAs').value;
+  const preview = document.getElementById('zapOutPreview');
+  document.getElementById('removeLiquidityBtn').textContent =
+    removeAs === 'both' ? 'Remove Liquidity' : 'Remove & Swap (2 transactions)';
+
+  const quote = removeAs === 'both' || shares === null ? null : pool.quoteZapOut(
+    shares,
+    { x: state.reserveX, y: state.reserveY },
+    state.totalSupply,
+    { xOut: removeAs === 'x', slippageBps: percentToBps(CONFIG.removeSlippage) }
+  );
+  preview.style.display = removeAs === 'both' ? 'none' : 'block';
+
+  const rows = ['zapOutSwap', 'zapOutImpact', 'zapOutTotal', 'zapOutMin', 'zapOutDust'];
+  if (!quote) {
+    rows.forEach(id => { document.getElementById(id).textContent = '-'; });
+    return;
+  }
+
+  const [tokenIn, tokenOut] = quote.xOut ? [pool.tokenY, pool.tokenX] : [pool.tokenX, pool.tokenY];
+  document.getElementById('zapOutSwap').textContent =
+    formatAmount(quote.swapAmount, tokenIn.decimals) + ' ' + tokenIn.symbol + ' → ' +
+    formatAmount(quote.swapOut, tokenOut.decimals) + ' ' + tokenOut.symbol;
+  document.getElementById('zapOutImpact').textContent = quote.priceImpact.toFixed(2) + '%';
+  document.getElementById('zapOutTotal').textContent = formatAmount(quote.amountOut, tokenOut.decimals) + ' ' + tokenOut.symbol;
+  document.getElementById('zapOutMin').textContent = formatAmount(quote.minAmountOut, tokenOut.decimals) + ' ' + tokenOut.symbol;
+  document.getElementById('zapOutDust').textContent =
+    formatAmount(quote.xOut ? quote.dust.y : quote.dust.x, tokenIn.decimals) + ' ' + tokenIn.symbol;
+}
+
+// Render pool options and token symbols for the selected pool
+function renderPoolSelector() {
+  if (!pool) {
+    showStatus('No pools are registered for ' + NETWORK.label + '. Add its deployments to src/config/pools.json.', 'error');
+    return;
+  }
+
+  const select = document.getElementById('poolSelect');
+  select.innerHTML = registry.list().map(p =>
+    '<option value="' + p.id + '"' + (p.id === pool.id ? ' selected' : '') + '>' + poolLabel(p) + '</option>'
+  ).join('');
+
+  document.querySelectorAll('[data-symbol="x"]').forEach(el => { el.textContent = pool.tokenX.symbol; });
+  document.querySelectorAll('[data-symbol="y"]').forEach(el => { el.textContent = pool.tokenY.symbol; });
+}
+
+// Show only the liquidity actions the selected contract supports
+function renderCapabilities() {
+  const liquidity = pool.supports('liquidity');
+  const notice = document.getElementById('unsupportedNotice');
+  notice.style.display = liquidity ? 'none' : 'block';
+  notice.innerHTML = liquidity ? '' : '<p>' + pool.id + ' (v' + pool.version + ') has no LP shares. ' +
+    'Its liquidity is set once by initialize-pool and cannot be added to or withdrawn.</p>';
+  document.getElementById('connectPrompt').style.display = liquidity && !state.connected ? 'block' : 'none';
+  document.getElementById('liquidityPanel').style.display = liquidity && state.connected ? 'block' : 'none';
+
+  // Zaps swap part of the amount, in either direction
+  const zaps = pool.supports('swapXForY') && pool.supports('swapYForX');
+  const zapTab = document.getElementById('zapTab');
+  zapTab.style.display = zaps ? '' : 'none';
+  if (!zaps && zapTab.classList.contains('active')) {
+    document.querySelector('.tab[data-tab="add"]').click();
+  }
+  const removeAs = document.getElementById('removeAs');
+  removeAs.querySelectorAll('option[value="x"], option[value="y"]').forEach(option => { option.disabled = !zaps; });
+  if (!zaps) removeAs.value = 'both';
+}
+
+// Read what every registered contract supports; labels show the deployed versions
+async function detectCapabilities() {
+  await registry.detectCapabilities(clientOptions);
+  if (!pool) return;
+
+  pool.useCapabilities(registry.get(pool.id).capabilities);
+  renderPoolSelector();
+  renderCapabilities();
+  await Promise.all([fetchPoolData(), fetchUserBalance()]);
+}
+
+// Switch to another registered pool
+async function selectPool(poolId) {
+  if (poolId === pool.id || !registry.get(poolId)) return;
+
+  pool = registry.createClient(poolId, clientOptions);
+  state.reserveX = 0n;
+  state.reserveY = 0n;
+  state.totalSupply = 0n;
+  state.userShares = 0n;
+  state.position = null;
+
+  try {
+    localStorage.setItem(CONFIG.poolStorageKey, poolId);
+  } catch (e) {
+    // Storage unavailable - selection only lasts for this page
+  }
+
+  renderPoolSelector();
+  renderCapabilities();
+  document.getElementById('yourPosition').style.display = 'none';
+  calculateEstimatedShares();
+  calculateReceiveAmounts();
+  calculateZap();
+  await Promise.all([fetchPoolData(), fetchUserBalance()]);
+}
+
+// Render the network switcher; switching reloads the page
+function renderNetworkSelector() {
+  const select = document.getElementById('networkSelect');
+  select.innerHTML = Object.values(NETWORKS).map(n =>
+    '<option value="' + n.id + '"' + (n.id === NETWORK.id ? ' selected' : '') + '>' +
+    (n.id === NETWORK.id ? networkLabel(NETWORK) : n.label) + '</option>'
+  ).join('');
+}
+
+function txLink(txid, text) {
+  return '<a href="' + explorerTxUrl(NETWORK, txid) + '" target="_blank" rel="noopener">' + text + '</a>';
+}
+
+function txSubmittedMessage(txid) {
+  return 'Transaction submitted, waiting for confirmation... ' + txLink(txid, txid.slice(0, 16) + '...');
+}
+
+// Tracker callback: report the final state and refresh once confirmed
+async function handleTxUpdate(tx) {
+  if (!isFinalStatus(tx.status)) return;
+
+  const label = txLink(tx.txId, tx.label || tx.txId.slice(0, 16));
+  if (tx.status === 'success') {
+    showStatus('✅ ' + label + ' confirmed', 'success');
+  } else if (tx.status === 'abort_by_response') {
+    const reason = tx.errorCode !== null
+      ? describePoolError(tx.errorCode, { tokenX: pool?.tokenX, tokenY: pool?.tokenY })
+      : (tx.result || 'unknown reason');
+    txTracker.update(tx.txId, { errorMessage: reason });
+    showStatus(label + ' failed: ' + reason, 'error');
+  } else if (tx.status === 'abort_by_post_condition') {
+    showStatus(label + ' failed: a post-condition was not met, no tokens moved', 'error');
+  } else {
+    showStatus(label + ' was dropped from the mempool', 'error');
+  }
+
+  await Promise.all([fetchPoolData(), fetchUserBalance()]);
+}
+
+function showStatus(message, type) {
+  const el = document.getElementById('status');
+  el.innerHTML = '<div class="status ' + type + '">' + message + '</div>';
+}
+
+// Tab switching
+document.querySelectorAll('.tab').forEach(tab => {
+  tab.addEventListener('click', () => {
+    document.querySelectorAll('.tab').forEach(t => t.classList.remove('active'));
+    tab.classList.add('active');
+
+    const tabName = tab.dataset.tab;
+    document.getElementById('addPanel').style.display = tabName === 'add' ? 'block' : 'none';
+    document.getElementById('removePanel').style.display = tabName === 'remove' ? 'block' : 'none';
+    document.getElementById('zapPanel').style.display = tabName === 'zap' ? 'block' : 'none';
+  });
+});
+
+// Event listeners
+document.getElementById('networkSelect').addEventListener('change', (e) => switchNetwork(e.target.value));
+document.getElementById('poolSelect').addEventListener('change', (e) => selectPool(e.target.value));
+document.getElementById('connectBtn').addEventListener('click', connectWallet);
+document.getElementById('addLiquidityBtn').addEventListener('click', addLiquidity);
+document.getElementById('removeLiquidityBtn').addEventListener('click', removeLiquidity);
+document.getElementById('addAlexAmount').addEventListener('input', calculateEstimatedShares);
+document.getElementById('addUsdaAmount').addEventListener('input', calculateEstimatedShares);
+document.getElementById('removeShares').addEventListener('input', calculateReceiveAmounts);
+document.getElementById('quoteSelect').addEventListener('change', renderPosition);
+document.getElementById('zapBtn').addEventListener('click', zapIn);
+document.getElementById('zapAmount').addEventListener('input', calculateZap);
+document.getElementById('zapToken').addEventListener('change', calculateZap);
+document.getElementById('removeAs').addEventListener('change', calculateReceiveAmounts);
+document.getElementById('maxSharesBtn').addEventListener('click', () => {
+  document.getElementById('removeShares').value = state.userShares.toString();
+  calculateReceiveAmounts();
+});
+
+// Initialize
+renderNetworkSelector();
+renderPoolSelector();
+if (pool) renderCapabilities();
+fetchPoolData();
+detectCapabilities();
+txTracker.resume();
+if (txTracker.pending().length > 0) {
+  showStatus('Waiting for ' + txTracker.pending().length + ' pending transaction(s)...', 'pending');
+}
+setInterval(fetchPoolData, 30000);
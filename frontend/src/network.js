@@ -0,0 +1,66 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Active Network
+ * ==============================================================================
+ *
+ * The network the pages run against, persisted in localStorage so the swap
+ * page, the liquidity page and the tool pages agree. Switching
+ * network reloads the page: pool clients, wallet sessions and the
+ * WalletConnect chain are all bound to it at startup.
+ * ==============================================================================
+ */
+
+import { NETWORKS, DEFAULT_NETWORK, resolveNetwork } from './sdk/index.js';
+
+export const NETWORK_STORAGE_KEYS = {
+  network: 'stacks-dex:network',
+  nodeUrl: 'stacks-dex:node-url'
+};
+
+/**
+ * Restore the saved network and custom node, falling back to mainnet
+ */
+export function loadNetwork() {
+  try {
+    const id = localStorage.getItem(NETWORK_STORAGE_KEYS.network);
+    const nodeUrl = localStorage.getItem(NETWORK_STORAGE_KEYS.nodeUrl);
+    return resolveNetwork(NETWORKS[id] ? id : DEFAULT_NETWORK, { apiUrl: nodeUrl || undefined });
+  } catch (e) {
+    // Storage unavailable - use default
+    return resolveNetwork(DEFAULT_NETWORK);
+  }
+}
+
+/**
+ * Persist a network choice and reload so every client picks it up
+ * @param {string} id - Network id
+ * @param {string} [nodeUrl] - Custom Stacks API URL; empty for the preset node
+ */
+export function switchNetwork(id, nodeUrl = '') {
+  try {
+    localStorage.setItem(NETWORK_STORAGE_KEYS.network, id);
+    if (nodeUrl) {
+      localStorage.setItem(NETWORK_STORAGE_KEYS.nodeUrl, nodeUrl.trim());
+    } else {
+      localStorage.removeItem(NETWORK_STORAGE_KEYS.nodeUrl);
+    }
+  } catch (e) {
+    console.error('Failed to save network:', e);
+    return;
+  }
+  window.location.reload();
+}
+
+/**
+ * Short label for the header, e.g. "Devnet (Clarinet)" or "Testnet · localhost:3999"
+ */
+export function networkLabel(network) {
+  if (!network.customNode) return network.label;
+  try {
+    return `${network.label} · ${new URL(network.apiUrl).host}`;
+  } catch (e) {
+    return `${network.label} · ${network.apiUrl}`;
+  }
+}
+
+export const activeNetwork = loadNetwork();
@@ -0,0 +1,204 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Contract ABIs
+ * ==============================================================================
+ *
+ * Public function signatures of each pool contract version in contracts/,
+ * in the shape the Stacks API returns from /v2/contracts/interface
+ * ({ name, args: [{ name, type }] }). Contract calls are encoded from these
+ * descriptions by argument name, so every wallet path sends the same
+ * arguments and a call a version does not support fails before signing:
+ *
+ *   encodeFunctionArgs(poolAbi('4.0.0'), 'add-liquidity', {
+ *     'token-x': tokenX, 'token-y': tokenY, 'amount-x': 100n, 'amount-y': 200n, 'min-shares': 1n
+ *   });
+ *
+ * Argument types: uint128, int128, bool, principal and trait_reference
+ * (a token { address, name } or "SP...contract").
+ * ==============================================================================
+ */
+
+import {
+  uintCV,
+  intCV,
+  trueCV,
+  falseCV
+} from '@stacks/transactions';
+// Straight from the defining module: the package barrel re-exports it from an
+// import cycle, which Rollup warns about when the pages are split into chunks
+import { principalCV, contractPrincipalCV } from '@stacks/transactions/dist/esm/clarity/types/principalCV.js';
+
+// ==============================================================================
+// SIGNATURES
+// ==============================================================================
+
+const TOKEN_ARGS = [
+  { name: 'token-x', type: 'trait_reference' },
+  { name: 'token-y', type: 'trait_reference' }
+];
+
+const SWAP_X_FOR_Y = {
+  name: 'swap-x-for-y',
+  args: [
+    ...TOKEN_ARGS,
+    { name: 'dx', type: 'uint128' },
+    { name: 'min-dy', type: 'uint128' },
+    { name: 'recipient', type: 'principal' },
+    { name: 'deadline', type: 'uint128' }
+  ]
+};
+
+const SWAP_Y_FOR_X = {
+  name: 'swap-y-for-x',
+  args: [
+    ...TOKEN_ARGS,
+    { name: 'dy', type: 'uint128' },
+    { name: 'min-dx', type: 'uint128' },
+    { name: 'recipient', type: 'principal' },
+    { name: 'deadline', type: 'uint128' }
+  ]
+};
+
+const INITIALIZE_POOL = {
+  name: 'initialize-pool',
+  args: [
+    ...TOKEN_ARGS,
+    { name: 'amount-x', type: 'uint128' },
+    { name: 'amount-y', type: 'uint128' }
+  ]
+};
+
+const ADD_LIQUIDITY = {
+  name: 'add-liquidity',
+  args: [
+    ...TOKEN_ARGS,
+    { name: 'amount-x', type: 'uint128' },
+    { name: 'amount-y', type: 'uint128' },
+    { name: 'min-shares', type: 'uint128' }
+  ]
+};
+
+const REMOVE_LIQUIDITY = {
+  name: 'remove-liquidity',
+  args: [
+    ...TOKEN_ARGS,
+    { name: 'shares', type: 'uint128' },
+    { name: 'min-x', type: 'uint128' },
+    { name: 'min-y', type: 'uint128' }
+  ]
+};
+
+// Read-only functions every version has
+const BASE_READ_ONLY = ['get-reserves', 'get-fee-info', 'get-total-fees', 'quote-x-for-y', 'get-contract-info'];
+
+/**
+ * Public functions per get-contract-info version, plus the names of its
+ * read-only functions:
+ *   1.0.0  pool.clar      x -> y only
+ *   2.0.0  pool-v2.clar   adds swap-y-for-x and register-deposit
+ *   3.0.0  pool-v3.clar   both directions
+ *   4.0.0  pool-lp.clar, pool-v4.clar, pool-v5.clar, pool-v.clar with LP shares
+ */
+export const POOL_ABIS = {
+  '1.0.0': {
+    functions: [SWAP_X_FOR_Y, INITIALIZE_POOL],
+    readOnly: [...BASE_READ_ONLY, 'calculate-fee']
+  },
+  '2.0.0': {
+    functions: [
+      { name: 'register-deposit', args: [{ name: 'amount', type: 'uint128' }] },
+      SWAP_X_FOR_Y,
+      SWAP_Y_FOR_X,
+      INITIALIZE_POOL
+    ],
+    readOnly: [...BASE_READ_ONLY, 'calculate-fee', 'get-user-deposit']
+  },
+  '3.0.0': {
+    functions: [SWAP_X_FOR_Y, SWAP_Y_FOR_X, INITIALIZE_POOL],
+    readOnly: [...BASE_READ_ONLY, 'calculate-fee', 'quote-y-for-x']
+  },
+  '4.0.0': {
+    functions: [SWAP_X_FOR_Y, SWAP_Y_FOR_X, INITIALIZE_POOL, ADD_LIQUIDITY, REMOVE_LIQUIDITY],
+    readOnly: [
+      ...BASE_READ_ONLY,
+      'quote-y-for-x',
+      'get-total-supply',
+      'get-lp-balance',
+      'get-pool-share',
+      'get-user-liquidity',
+      'quote-add-liquidity',
+      'quote-remove-liquidity'
+    ]
+  }
+};
+
+export const LATEST_POOL_VERSION = '4.0.0';
+
+// ==============================================================================
+// ENCODING
+// ==============================================================================
+
+/**
+ * ABI for a pool contract version
+ */
+export function poolAbi(version = LATEST_POOL_VERSION) {
+  const abi = POOL_ABIS[version];
+  if (!abi) {
+    throw new Error(`Unknown pool contract version: ${version}`);
+  }
+  return abi;
+}
+
+/**
+ * Whether a pool version exposes a public or read-only function. Unknown
+ * versions have none.
+ */
+export function hasFunction(version, functionName) {
+  const abi = POOL_ABIS[version];
+  return Boolean(abi?.functions.some(fn => fn.name === functionName) || abi?.readOnly.includes(functionName));
+}
+
+/**
+ * Encode named arguments in the order the function declares them
+ * @param {{functions: Array}} abi - Contract ABI
+ * @param {string} functionName - Public function
+ * @param {Object} values - Argument values keyed by Clarity argument name
+ * @returns {Array} Clarity values for functionArgs
+ */
+export function encodeFunctionArgs(abi, functionName, values) {
+  const fn = abi.functions.find(f => f.name === functionName);
+  if (!fn) {
+    throw new Error(`Contract has no public function ${functionName}`);
+  }
+
+  const unknown = Object.keys(values).filter(key => !fn.args.some(arg => arg.name === key));
+  if (unknown.length > 0) {
+    throw new Error(`${functionName} has no argument ${unknown.join(', ')}`);
+  }
+
+  return fn.args.map(arg => {
+    if (values[arg.name] === undefined || values[arg.name] === null) {
+      throw new Error(`${functionName} is missing argument ${arg.name}`);
+    }
+    return encodeArg(arg.type, values[arg.name], `${functionName}(${arg.name})`);
+  });
+}
+
+function encodeArg(type, value, where) {
+  switch (type) {
+    case 'uint128':
+      return uintCV(value);
+    case 'int128':
+      return intCV(value);
+    case 'bool':
+      return value ? trueCV() : falseCV();
+    case 'principal':
+      return principalCV(value);
+    case 'trait_reference':
+      return typeof value === 'string'
+        ? contractPrincipalCV(...value.split('.'))
+        : contractPrincipalCV(value.address, value.name);
+    default:
+      throw new Error(`Unsupported argument type ${JSON.stringify(type)} for ${where}`);
+  }
+}
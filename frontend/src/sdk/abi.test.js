@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'node:fs';
+import { ClarityType } from '@stacks/transactions';
+import { POOL_ABIS, encodeFunctionArgs } from './abi.js';
+
+const CONTRACTS_DIR = new URL('../../../contracts/', import.meta.url);
+const ADDRESS = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+
+// Clarity argument types as the interface endpoint names them
+const ABI_TYPES = {
+  uint: 'uint128',
+  int: 'int128',
+  bool: 'bool',
+  principal: 'principal',
+  '<ft-trait>': 'trait_reference'
+};
+
+// What encodeFunctionArgs must produce for each ABI type
+const ENCODED = {
+  uint128: { value: 1n, type: ClarityType.UInt },
+  int128: { value: -1n, type: ClarityType.Int },
+  bool: { value: true, type: ClarityType.BoolTrue },
+  principal: { value: ADDRESS, type: ClarityType.PrincipalStandard },
+  trait_reference: { value: { address: ADDRESS, name: 'token' }, type: ClarityType.PrincipalContract }
+};
+
+/**
+ * Every define-public / define-read-only in a contract:
+ * { public: [{ name, args: [{ name, type }] }], readOnly: [name], version }
+ */
+function parseContract(source) {
+  const code = source.replace(/;;.*$/gm, '');
+  const parsed = { public: [], readOnly: [], version: code.match(/version:\s*"([^"]+)"/)?.[1] };
+
+  for (const match of code.matchAll(/\(define-(public|read-only)\s*\(/g)) {
+    const signature = readBalanced(code, match.index + match[0].length - 1);
+    const [, name, rest] = signature.match(/^\(\s*([\w-]+)(.*)\)$/s);
+    if (match[1] === 'read-only') {
+      parsed.readOnly.push(name);
+      continue;
+    }
+    const args = [...rest.matchAll(/\(\s*([\w-]+)\s+([^()\s]+)\s*\)/g)]
+      .map(([, argName, type]) => ({ name: argName, type: ABI_TYPES[type] ?? type }));
+    parsed.public.push({ name, args });
+  }
+  return parsed;
+}
+
+// The parenthesized form starting at `start`
+function readBalanced(code, start) {
+  let depth = 0;
+  for (let i = start; i < code.length; i++) {
+    if (code[i] === '(') depth++;
+    if (code[i] === ')' && --depth === 0) return code.slice(start, i + 1);
+  }
+  throw new Error(`Unbalanced form at ${start}`);
+}
+
+const contracts = readdirSync(CONTRACTS_DIR)
+  .filter(file => /^pool.*\.clar$/.test(file))
+  .map(file => ({ file, ...parseContract(readFileSync(new URL(file, CONTRACTS_DIR), 'utf8')) }));
+
+const byName = fns => [...fns].sort((a, b) => a.name.localeCompare(b.name));
+
+describe('POOL_ABIS match contracts/', () => {
+  it('finds every pool contract and its version', () => {
+    expect(contracts.map(c => c.file)).toContain('pool.clar');
+    for (const contract of contracts) {
+      expect(POOL_ABIS, contract.file).toHaveProperty([contract.version]);
+    }
+  });
+
+  it('covers every version with a contract', () => {
+    expect(new Set(contracts.map(c => c.version))).toEqual(new Set(Object.keys(POOL_ABIS)));
+  });
+
+  describe.each(contracts.map(c => [c.file, c]))('%s', (file, contract) => {
+    const abi = POOL_ABIS[contract.version];
+
+    it('declares the same public functions, arguments in order with their types', () => {
+      expect(byName(abi.functions)).toEqual(byName(contract.public));
+    });
+
+    it('only lists read-only functions the contract defines', () => {
+      expect(contract.readOnly).toEqual(expect.arrayContaining(abi.readOnly));
+    });
+
+    it.each(contract.public.map(fn => [fn.name, fn]))('encodes %s in declared order', (name, fn) => {
+      // Keys in reverse so the order can only come from the ABI
+      const values = Object.fromEntries(fn.args.map(arg => [arg.name, ENCODED[arg.type].value]).reverse());
+      const encoded = encodeFunctionArgs(abi, name, values);
+      expect(encoded.map(cv => cv.type)).toEqual(fn.args.map(arg => ENCODED[arg.type].type));
+    });
+  });
+});
+
+describe('encodeFunctionArgs', () => {
+  const abi = POOL_ABIS['4.0.0'];
+  const tokens = { 'token-x': `${ADDRESS}.token-x`, 'token-y': `${ADDRESS}.token-y` };
+
+  it('places values by argument name', () => {
+    const [, , shares, minX, minY] = encodeFunctionArgs(abi, 'remove-liquidity', {
+      'min-y': 3n, 'min-x': 2n, shares: 1n, ...tokens
+    });
+    expect([shares.value, minX.value, minY.value]).toEqual([1n, 2n, 3n]);
+  });
+
+  it('rejects unknown functions, unknown arguments and missing ones', () => {
+    expect(() => encodeFunctionArgs(POOL_ABIS['1.0.0'], 'swap-y-for-x', {})).toThrow(/no public function swap-y-for-x/);
+    expect(() => encodeFunctionArgs(abi, 'remove-liquidity', { ...tokens, shares: 1n, 'min-x': 1n, 'min-y': 1n, extra: 1n }))
+      .toThrow(/no argument extra/);
+    expect(() => encodeFunctionArgs(abi, 'remove-liquidity', { ...tokens, shares: 1n, 'min-x': 1n }))
+      .toThrow(/missing argument min-y/);
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Fixed-Point Amounts
+ * ==============================================================================
+ *
+ * Token amounts are BigInt base units from the moment the user types them to
+ * the uint sent on chain; decimal strings exist only at the UI edges. Pool
+ * math reproduces the contracts' uint arithmetic step for step (every `/`
+ * floors), so quotes equal what quote-x-for-y / swap-x-for-y return:
+ *
+ *   fee        = dx * fee-bps / denom
+ *   dx-to-pool = dx - fee
+ *   dy         = ry * dx-to-pool / (rx + dx-to-pool)
+ *
+ *   parseUnits('1.5', 8)          // 150000000n
+ *   formatUnits(150000000n, 8)    // '1.5'
+ *   applySlippage(dy, 50n)        // dy less 0.5%, rounded down
+ *   addSlippage(dx, 50n)          // dx plus 0.5%, rounded up
+ * ==============================================================================
+ */
+
+export const DEFAULT_FEE_BPS = 30;
+export const DEFAULT_BPS_DENOM = 10000;
+
+const BPS = 10000n;
+
+// ==============================================================================
+// CONVERSION
+// ==============================================================================
+
+/**
+ * Coerce a base-unit amount to BigInt. Accepts bigint, a safe integer or a
+ * string of digits; anything fractional or unsafe throws.
+ */
+export function toBigInt(value) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value)) {
+      throw new Error(`Amount ${value} is not a safe integer; pass a bigint or string`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+  throw new Error(`Invalid base-unit amount: ${value}`);
+}
+
+/**
+ * Decimal string to base units, e.g. ('1.5', 8) -> 150000000n.
+ * Thousands separators are ignored; more decimals than the token has throws
+ * unless the extra digits are zeros.
+ * @param {string|number} input - Decimal amount
+ * @param {number} decimals - Token decimals
+ * @returns {bigint}
+ */
+export function parseUnits(input, decimals) {
+  const text = String(input).trim().replace(/,/g, '');
+  const match = text.match(/^(\d*)(?:\.(\d*))?$/);
+  if (!match || (!match[1] && !match[2])) {
+    throw new Error(`Invalid amount: ${input}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (/[1-9]/.test(fraction.slice(decimals))) {
+    throw new Error(`Too many decimal places: at most ${decimals}`);
+  }
+
+  const scale = 10n ** BigInt(decimals);
+  const fractionUnits = fraction.slice(0, decimals).padEnd(decimals, '0');
+  return BigInt(whole || '0') * scale + BigInt(fractionUnits || '0');
+}
+
+/**
+ * Base units to a decimal string, e.g. (150000000n, 8) -> '1.5'.
+ * Digits past maxDecimals are truncated, never rounded up.
+ * @param {bigint|number|string} value - Base units
+ * @param {number} decimals - Token decimals
+ * @param {Object} [options]
+ * @param {number} [options.maxDecimals] - Fraction digits to keep (default: all)
+ * @param {number} [options.minDecimals] - Pad the fraction to at least this many digits
+ * @param {boolean} [options.group] - Insert thousands separators
+ */
+export function formatUnits(value, decimals, { maxDecimals = decimals, minDecimals = 0, group = false } = {}) {
+  const units = toBigInt(value);
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const scale = 10n ** BigInt(decimals);
+
+  let whole = (abs / scale).toString();
+  let fraction = (abs % scale).toString().padStart(decimals, '0').slice(0, maxDecimals);
+  fraction = fraction.replace(/0+$/, '').padEnd(Math.min(minDecimals, Math.max(maxDecimals, 0)), '0');
+
+  if (group) whole = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return `${negative ? '-' : ''}${whole}${fraction ? `.${fraction}` : ''}`;
+}
+
+/**
+ * Percent (e.g. 0.5 or '0.5') to basis points (50n)
+ */
+export function percentToBps(percent) {
+  return parseUnits(String(percent), 2);
+}
+
+// ==============================================================================
+// SWAP MATH (matches swap-x-for-y / swap-y-for-x)
+// ==============================================================================
+
+/**
+ * Protocol fee taken from the input: dx * fee-bps / denom
+ */
+export function swapFee(amountIn, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  return toBigInt(amountIn) * BigInt(feeBps) / BigInt(bpsDenom);
+}
+
+/**
+ * Exact output of a swap, as the contract computes it
+ * @returns {{amountOut: bigint, fee: bigint, amountToPool: bigint}}
+ */
+export function swapOutput(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  const dx = toBigInt(amountIn);
+  const rIn = toBigInt(reserveIn);
+  const rOut = toBigInt(reserveOut);
+  if (dx <= 0n || rIn <= 0n || rOut <= 0n) {
+    return { amountOut: 0n, fee: 0n, amountToPool: 0n };
+  }
+
+  const fee = swapFee(dx, feeBps, bpsDenom);
+  const amountToPool = dx - fee;
+  return { amountOut: rOut * amountToPool / (rIn + amountToPool), fee, amountToPool };
+}
+
+/**
+ * Smallest input whose swap yields at least amountOut: the contract formula
+ * inverted, rounding every step so swapOutput(amountIn) >= amountOut.
+ * @returns {{amountIn: bigint, fee: bigint, amountToPool: bigint}|null}
+ *   null when the pool cannot pay out amountOut
+ */
+export function swapInput(amountOut, reserveIn, reserveOut, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  const dy = toBigInt(amountOut);
+  const rIn = toBigInt(reserveIn);
+  const rOut = toBigInt(reserveOut);
+  if (dy <= 0n || rIn <= 0n || rOut <= dy) return null;
+
+  // Smallest dx-to-pool with ry * dx-to-pool / (rx + dx-to-pool) >= dy
+  const minToPool = ceilDiv(dy * rIn, rOut - dy);
+  // Smallest dx with dx - fee >= dx-to-pool; the floored fee can allow one less
+  const denom = BigInt(bpsDenom);
+  let dx = ceilDiv(minToPool * denom, denom - BigInt(feeBps));
+  while (dx > minToPool && dx - 1n - swapFee(dx - 1n, feeBps, bpsDenom) >= minToPool) dx -= 1n;
+
+  const fee = swapFee(dx, feeBps, bpsDenom);
+  return { amountIn: dx, fee, amountToPool: dx - fee };
+}
+
+/**
+ * Minimum acceptable output: amount less slippage, rounded down
+ * @param {bigint} amount - Quoted output
+ * @param {bigint|number} slippageBps - Tolerance in basis points (50 = 0.5%)
+ */
+export function applySlippage(amount, slippageBps) {
+  const bps = toBigInt(slippageBps);
+  if (bps < 0n || bps > BPS) {
+    throw new Error(`Slippage must be between 0 and 100%`);
+  }
+  return toBigInt(amount) * (BPS - bps) / BPS;
+}
+
+/**
+ * Maximum input to spend: amount plus slippage, rounded up
+ * @param {bigint} amount - Quoted input
+ * @param {bigint|number} slippageBps - Tolerance in basis points (50 = 0.5%)
+ */
+export function addSlippage(amount, slippageBps) {
+  const bps = toBigInt(slippageBps);
+  if (bps < 0n || bps > BPS) {
+    throw new Error(`Slippage must be between 0 and 100%`);
+  }
+  return ceilDiv(toBigInt(amount) * (BPS + bps), BPS);
+}
+
+/**
+ * Price impact in percent: how far the execution price (out / in) falls
+ * short of the spot price (reserveOut / reserveIn), fee included.
+ * For a multi-hop route pass the products of each hop's reserves.
+ * @returns {number} Percent, resolved to 0.0001%
+ */
+export function priceImpact(amountIn, amountOut, reserveIn, reserveOut) {
+  const spot = toBigInt(amountIn) * toBigInt(reserveOut);
+  if (spot === 0n) return 0;
+
+  const ppm = (spot - toBigInt(amountOut) * toBigInt(reserveIn)) * 1000000n / spot;
+  return Number(ppm) / 10000;
+}
+
+/**
+ * Percent the pool price (reserveOut / reserveIn) moved between two reads
+ * @param {{reserveIn: bigint, reserveOut: bigint}} before
+ * @param {{reserveIn: bigint, reserveOut: bigint}} after
+ * @returns {number} Percent, resolved to 0.0001%
+ */
+export function priceChange(before, after) {
+  const then = toBigInt(after.reserveIn) * toBigInt(before.reserveOut);
+  if (then === 0n) return 0;
+
+  const now = toBigInt(after.reserveOut) * toBigInt(before.reserveIn);
+  return Number((now - then) * 1000000n / then) / 10000;
+}
+
+// ==============================================================================
+// LIQUIDITY MATH (matches initialize-pool / add-liquidity / remove-liquidity)
+// ==============================================================================
+
+/**
+ * The contracts' sqrt-int: seven Newton steps from n / 2, then one
+ * correction. It is not an exact square root for large n, and minted
+ * shares follow it, so it is reproduced as written.
+ */
+export function sqrtInt(value) {
+  const n = toBigInt(value);
+  if (n <= 1n) return n;
+  if (n <= 3n) return 1n;
+
+  let x = n / 2n;
+  for (let i = 0; i < 7; i++) {
+    x = (x + n / x) / 2n;
+  }
+  return x * x <= n ? x : x - 1n;
+}
+
+/**
+ * Shares minted and tokens actually taken for a deposit. The first deposit
+ * mints sqrt-int(x * y); later ones the smaller ratio, depositing only the
+ * proportional amounts.
+ * @returns {{shares: bigint, x: bigint, y: bigint}}
+ */
+export function depositAmounts(amountX, amountY, reserveX, reserveY, totalSupply) {
+  const ax = toBigInt(amountX);
+  const ay = toBigInt(amountY);
+  const supply = toBigInt(totalSupply);
+  if (ax <= 0n || ay <= 0n) return { shares: 0n, x: 0n, y: 0n };
+
+  if (supply === 0n) {
+    return { shares: sqrtInt(ax * ay), x: ax, y: ay };
+  }
+
+  const rx = toBigInt(reserveX);
+  const ry = toBigInt(reserveY);
+  const fromX = ax * supply / rx;
+  const fromY = ay * supply / ry;
+  const shares = fromX < fromY ? fromX : fromY;
+  return { shares, x: shares * rx / supply, y: shares * ry / supply };
+}
+
+/**
+ * Tokens returned for burning LP shares
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function withdrawAmounts(shares, reserveX, reserveY, totalSupply) {
+  const s = toBigInt(shares);
+  const supply = toBigInt(totalSupply);
+  if (s <= 0n || supply === 0n) return { x: 0n, y: 0n };
+
+  return { x: s * toBigInt(reserveX) / supply, y: s * toBigInt(reserveY) / supply };
+}
+
+function ceilDiv(a, b) {
+  return (a + b - 1n) / b;
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  swapFee,
+  swapOutput,
+  swapInput,
+  sqrtInt,
+  depositAmounts,
+  withdrawAmounts
+} from './amounts.js';
+import { MINIMUM_LIQUIDITY, err, clarity, property } from './test/pool-lp.js';
+
+// ==============================================================================
+// PROPERTIES
+// ==============================================================================
+
+describe('swapOutput matches swap-x-for-y', () => {
+  property('for random amounts and reserves', 1, ({ amount }) => {
+    const [dx, rx, ry] = [amount(), amount(), amount()];
+    const contract = clarity['swap-x-for-y'](dx, rx, ry);
+    const quote = swapOutput(dx, rx, ry);
+
+    expect(contract.ok).toBe(true);
+    expect(quote).toEqual({ amountOut: contract.value.dy, fee: contract.value.fee, amountToPool: contract.value.dxToPool });
+    expect(swapFee(dx)).toBe(contract.value.fee);
+  });
+
+  it('quotes nothing where the contract refuses', () => {
+    expect(clarity['swap-x-for-y'](0n, 10n, 10n)).toEqual(err(100));
+    expect(swapOutput(0n, 10n, 10n).amountOut).toBe(0n);
+    expect(clarity['swap-x-for-y'](10n, 0n, 10n)).toEqual(err(101));
+    expect(swapOutput(10n, 0n, 10n).amountOut).toBe(0n);
+  });
+});
+
+describe('swapInput is the smallest input for an output', () => {
+  property('for random outputs the pool can pay', 2, ({ amount }) => {
+    const [rx, ry] = [amount(), amount(60, 2n)];
+    const dy = 1n + amount(60) % (ry - 1n);
+    const { amountIn } = swapInput(dy, rx, ry);
+
+    expect(clarity['swap-x-for-y'](amountIn, rx, ry).value.dy).toBeGreaterThanOrEqual(dy);
+    if (amountIn > 1n) {
+      const less = clarity['swap-x-for-y'](amountIn - 1n, rx, ry);
+      expect(less.value.dy).toBeLessThan(dy);
+    }
+  });
+
+  property('is null when the output would drain the pool', 3, ({ amount }) => {
+    const [rx, ry] = [amount(), amount()];
+    expect(swapInput(ry + amount(8, 0n), rx, ry)).toBeNull();
+  });
+});
+
+describe('sqrtInt matches sqrt-int', () => {
+  // Larger n overflow the contract's final x7 * x7
+  property('for random n', 4, ({ amount }) => {
+    const n = amount(70, 0n);
+    expect(sqrtInt(n)).toBe(clarity['sqrt-int'](n));
+  });
+
+  it('for every n up to 5000', () => {
+    for (let n = 0n; n <= 5000n; n++) expect(sqrtInt(n)).toBe(clarity['sqrt-int'](n));
+  });
+
+  it('keeps the contract\'s approximation rather than the exact root', () => {
+    // Seven steps from n / 2 have not converged for n this large
+    const n = 10n ** 12n;
+    expect(sqrtInt(n)).toBe(clarity['sqrt-int'](n));
+    expect(sqrtInt(n)).toBeGreaterThan(10n ** 6n);
+  });
+});
+
+describe('depositAmounts matches initialize-pool and add-liquidity', () => {
+  property('first deposit', 5, ({ amount }) => {
+    const [ax, ay] = [amount(35), amount(35)];
+    const deposit = depositAmounts(ax, ay, 0n, 0n, 0n);
+    const contract = clarity['initialize-pool'](ax, ay);
+
+    expect(deposit.shares).toBe(clarity['sqrt-int'](ax * ay));
+    if (contract.ok) expect(deposit).toEqual(contract.value);
+    else expect(deposit.shares <= MINIMUM_LIQUIDITY).toBe(true);
+  });
+
+  property('later deposits', 6, ({ amount }) => {
+    const [rx, ry, supply] = [amount(), amount(), amount()];
+    const [ax, ay] = [amount(), amount()];
+    const deposit = depositAmounts(ax, ay, rx, ry, supply);
+    const contract = clarity['add-liquidity'](ax, ay, rx, ry, supply);
+
+    if (contract.ok) {
+      expect(deposit).toEqual(contract.value);
+    } else {
+      expect(contract).toEqual(err(203));
+      expect(deposit.shares).toBe(0n);
+    }
+  });
+});
+
+describe('withdrawAmounts matches remove-liquidity', () => {
+  property('for random shares of the supply', 9, ({ amount }) => {
+    const [rx, ry, supply] = [amount(), amount(), amount()];
+    const shares = 1n + amount() % supply;
+    expect(withdrawAmounts(shares, rx, ry, supply)).toEqual(clarity['remove-liquidity'](shares, rx, ry, supply).value);
+  });
+
+  it('returns nothing where the contract refuses', () => {
+    expect(clarity['remove-liquidity'](0n, 10n, 10n, 10n)).toEqual(err(100));
+    expect(withdrawAmounts(0n, 10n, 10n, 10n)).toEqual({ x: 0n, y: 0n });
+    expect(clarity['remove-liquidity'](1n, 10n, 10n, 0n)).toEqual(err(201));
+    expect(withdrawAmounts(1n, 10n, 10n, 0n)).toEqual({ x: 0n, y: 0n });
+  });
+});
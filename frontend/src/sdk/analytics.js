@@ -0,0 +1,179 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Analytics
+ * ==============================================================================
+ *
+ * Price, volume, TVL and fee yield rebuilt from a pool's call history
+ * (history.js) and its current reserves.
+ *
+ *   const entries = await pool.getPoolHistory({ since: Date.now() - 30 * DAY_MS });
+ *   const series = reserveSeries(entries, await pool.getReserves(), pool);
+ *   const volume = dailyVolume(entries, pool);
+ *   const apr = feeApr({ fees: feeGrowth(entries, pool), series, from, to });
+ *
+ * Reserves are walked back from the current ones, undoing each successful
+ * call the way the contracts applied it: a swap adds its input less the fee
+ * (the fee goes to the fee recipient) and removes its output; deposits and
+ * withdrawals move both tokens. Calls made to the pool through another
+ * contract are not in its transaction list and are not replayed.
+ * ==============================================================================
+ */
+
+import { toBigInt } from './amounts.js';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365 * DAY_MS;
+
+// ==============================================================================
+// RESERVES & PRICE
+// ==============================================================================
+
+/**
+ * Net change a successful call made to the pool's balance of one token
+ */
+export function reserveDelta(entry, token) {
+  const sum = legs => legs.reduce((total, leg) => (leg.token === token ? total + leg.amount : total), 0n);
+  const fee = entry.fee?.token === token ? entry.fee.amount : 0n;
+  return sum(entry.amountsIn) - fee - sum(entry.amountsOut);
+}
+
+/**
+ * Reserves after every successful call, rebuilt backwards from the current ones
+ * @param {Object[]} entries - History entries, newest first
+ * @param {{x: bigint, y: bigint}} current - Reserves now
+ * @param {{tokenX: Object, tokenY: Object}} tokens - The token objects the entries were decoded with
+ * @returns {{start: {x: bigint, y: bigint}, points: Array<{time, blockHeight, txId, action, x, y}>}}
+ *   start is the state before the oldest entry; points run oldest first
+ */
+export function reserveSeries(entries, current, { tokenX, tokenY }) {
+  let x = toBigInt(current.x);
+  let y = toBigInt(current.y);
+  const points = [];
+
+  for (const entry of entries) {
+    if (entry.status !== 'success') continue;
+    points.push({ time: entry.time, blockHeight: entry.blockHeight, txId: entry.txId, action: entry.action, x, y });
+
+    if (entry.action === 'initialize') {
+      x = 0n;
+      y = 0n;
+      break;
+    }
+    x -= reserveDelta(entry, tokenX);
+    y -= reserveDelta(entry, tokenY);
+  }
+
+  return { start: { x, y }, points: points.reverse() };
+}
+
+/**
+ * Pool price of one whole X in base units of Y, or null for an empty pool
+ */
+export function spotPrice(reserves, { tokenX }) {
+  const x = toBigInt(reserves.x);
+  if (x === 0n) return null;
+  return toBigInt(reserves.y) * 10n ** BigInt(tokenX.decimals) / x;
+}
+
+/**
+ * Time-weighted average reserves between two timestamps. Each point's
+ * reserves hold until the next point; start holds before the first.
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function averageReserves({ start, points }, from, to) {
+  let current = start;
+  let since = from;
+  let x = 0n;
+  let y = 0n;
+
+  const accumulate = (until) => {
+    const span = BigInt(Math.max(0, Math.min(until, to) - since));
+    x += current.x * span;
+    y += current.y * span;
+  };
+
+  for (const point of points) {
+    if (point.time === null || point.time <= from) {
+      current = point;
+      continue;
+    }
+    accumulate(point.time);
+    current = point;
+    since = Math.max(point.time, from);
+  }
+  accumulate(to);
+
+  const total = BigInt(Math.max(1, to - from));
+  return { x: x / total, y: y / total };
+}
+
+// ==============================================================================
+// VOLUME & FEES
+// ==============================================================================
+
+/**
+ * Traded amount of each token per UTC day, oldest first. Every successful
+ * swap counts once for each token: its input side and its output side.
+ * @returns {Array<{day: string, x: bigint, y: bigint, swaps: number}>}
+ */
+export function dailyVolume(entries, { tokenX, tokenY }) {
+  const days = new Map();
+
+  for (const entry of entries) {
+    if (entry.action !== 'swap' || entry.status !== 'success' || !entry.time) continue;
+
+    const day = new Date(entry.time).toISOString().slice(0, 10);
+    const bucket = days.get(day) || { day, x: 0n, y: 0n, swaps: 0 };
+    for (const leg of [...entry.amountsIn, ...entry.amountsOut]) {
+      if (leg.token === tokenX) bucket.x += leg.amount;
+      if (leg.token === tokenY) bucket.y += leg.amount;
+    }
+    bucket.swaps++;
+    days.set(day, bucket);
+  }
+
+  return [...days.values()].sort((a, b) => a.day.localeCompare(b.day));
+}
+
+/**
+ * Growth of total-fees-x / total-fees-y over the entries: the fees their
+ * successful swaps charged
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function feeGrowth(entries, { tokenX, tokenY }) {
+  const fees = { x: 0n, y: 0n };
+  for (const entry of entries) {
+    if (entry.status !== 'success' || !entry.fee) continue;
+    if (entry.fee.token === tokenX) fees.x += entry.fee.amount;
+    if (entry.fee.token === tokenY) fees.y += entry.fee.amount;
+  }
+  return fees;
+}
+
+/**
+ * Pool value counted in each token: both sides at the pool's own price
+ * @returns {{inX: bigint, inY: bigint}}
+ */
+export function tvl(reserves) {
+  return { inX: toBigInt(reserves.x) * 2n, inY: toBigInt(reserves.y) * 2n };
+}
+
+/**
+ * Annualized fee yield in percent: fees charged over the window, valued in Y
+ * at the current price, against the window's time-weighted TVL
+ * @param {Object} params
+ * @param {{x: bigint, y: bigint}} params.fees - feeGrowth over the window
+ * @param {Object} params.series - reserveSeries result
+ * @param {number} params.from - Window start (ms)
+ * @param {number} params.to - Window end (ms)
+ * @returns {number|null} Percent, resolved to 0.0001%; null without liquidity
+ */
+export function feeApr({ fees, series, from, to }) {
+  const now = series.points[series.points.length - 1] || series.start;
+  const average = averageReserves(series, from, to);
+  if (now.x === 0n || average.y === 0n || to <= from) return null;
+
+  const feeValueY = fees.y + fees.x * now.y / now.x;
+  const ppm = feeValueY * BigInt(YEAR_MS) * 1000000n / (tvl(average).inY * BigInt(to - from));
+  return Number(ppm) / 10000;
+}
@@ -0,0 +1,136 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Capabilities
+ * ==============================================================================
+ *
+ * What a deployed pool contract can do, read from the chain rather than
+ * trusted from the manifest. The pool contracts in contracts/ differ: pool
+ * only swaps X -> Y, pool-v2 and pool-v3 swap both ways without LP shares,
+ * the 4.0.0 contracts add liquidity.
+ *
+ *   const profile = await pool.detectCapabilities();
+ *   profile.swapYForX;   // false for pool.clar
+ *   profile.liquidity;   // add / remove-liquidity and share reads
+ *   profile.source;      // 'interface', 'contract-info' or 'manifest'
+ *
+ * Detection asks the Stacks API for the contract interface and matches its
+ * public functions against the known versions in abi.js. A contract that
+ * matches none keeps the interface's own signatures, so calls still encode
+ * exactly what is deployed. If the interface cannot be read, the version
+ * from get-contract-info is used, and failing that the manifest's.
+ * ==============================================================================
+ */
+
+import { POOL_ABIS } from './abi.js';
+
+/**
+ * Capability name -> functions the contract needs for it
+ */
+export const CAPABILITIES = {
+  swapXForY: ['swap-x-for-y'],
+  swapYForX: ['swap-y-for-x'],
+  initialize: ['initialize-pool'],
+  liquidity: ['add-liquidity', 'remove-liquidity', 'get-total-supply', 'get-user-liquidity', 'quote-remove-liquidity'],
+  fees: ['get-fee-info', 'get-total-fees']
+};
+
+// get-total-fees adds fees of both tokens into one uint, so there are no
+// per-token totals to show
+const SUMMED_FEES_VERSIONS = ['2.0.0'];
+
+/**
+ * Profile of a known contract version
+ * @param {string} version - POOL_ABIS key
+ * @param {string} source - Where the version came from
+ * @returns {Object} See capabilityProfile
+ */
+export function versionProfile(version, source) {
+  const abi = POOL_ABIS[version];
+  if (!abi) {
+    throw new Error(`Unknown pool contract version: ${version}`);
+  }
+  return capabilityProfile({
+    source,
+    version,
+    abi: { functions: abi.functions },
+    functions: [...abi.functions.map(fn => fn.name), ...abi.readOnly]
+  });
+}
+
+/**
+ * Profile of a contract interface (/v2/contracts/interface)
+ * @param {{functions: Array<{name: string, access: string, args: Array}>}} contractInterface
+ * @returns {Object} See capabilityProfile; version is null when no known version matches
+ */
+export function interfaceProfile(contractInterface) {
+  const visible = contractInterface.functions.filter(fn => fn.access !== 'private');
+  const publicFunctions = visible
+    .filter(fn => fn.access === 'public')
+    .map(fn => ({ name: fn.name, args: fn.args.map(arg => ({ name: arg.name, type: arg.type })) }));
+
+  return capabilityProfile({
+    source: 'interface',
+    version: matchVersion(publicFunctions),
+    abi: { functions: publicFunctions },
+    functions: visible.map(fn => fn.name)
+  });
+}
+
+/**
+ * @param {Object} params
+ * @param {string} params.source - 'interface', 'contract-info' or 'manifest'
+ * @param {string|null} params.version - Known version the contract matches
+ * @param {{functions: Array}} params.abi - Public function signatures to encode calls with
+ * @param {string[]} params.functions - Public and read-only function names
+ * @returns {Object} { source, version, abi, functions, ...one boolean per CAPABILITIES key }
+ */
+export function capabilityProfile({ source, version, abi, functions }) {
+  const profile = { source, version, abi, functions };
+  for (const [capability, required] of Object.entries(CAPABILITIES)) {
+    profile[capability] = required.every(name => functions.includes(name));
+  }
+  if (SUMMED_FEES_VERSIONS.includes(version)) profile.fees = false;
+  return profile;
+}
+
+/**
+ * Read a deployed contract's interface from the Stacks API
+ * @param {Object} params - { apiUrl, contract: { address, name }, fetch }
+ */
+export async function fetchContractInterface({ apiUrl, contract, fetch: fetchFn = globalThis.fetch }) {
+  const response = await fetchFn(`${apiUrl}/v2/contracts/interface/${contract.address}/${contract.name}`);
+  if (!response.ok) {
+    throw new Error(`Failed to read the interface of ${contract.address}.${contract.name}: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Profile a pool client's contract, falling back from the interface to
+ * get-contract-info to the version the client was created with
+ * @param {PoolClient} client
+ * @returns {Promise<Object>}
+ */
+export async function detectCapabilities(client) {
+  try {
+    return interfaceProfile(await fetchContractInterface(client));
+  } catch (error) {
+    console.warn(`Contract interface unavailable for ${client.contractId}:`, error.message);
+  }
+
+  try {
+    const info = await client.getContractInfo();
+    if (POOL_ABIS[info?.version]) return versionProfile(info.version, 'contract-info');
+  } catch (error) {
+    console.warn(`get-contract-info unavailable for ${client.contractId}:`, error.message);
+  }
+
+  return versionProfile(client.version, 'manifest');
+}
+
+// Known version whose public functions are exactly these, argument names included
+function matchVersion(publicFunctions) {
+  const signature = fns => fns.map(fn => fn.name + '(' + fn.args.map(arg => arg.name).join(',') + ')').sort().join(';');
+  const deployed = signature(publicFunctions);
+  return Object.keys(POOL_ABIS).find(version => signature(POOL_ABIS[version].functions) === deployed) ?? null;
+}
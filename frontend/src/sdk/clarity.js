@@ -0,0 +1,329 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Clarity Value Codec
+ * ==============================================================================
+ *
+ * Decoder and encoder for Clarity consensus serialization (the hex returned by
+ * /v2/contracts/call-read and found in tx results and function args).
+ *
+ * Decoded values are typed plain objects:
+ *
+ *   { type: 'int' | 'uint', value: bigint }
+ *   { type: 'bool', value: boolean }
+ *   { type: 'buffer', value: Uint8Array }
+ *   { type: 'principal', value: 'SP...' }                      standard
+ *   { type: 'principal', value: 'SP....name', contractName }   contract
+ *   { type: 'optional', value: ClarityValue | null }
+ *   { type: 'response', ok: boolean, value: ClarityValue }
+ *   { type: 'list', value: ClarityValue[] }
+ *   { type: 'tuple', value: { [key]: ClarityValue } }
+ *   { type: 'string-ascii' | 'string-utf8', value: string }
+ *
+ * clarityToJS() flattens a typed value into plain JS for app code.
+ * ==============================================================================
+ */
+
+import { addressToString, addressFromVersionHash, createAddress } from '@stacks/transactions';
+
+// ==============================================================================
+// TYPE PREFIXES
+// ==============================================================================
+
+export const ClarityPrefix = {
+  Int: 0x00,
+  UInt: 0x01,
+  Buffer: 0x02,
+  BoolTrue: 0x03,
+  BoolFalse: 0x04,
+  PrincipalStandard: 0x05,
+  PrincipalContract: 0x06,
+  ResponseOk: 0x07,
+  ResponseErr: 0x08,
+  OptionalNone: 0x09,
+  OptionalSome: 0x0a,
+  List: 0x0b,
+  Tuple: 0x0c,
+  StringASCII: 0x0d,
+  StringUTF8: 0x0e
+};
+
+const INT128_MIN = -(1n << 127n);
+const INT128_MAX = (1n << 127n) - 1n;
+const UINT128_MAX = (1n << 128n) - 1n;
+
+// ==============================================================================
+// CONSTRUCTORS
+// ==============================================================================
+
+/**
+ * Shorthand constructors for typed values, e.g. Cl.tuple({ x: Cl.uint(1) })
+ */
+export const Cl = {
+  int: (value) => ({ type: 'int', value: BigInt(value) }),
+  uint: (value) => ({ type: 'uint', value: BigInt(value) }),
+  bool: (value) => ({ type: 'bool', value: Boolean(value) }),
+  buffer: (value) => ({ type: 'buffer', value: typeof value === 'string' ? hexToBytes(value) : value }),
+  principal: (value) => {
+    const [address, contractName] = value.split('.');
+    return contractName
+      ? { type: 'principal', value, address, contractName }
+      : { type: 'principal', value };
+  },
+  none: () => ({ type: 'optional', value: null }),
+  some: (value) => ({ type: 'optional', value }),
+  ok: (value) => ({ type: 'response', ok: true, value }),
+  err: (value) => ({ type: 'response', ok: false, value }),
+  list: (value) => ({ type: 'list', value }),
+  tuple: (value) => ({ type: 'tuple', value }),
+  stringAscii: (value) => ({ type: 'string-ascii', value }),
+  stringUtf8: (value) => ({ type: 'string-utf8', value })
+};
+
+// ==============================================================================
+// DECODING
+// ==============================================================================
+
+/**
+ * Decode a serialized Clarity value
+ * @param {string|Uint8Array} input - Hex string (with or without 0x) or bytes
+ * @returns {Object} Typed Clarity value
+ * @throws {Error} On unknown prefixes, truncated input or trailing bytes
+ */
+export function decodeClarityValue(input) {
+  const bytes = typeof input === 'string' ? hexToBytes(input) : input;
+  const reader = { bytes, offset: 0 };
+  const value = readValue(reader);
+
+  if (reader.offset !== bytes.length) {
+    throw new Error(`Clarity decode: ${bytes.length - reader.offset} trailing bytes`);
+  }
+  return value;
+}
+
+function readValue(reader) {
+  const prefix = readBytes(reader, 1)[0];
+
+  switch (prefix) {
+    case ClarityPrefix.Int:
+      return { type: 'int', value: BigInt.asIntN(128, bytesToBigInt(readBytes(reader, 16))) };
+    case ClarityPrefix.UInt:
+      return { type: 'uint', value: bytesToBigInt(readBytes(reader, 16)) };
+    case ClarityPrefix.Buffer:
+      return { type: 'buffer', value: readBytes(reader, readUInt32(reader)) };
+    case ClarityPrefix.BoolTrue:
+      return { type: 'bool', value: true };
+    case ClarityPrefix.BoolFalse:
+      return { type: 'bool', value: false };
+    case ClarityPrefix.PrincipalStandard:
+      return { type: 'principal', value: readAddress(reader) };
+    case ClarityPrefix.PrincipalContract: {
+      const address = readAddress(reader);
+      const contractName = readString(reader, readBytes(reader, 1)[0], 'ascii');
+      return { type: 'principal', value: `${address}.${contractName}`, address, contractName };
+    }
+    case ClarityPrefix.ResponseOk:
+      return { type: 'response', ok: true, value: readValue(reader) };
+    case ClarityPrefix.ResponseErr:
+      return { type: 'response', ok: false, value: readValue(reader) };
+    case ClarityPrefix.OptionalNone:
+      return { type: 'optional', value: null };
+    case ClarityPrefix.OptionalSome:
+      return { type: 'optional', value: readValue(reader) };
+    case ClarityPrefix.List: {
+      const length = readUInt32(reader);
+      const items = [];
+      for (let i = 0; i < length; i++) items.push(readValue(reader));
+      return { type: 'list', value: items };
+    }
+    case ClarityPrefix.Tuple: {
+      const length = readUInt32(reader);
+      const entries = {};
+      for (let i = 0; i < length; i++) {
+        const key = readString(reader, readBytes(reader, 1)[0], 'ascii');
+        entries[key] = readValue(reader);
+      }
+      return { type: 'tuple', value: entries };
+    }
+    case ClarityPrefix.StringASCII:
+      return { type: 'string-ascii', value: readString(reader, readUInt32(reader), 'ascii') };
+    case ClarityPrefix.StringUTF8:
+      return { type: 'string-utf8', value: readString(reader, readUInt32(reader), 'utf-8') };
+    default:
+      throw new Error(`Clarity decode: unknown type prefix 0x${prefix.toString(16).padStart(2, '0')} at byte ${reader.offset - 1}`);
+  }
+}
+
+function readBytes(reader, length) {
+  if (reader.offset + length > reader.bytes.length) {
+    throw new Error(`Clarity decode: unexpected end of input at byte ${reader.offset}`);
+  }
+  const slice = reader.bytes.slice(reader.offset, reader.offset + length);
+  reader.offset += length;
+  return slice;
+}
+
+function readUInt32(reader) {
+  const b = readBytes(reader, 4);
+  return ((b[0] << 24) | (b[1] << 16) | (b[2] << 8) | b[3]) >>> 0;
+}
+
+function readString(reader, length, encoding) {
+  return new TextDecoder(encoding).decode(readBytes(reader, length));
+}
+
+function readAddress(reader) {
+  const version = readBytes(reader, 1)[0];
+  const hash160 = bytesToHex(readBytes(reader, 20));
+  return addressToString(addressFromVersionHash(version, hash160));
+}
+
+// ==============================================================================
+// ENCODING
+// ==============================================================================
+
+/**
+ * Serialize a typed Clarity value
+ * @param {Object} value - Typed Clarity value (see Cl)
+ * @returns {string} 0x-prefixed hex
+ */
+export function encodeClarityValue(value) {
+  return '0x' + bytesToHex(writeValue(value));
+}
+
+function writeValue(cv) {
+  switch (cv.type) {
+    case 'int': {
+      const value = BigInt(cv.value);
+      if (value < INT128_MIN || value > INT128_MAX) throw new Error(`Clarity encode: int out of range: ${value}`);
+      return concat([ClarityPrefix.Int], bigIntToBytes(BigInt.asUintN(128, value)));
+    }
+    case 'uint': {
+      const value = BigInt(cv.value);
+      if (value < 0n || value > UINT128_MAX) throw new Error(`Clarity encode: uint out of range: ${value}`);
+      return concat([ClarityPrefix.UInt], bigIntToBytes(value));
+    }
+    case 'bool':
+      return new Uint8Array([cv.value ? ClarityPrefix.BoolTrue : ClarityPrefix.BoolFalse]);
+    case 'buffer':
+      return concat([ClarityPrefix.Buffer], uint32Bytes(cv.value.length), cv.value);
+    case 'principal': {
+      const [address, contractName] = cv.value.split('.');
+      if (!contractName) {
+        return concat([ClarityPrefix.PrincipalStandard], addressBytes(address));
+      }
+      const name = new TextEncoder().encode(contractName);
+      return concat([ClarityPrefix.PrincipalContract], addressBytes(address), [name.length], name);
+    }
+    case 'optional':
+      return cv.value === null
+        ? new Uint8Array([ClarityPrefix.OptionalNone])
+        : concat([ClarityPrefix.OptionalSome], writeValue(cv.value));
+    case 'response':
+      return concat([cv.ok ? ClarityPrefix.ResponseOk : ClarityPrefix.ResponseErr], writeValue(cv.value));
+    case 'list':
+      return concat([ClarityPrefix.List], uint32Bytes(cv.value.length), ...cv.value.map(writeValue));
+    case 'tuple': {
+      // Consensus serialization requires keys in lexicographic order
+      const keys = Object.keys(cv.value).sort();
+      const parts = keys.map(key => {
+        const name = new TextEncoder().encode(key);
+        return concat([name.length], name, writeValue(cv.value[key]));
+      });
+      return concat([ClarityPrefix.Tuple], uint32Bytes(keys.length), ...parts);
+    }
+    case 'string-ascii': {
+      const bytes = new TextEncoder().encode(cv.value);
+      return concat([ClarityPrefix.StringASCII], uint32Bytes(bytes.length), bytes);
+    }
+    case 'string-utf8': {
+      const bytes = new TextEncoder().encode(cv.value);
+      return concat([ClarityPrefix.StringUTF8], uint32Bytes(bytes.length), bytes);
+    }
+    default:
+      throw new Error(`Clarity encode: unsupported type ${cv.type}`);
+  }
+}
+
+function addressBytes(address) {
+  const { version, hash160 } = createAddress(address);
+  return concat([version], hexToBytes(hash160));
+}
+
+function uint32Bytes(n) {
+  return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff];
+}
+
+function concat(...parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ==============================================================================
+// PLAIN JS CONVERSION
+// ==============================================================================
+
+/**
+ * Flatten a typed value into plain JS:
+ *   int/uint -> bigint, buffer -> 0x hex, principal -> string,
+ *   optional -> value or null, response -> { ok, value },
+ *   list -> array, tuple -> object, strings -> string
+ */
+export function clarityToJS(cv) {
+  switch (cv.type) {
+    case 'buffer':
+      return '0x' + bytesToHex(cv.value);
+    case 'optional':
+      return cv.value === null ? null : clarityToJS(cv.value);
+    case 'response':
+      return { ok: cv.ok, value: clarityToJS(cv.value) };
+    case 'list':
+      return cv.value.map(clarityToJS);
+    case 'tuple':
+      return Object.fromEntries(
+        Object.entries(cv.value).map(([key, value]) => [key, clarityToJS(value)])
+      );
+    default:
+      return cv.value;
+  }
+}
+
+/**
+ * Decode hex straight to plain JS
+ */
+export function decodeClarityToJS(hex) {
+  return clarityToJS(decodeClarityValue(hex));
+}
+
+// ==============================================================================
+// BYTE HELPERS
+// ==============================================================================
+
+function hexToBytes(hex) {
+  const clean = hex.startsWith('0x') ? hex.slice(2) : hex;
+  if (clean.length % 2 !== 0 || /[^0-9a-fA-F]/.test(clean)) {
+    throw new Error('Clarity decode: invalid hex input');
+  }
+  const bytes = new Uint8Array(clean.length / 2);
+  for (let i = 0; i < clean.length; i += 2) {
+    bytes[i / 2] = parseInt(clean.substr(i, 2), 16);
+  }
+  return bytes;
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function bytesToBigInt(bytes) {
+  return bytes.length === 0 ? 0n : BigInt('0x' + bytesToHex(bytes));
+}
+
+function bigIntToBytes(value) {
+  return hexToBytes(value.toString(16).padStart(32, '0'));
+}
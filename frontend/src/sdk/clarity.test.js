@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import { decodeClarityValue, encodeClarityValue, clarityToJS, Cl } from './clarity.js';
+
+const ADDRESS = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const TESTNET_ADDRESS = 'ST1PQHQKV0RJXZFY1DGX8MNSNYVE3VGZJSRTPGZGM';
+
+// Consensus serializations, cross-checked with @stacks/transactions cvToHex
+const VECTORS = [
+  ['int 0', Cl.int(0), '0x0000000000000000000000000000000000'],
+  ['int -1', Cl.int(-1), '0x00ffffffffffffffffffffffffffffffff'],
+  ['int min', Cl.int(-(1n << 127n)), '0x0080000000000000000000000000000000'],
+  ['int max', Cl.int((1n << 127n) - 1n), '0x007fffffffffffffffffffffffffffffff'],
+  ['uint 0', Cl.uint(0), '0x0100000000000000000000000000000000'],
+  ['uint 1000', Cl.uint(1000), '0x01000000000000000000000000000003e8'],
+  ['uint max', Cl.uint((1n << 128n) - 1n), '0x01ffffffffffffffffffffffffffffffff'],
+  ['true', Cl.bool(true), '0x03'],
+  ['false', Cl.bool(false), '0x04'],
+  ['buffer', Cl.buffer('deadbeef'), '0x0200000004deadbeef'],
+  ['empty buffer', Cl.buffer(''), '0x0200000000'],
+  ['standard principal', Cl.principal(ADDRESS), '0x0516a46ff88886c2ef9762d970b4d2c63678835bd39d'],
+  ['testnet principal', Cl.principal(TESTNET_ADDRESS), '0x051a6d78de7b0625dfbfc16c3a8a5735f6dc3dc3f2ce'],
+  ['contract principal', Cl.principal(`${ADDRESS}.pool-v5`), '0x0616a46ff88886c2ef9762d970b4d2c63678835bd39d07706f6f6c2d7635'],
+  ['none', Cl.none(), '0x09'],
+  ['some', Cl.some(Cl.uint(5)), '0x0a0100000000000000000000000000000005'],
+  ['ok', Cl.ok(Cl.bool(true)), '0x0703'],
+  ['err', Cl.err(Cl.uint(102)), '0x080100000000000000000000000000000066'],
+  ['list', Cl.list([Cl.uint(1), Cl.uint(2)]), '0x0b0000000201000000000000000000000000000000010100000000000000000000000000000002'],
+  ['empty list', Cl.list([]), '0x0b00000000'],
+  [
+    'tuple',
+    Cl.tuple({ 'reserve-x': Cl.uint(1), 'reserve-y': Cl.uint(2) }),
+    '0x0c0000000209726573657276652d78010000000000000000000000000000000109726573657276652d790100000000000000000000000000000002'
+  ],
+  ['string-ascii', Cl.stringAscii('hello'), '0x0d0000000568656c6c6f'],
+  ['empty string-ascii', Cl.stringAscii(''), '0x0d00000000'],
+  ['string-utf8', Cl.stringUtf8('héllo 🚀'), '0x0e0000000b68c3a96c6c6f20f09f9a80']
+];
+
+describe('Clarity codec vectors', () => {
+  it.each(VECTORS)('encodes %s', (name, value, hex) => {
+    expect(encodeClarityValue(value)).toBe(hex);
+  });
+
+  it.each(VECTORS)('decodes %s', (name, value, hex) => {
+    expect(decodeClarityValue(hex)).toEqual(value);
+  });
+
+  it('decodes without the 0x prefix and from bytes', () => {
+    expect(decodeClarityValue('0703')).toEqual(Cl.ok(Cl.bool(true)));
+    expect(decodeClarityValue(new Uint8Array([0x07, 0x03]))).toEqual(Cl.ok(Cl.bool(true)));
+  });
+});
+
+describe('tuple keys', () => {
+  it('serializes keys in lexicographic order whatever the input order', () => {
+    const sorted = encodeClarityValue(Cl.tuple({ a: Cl.uint(1), b: Cl.uint(2) }));
+    expect(encodeClarityValue(Cl.tuple({ b: Cl.uint(2), a: Cl.uint(1) }))).toBe(sorted);
+  });
+
+  it('orders keys by byte, so longer keys follow their prefixes', () => {
+    const hex = encodeClarityValue(Cl.tuple({ 'fees-x': Cl.uint(0), fee: Cl.uint(0) }));
+    expect(Object.keys(decodeClarityValue(hex).value)).toEqual(['fee', 'fees-x']);
+  });
+});
+
+describe('rejected input', () => {
+  it.each([
+    ['empty input', '0x'],
+    ['truncated uint', '0x01000000000000000000000000000003'],
+    ['truncated buffer', '0x0200000004deadbe'],
+    ['truncated buffer length', '0x02000000'],
+    ['truncated principal', '0x0516a46ff88886c2ef9762d970b4d2c63678835bd3'],
+    ['truncated contract name', '0x0616a46ff88886c2ef9762d970b4d2c63678835bd39d07706f6f6c2d76'],
+    ['response without a value', '0x07'],
+    ['list shorter than its length', '0x0b000000020100000000000000000000000000000001'],
+    ['truncated tuple key', '0x0c0000000109726573657276'],
+    ['truncated string', '0x0d0000000568656c6c']
+  ])('%s', (name, hex) => {
+    expect(() => decodeClarityValue(hex)).toThrow(/unexpected end of input/);
+  });
+
+  it.each([
+    ['after a bool', '0x0300'],
+    ['after a uint', '0x01000000000000000000000000000003e8ff'],
+    ['after a tuple', '0x0c0000000109726573657276652d78010000000000000000000000000000000100']
+  ])('trailing bytes %s', (name, hex) => {
+    expect(() => decodeClarityValue(hex)).toThrow(/trailing bytes/);
+  });
+
+  it('rejects unknown type prefixes', () => {
+    expect(() => decodeClarityValue('0x0f')).toThrow(/unknown type prefix 0x0f/);
+  });
+
+  it('rejects malformed hex', () => {
+    expect(() => decodeClarityValue('0x0')).toThrow(/invalid hex/);
+    expect(() => decodeClarityValue('0xzz')).toThrow(/invalid hex/);
+  });
+
+  it('refuses to encode integers out of range', () => {
+    expect(() => encodeClarityValue(Cl.uint(-1))).toThrow(/uint out of range/);
+    expect(() => encodeClarityValue(Cl.uint(1n << 128n))).toThrow(/uint out of range/);
+    expect(() => encodeClarityValue(Cl.int(1n << 127n))).toThrow(/int out of range/);
+    expect(() => encodeClarityValue(Cl.int(-(1n << 127n) - 1n))).toThrow(/int out of range/);
+  });
+});
+
+describe('clarityToJS', () => {
+  it('flattens nested values', () => {
+    const value = Cl.ok(Cl.tuple({
+      owner: Cl.principal(ADDRESS),
+      hash: Cl.buffer('deadbeef'),
+      shares: Cl.some(Cl.uint(7)),
+      history: Cl.list([Cl.none()])
+    }));
+    expect(clarityToJS(decodeClarityValue(encodeClarityValue(value)))).toEqual({
+      ok: true,
+      value: { owner: ADDRESS, hash: '0xdeadbeef', shares: 7n, history: [null] }
+    });
+  });
+});
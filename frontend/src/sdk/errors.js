@@ -0,0 +1,68 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Error Catalog
+ * ==============================================================================
+ *
+ * Human-readable reasons for the (err uNNN) codes returned by the pool
+ * contracts' swap, initialize-pool, add-liquidity and remove-liquidity.
+ * Codes are shared by every pool version in contracts/; pool-v2 (not in the
+ * registry) reuses u105 for any transfer and u202 for a missing deposit.
+ *
+ *   describePoolError(103, { priceMove: 1.8 })
+ *   // "Slippage exceeded: the pool price moved 1.80% ... (err u103)"
+ * ==============================================================================
+ */
+
+export const POOL_ERRORS = {
+  100: { name: 'ERR_ZERO_INPUT', message: 'Amount must be greater than zero' },
+  101: { name: 'ERR_ZERO_RESERVES', message: 'Pool has no liquidity yet. Initialize it before swapping' },
+  102: { name: 'ERR_DEADLINE_EXPIRED', message: 'Deadline expired before the transaction was mined. Increase deadline blocks in Settings and retry' },
+  103: { name: 'ERR_SLIPPAGE_EXCEEDED', message: 'Slippage exceeded: the pool moved past your minimum. Retry with a fresh quote or raise slippage tolerance' },
+  104: { name: 'ERR_INSUFFICIENT_LIQUIDITY', message: 'Not enough liquidity in the pool for this amount. Try a smaller trade' },
+  105: { name: 'ERR_TRANSFER_X_FAILED', message: 'Transfer of {x} failed. Check your {x} balance' },
+  106: { name: 'ERR_TRANSFER_Y_FAILED', message: 'Transfer of {y} failed. Check your {y} balance' },
+  107: { name: 'ERR_FEE_TRANSFER_FAILED', message: 'Fee transfer failed. Your balance must cover the amount plus the pool fee' },
+  200: { name: 'ERR_ALREADY_INITIALIZED', message: 'Pool is already initialized. Use Add Liquidity instead' },
+  201: { name: 'ERR_NOT_INITIALIZED', message: 'Pool is not initialized yet' },
+  202: { name: 'ERR_INSUFFICIENT_LP_BALANCE', message: 'Not enough LP shares for this withdrawal' },
+  203: { name: 'ERR_ZERO_SHARES', message: 'Deposit is too small to mint any LP shares. Increase the amounts' },
+  204: { name: 'ERR_MIN_LIQUIDITY', message: 'First deposit is too small: it must mint more than 1,000 LP shares (MINIMUM_LIQUIDITY)' }
+};
+
+/**
+ * Pull an error code out of a number, "u103", "(err u103)" or an error message
+ * containing one. Returns null when there is none.
+ */
+export function parseErrorCode(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? value : null;
+  if (typeof value === 'bigint') return Number(value);
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/\(err u(\d+)\)/) || value.match(/^u(\d+)$/);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Actionable message for a pool error code
+ * @param {number} code - Error code, e.g. 103
+ * @param {Object} [context]
+ * @param {Object} [context.tokenX] - Pool token X (symbol used in transfer errors)
+ * @param {Object} [context.tokenY] - Pool token Y
+ * @param {number} [context.priceMove] - Percent the pool price moved since the quote
+ * @returns {string}
+ */
+export function describePoolError(code, { tokenX, tokenY, priceMove } = {}) {
+  const entry = POOL_ERRORS[code];
+  if (!entry) return `Contract error (err u${code})`;
+
+  let message = entry.message
+    .replace(/\{x\}/g, tokenX?.symbol || 'token X')
+    .replace(/\{y\}/g, tokenY?.symbol || 'token Y');
+
+  if (code === 103 && Number.isFinite(priceMove)) {
+    message = `Slippage exceeded: the pool price moved ${Math.abs(priceMove).toFixed(2)}% since your quote. ` +
+      'Retry with a fresh quote or raise slippage tolerance';
+  }
+
+  return `${message} (err u${code})`;
+}
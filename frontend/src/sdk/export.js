@@ -0,0 +1,225 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - History Export
+ * ==============================================================================
+ *
+ * Turns decoded pool history (history.js) into CSV or JSON for accounting.
+ *
+ *   const entries = await pool.getFullHistory(address);
+ *   const csv = exportHistory(entries, { format: 'csv', layout: 'koinly', lpSymbol: 'ALEX-USDA-LP' });
+ *
+ * Entries are flattened to rows with at most one token sent and one received,
+ * the shape tax tools import: a swap is one row, a deposit or withdrawal is
+ * one row per pool token (the LP shares ride on the first). Amounts are
+ * decimal strings at each token's `decimals`, never floats.
+ *
+ * A layout is a list of [header, field] pairs, where field is a row key or
+ * a function of the row; pass one instead of a preset name to build your own.
+ * ==============================================================================
+ */
+
+import { formatUnits } from './amounts.js';
+import { LP_SHARES, HISTORY_LABELS } from './history.js';
+
+// Network fees are paid in STX (6 decimals)
+const STX = { symbol: 'STX', decimals: 6 };
+
+// ==============================================================================
+// LAYOUTS
+// ==============================================================================
+
+export const EXPORT_LAYOUTS = {
+  // Every field, one column each
+  default: [
+    ['Timestamp', 'timestamp'],
+    ['Block Height', 'blockHeight'],
+    ['Tx ID', 'txId'],
+    ['Action', 'action'],
+    ['Status', 'status'],
+    ['Sent Amount', 'sentAmount'],
+    ['Sent Currency', 'sentCurrency'],
+    ['Received Amount', 'receivedAmount'],
+    ['Received Currency', 'receivedCurrency'],
+    ['Rate', 'rate'],
+    ['Rate Unit', 'rateUnit'],
+    ['Fee Amount', 'feeAmount'],
+    ['Fee Currency', 'feeCurrency'],
+    ['LP Shares Minted', 'sharesMinted'],
+    ['LP Shares Burned', 'sharesBurned'],
+    ['Network Fee', 'networkFee'],
+    ['Network Fee Currency', 'networkFeeCurrency']
+  ],
+
+  // Koinly universal CSV
+  koinly: [
+    ['Date', row => row.timestamp && `${row.timestamp.slice(0, 19).replace('T', ' ')} UTC`],
+    ['Sent Amount', 'sentAmount'],
+    ['Sent Currency', 'sentCurrency'],
+    ['Received Amount', 'receivedAmount'],
+    ['Received Currency', 'receivedCurrency'],
+    ['Fee Amount', 'feeAmount'],
+    ['Fee Currency', 'feeCurrency'],
+    ['Net Worth Amount', () => ''],
+    ['Net Worth Currency', () => ''],
+    ['Label', row => ({ add: 'liquidity in', initialize: 'liquidity in', remove: 'liquidity out' })[row.action] || ''],
+    ['Description', row => HISTORY_LABELS[row.action]],
+    ['TxHash', 'txId']
+  ],
+
+  // CoinTracking CSV import
+  cointracking: [
+    ['Type', row => ({ swap: 'Trade', add: 'Add Liquidity', initialize: 'Add Liquidity', remove: 'Remove Liquidity' })[row.action]],
+    ['Buy Amount', 'receivedAmount'],
+    ['Buy Currency', 'receivedCurrency'],
+    ['Sell Amount', 'sentAmount'],
+    ['Sell Currency', 'sentCurrency'],
+    ['Fee', 'feeAmount'],
+    ['Fee Currency', 'feeCurrency'],
+    ['Exchange', () => 'Stacks DEX'],
+    ['Trade-Group', () => ''],
+    ['Comment', 'txId'],
+    ['Date', row => row.timestamp && row.timestamp.slice(0, 19).replace('T', ' ')]
+  ]
+};
+
+// ==============================================================================
+// ROWS
+// ==============================================================================
+
+/**
+ * Flatten history entries into export rows, oldest first
+ * @param {Object[]} entries - Entries from history.js
+ * @param {Object} [options]
+ * @param {string} [options.lpSymbol] - Currency name for LP shares (default: 'LP')
+ * @param {boolean} [options.includeFailed] - Keep failed calls; their only cost, the
+ *   network fee, goes in the fee columns
+ * @returns {Object[]} Rows of strings
+ */
+export function historyRows(entries, { lpSymbol = 'LP', includeFailed = false } = {}) {
+  const currency = token => (token === LP_SHARES ? lpSymbol : token.symbol);
+  const amount = leg => (leg ? formatUnits(leg.amount, leg.token.decimals) : '');
+  const rows = [];
+
+  for (const entry of [...entries].reverse()) {
+    const succeeded = entry.status === 'success';
+    if (!succeeded && !includeFailed) continue;
+
+    const base = {
+      timestamp: entry.time ? new Date(entry.time).toISOString() : '',
+      blockHeight: entry.blockHeight ?? '',
+      txId: entry.txId,
+      action: entry.action,
+      status: entry.status
+    };
+    const empty = {
+      sentAmount: '', sentCurrency: '', receivedAmount: '', receivedCurrency: '',
+      rate: '', rateUnit: '', feeAmount: '', feeCurrency: '',
+      sharesMinted: '', sharesBurned: '', networkFee: '', networkFeeCurrency: ''
+    };
+
+    // A failed call moved no tokens
+    const sent = succeeded ? entry.amountsIn.filter(leg => !isShares(leg)) : [];
+    const received = succeeded ? entry.amountsOut.filter(leg => !isShares(leg)) : [];
+    const minted = succeeded ? entry.amountsOut.find(isShares) : null;
+    const burned = succeeded ? entry.amountsIn.find(isShares) : null;
+
+    // Pair the token legs up; shares are the counterpart of a one-sided leg
+    const legCount = Math.max(sent.length, received.length, 1);
+    for (let i = 0; i < legCount; i++) {
+      const first = i === 0;
+      const sentLeg = sent[i] || (first ? burned : null);
+      const receivedLeg = received[i] || (first ? minted : null);
+
+      rows.push({
+        ...base,
+        ...empty,
+        sentAmount: amount(sentLeg),
+        sentCurrency: sentLeg ? currency(sentLeg.token) : '',
+        receivedAmount: amount(receivedLeg),
+        receivedCurrency: receivedLeg ? currency(receivedLeg.token) : '',
+        ...(first && entry.price && {
+          rate: formatUnits(entry.price.value, entry.price.quote.decimals),
+          rateUnit: `${entry.price.quote.symbol}/${entry.price.base.symbol}`
+        }),
+        ...(first && entry.fee && {
+          feeAmount: amount(entry.fee),
+          feeCurrency: currency(entry.fee.token)
+        }),
+        ...(first && minted && { sharesMinted: minted.amount.toString() }),
+        ...(first && burned && { sharesBurned: burned.amount.toString() }),
+        ...(first && entry.networkFee !== null && {
+          networkFee: formatUnits(entry.networkFee, STX.decimals),
+          networkFeeCurrency: STX.symbol
+        }),
+        // The network fee is all a failed call cost
+        ...(!succeeded && entry.networkFee !== null && {
+          feeAmount: formatUnits(entry.networkFee, STX.decimals),
+          feeCurrency: STX.symbol
+        })
+      });
+    }
+  }
+
+  return rows;
+}
+
+function isShares(leg) {
+  return leg.token === LP_SHARES;
+}
+
+// ==============================================================================
+// FORMATS
+// ==============================================================================
+
+/**
+ * Rows to header + value arrays for a layout
+ * @param {Object[]} rows - From historyRows
+ * @param {string|Array} [layout] - Preset name or [header, field] pairs
+ */
+export function applyLayout(rows, layout = 'default') {
+  const columns = typeof layout === 'string' ? EXPORT_LAYOUTS[layout] : layout;
+  if (!columns) {
+    throw new Error(`Unknown export layout: ${layout}`);
+  }
+
+  return {
+    headers: columns.map(([header]) => header),
+    values: rows.map(row => columns.map(([, field]) => {
+      const value = typeof field === 'function' ? field(row) : row[field];
+      return value === undefined || value === null ? '' : String(value);
+    }))
+  };
+}
+
+/**
+ * RFC 4180 CSV: fields with commas, quotes or line breaks are quoted
+ */
+export function toCSV({ headers, values }) {
+  const cell = value => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+  return [headers, ...values].map(line => line.map(cell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON array of objects keyed by the layout's headers
+ */
+export function toJSON({ headers, values }) {
+  const records = values.map(line => Object.fromEntries(headers.map((header, i) => [header, line[i]])));
+  return JSON.stringify(records, null, 2);
+}
+
+/**
+ * History entries to an export file's contents
+ * @param {Object[]} entries - Entries from history.js
+ * @param {Object} [options]
+ * @param {'csv'|'json'} [options.format]
+ * @param {string|Array} [options.layout] - Preset name or [header, field] pairs
+ * @param {string} [options.lpSymbol] - Currency name for LP shares
+ * @param {boolean} [options.includeFailed] - Keep failed calls
+ * @returns {string}
+ */
+export function exportHistory(entries, { format = 'csv', layout = 'default', lpSymbol, includeFailed } = {}) {
+  const table = applyLayout(historyRows(entries, { lpSymbol, includeFailed }), layout);
+  if (format === 'csv') return toCSV(table);
+  if (format === 'json') return toJSON(table);
+  throw new Error(`Unknown export format: ${format}`);
+}
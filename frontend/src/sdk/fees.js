@@ -0,0 +1,119 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Network Fees
+ * ==============================================================================
+ *
+ * STX fees for a contract call from the node's fee estimator
+ * (POST /v2/fees/transaction), which prices the serialized payload at the
+ * signed transaction's length and returns three rates.
+ *
+ *   const fees = await estimateCallFees({ apiUrl, chain: 'mainnet', call });
+ *   fees.standard;   // micro-STX, also fees.low and fees.fast
+ *   fees.source;     // 'estimate', or 'default' when the node had none
+ *   await wallet.callContract({ ...call, fee: fees.standard });
+ *
+ * WalletConnect calls are built in this app and pay the fee exactly; the
+ * extension wallets take it as their suggested fee.
+ * ==============================================================================
+ */
+
+import {
+  makeUnsignedContractCall,
+  serializePayload,
+  estimateTransactionByteLength,
+  AnchorMode
+} from '@stacks/transactions';
+
+export const FEE_TIERS = ['low', 'standard', 'fast'];
+
+export const FEE_TIER_LABELS = {
+  low: 'Low',
+  standard: 'Standard',
+  fast: 'Fast'
+};
+
+// Micro-STX per tier when the node cannot estimate
+export const DEFAULT_FEES = {
+  low: 5000n,
+  standard: 10000n,
+  fast: 20000n
+};
+
+// Stands in for the signer's key: the estimate only needs the length, which
+// is the same for every compressed key
+const PLACEHOLDER_PUBLIC_KEY = '0279be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798';
+
+/**
+ * Ask the node to price a transaction payload
+ * @param {Object} params
+ * @param {string} params.apiUrl - Stacks API base URL
+ * @param {string} params.payload - Serialized transaction payload, hex
+ * @param {number} params.estimatedLength - Byte length of the signed transaction
+ * @param {Function} [params.fetch] - fetch implementation
+ * @returns {Promise<{low: bigint, standard: bigint, fast: bigint}>}
+ */
+export async function fetchFeeEstimates({ apiUrl, payload, estimatedLength, fetch: fetchFn = globalThis.fetch }) {
+  const response = await fetchFn(`${apiUrl}/v2/fees/transaction`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transaction_payload: payload, estimated_len: estimatedLength })
+  });
+  if (!response.ok) {
+    throw new Error(`Fee estimate failed: HTTP ${response.status}`);
+  }
+
+  const { estimations = [] } = await response.json();
+  if (estimations.length < FEE_TIERS.length) {
+    throw new Error('Fee estimate returned no rates');
+  }
+  return Object.fromEntries(FEE_TIERS.map((tier, i) => [tier, BigInt(estimations[i].fee)]));
+}
+
+/**
+ * Ask the node to price a built transaction
+ * @param {StacksTransaction} transaction - Signed or unsigned
+ * @param {Object} params - { apiUrl, fetch }
+ * @returns {Promise<{low: bigint, standard: bigint, fast: bigint}>}
+ */
+export async function estimateTransactionFees(transaction, { apiUrl, fetch: fetchFn }) {
+  return fetchFeeEstimates({
+    apiUrl,
+    payload: bytesToHex(serializePayload(transaction.payload)),
+    estimatedLength: estimateTransactionByteLength(transaction),
+    fetch: fetchFn
+  });
+}
+
+/**
+ * Fees for a contract call built by PoolClient, falling back to
+ * DEFAULT_FEES when the node cannot estimate it
+ * @param {Object} params
+ * @param {string} params.apiUrl - Stacks API base URL
+ * @param {string} params.chain - 'mainnet' or 'testnet'
+ * @param {Object} params.call - { contractAddress, contractName, functionName, functionArgs, postConditionMode, postConditions }
+ * @param {string} [params.publicKey] - Signer's public key, if known
+ * @param {Function} [params.fetch] - fetch implementation
+ * @returns {Promise<{low: bigint, standard: bigint, fast: bigint, source: string}>}
+ */
+export async function estimateCallFees({ apiUrl, chain, call, publicKey = PLACEHOLDER_PUBLIC_KEY, fetch: fetchFn }) {
+  try {
+    // Fee and nonce are set so building never asks the network for them
+    const transaction = await makeUnsignedContractCall({
+      ...call,
+      publicKey,
+      network: chain,
+      anchorMode: AnchorMode.Any,
+      fee: 0n,
+      nonce: 0n
+    });
+    const estimates = await estimateTransactionFees(transaction, { apiUrl, fetch: fetchFn });
+    return { ...estimates, source: 'estimate' };
+  } catch (error) {
+    console.warn(`No fee estimate for ${call.contractName}.${call.functionName}:`, error.message);
+    return { ...DEFAULT_FEES, source: 'default' };
+  }
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,281 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool History
+ * ==============================================================================
+ *
+ * An address's past calls to one pool contract, read from the Stacks API and
+ * decoded from the call arguments and the (ok { ... }) tuple each public
+ * function returns.
+ *
+ *   const page = await pool.getHistory(address, { actions: ['swap'], limit: 10 });
+ *   page.entries;     // newest first
+ *   page.nextOffset;  // pass as `offset` for the next page; null at the end
+ *   await pool.getFullHistory(address);   // every page, for exports
+ *
+ * Entries look like
+ *   { txId, action, functionName, status, errorCode, blockHeight, time,
+ *     amountsIn: [{ token, amount }], amountsOut: [{ token, amount }],
+ *     price, fee, networkFee }
+ * Amounts are BigInt base units. Failed calls keep what was sent: amountsOut
+ * then holds the minimums the call asked for, flagged `minimum: true`, and
+ * price and fee are null.
+ * ==============================================================================
+ */
+
+import { decodeClarityToJS } from './clarity.js';
+import { decodeErrorCode } from './tx-tracker.js';
+
+export const HISTORY_ACTIONS = {
+  swap: ['swap-x-for-y', 'swap-y-for-x'],
+  add: ['add-liquidity'],
+  remove: ['remove-liquidity'],
+  initialize: ['initialize-pool']
+};
+
+export const HISTORY_LABELS = {
+  swap: 'Swap',
+  add: 'Add liquidity',
+  remove: 'Remove liquidity',
+  initialize: 'Initialize pool'
+};
+
+// LP shares are whole units with no token contract of their own
+export const LP_SHARES = { symbol: 'LP', decimals: 0 };
+
+// The API's largest page
+const API_PAGE_SIZE = 50;
+// API pages read per call before returning what was found
+const MAX_SCAN_PAGES = 10;
+
+// ==============================================================================
+// DECODING
+// ==============================================================================
+
+/**
+ * Action key for a pool function name, or null for anything else
+ */
+export function historyAction(functionName) {
+  return Object.keys(HISTORY_ACTIONS).find(action => HISTORY_ACTIONS[action].includes(functionName)) ?? null;
+}
+
+/**
+ * Decode one API transaction into a history entry
+ * @param {Object} tx - Transaction from /extended/v1/address/{address}/transactions
+ * @param {Object} tokens
+ * @param {Object} tokens.tokenX - Pool token X metadata
+ * @param {Object} tokens.tokenY - Pool token Y metadata
+ * @returns {Object|null} Entry, or null if the tx is not a pool call
+ */
+export function decodePoolTx(tx, { tokenX, tokenY }) {
+  const functionName = tx.contract_call?.function_name;
+  const action = historyAction(functionName);
+  if (!action) return null;
+
+  const args = decodeArgs(tx.contract_call.function_args);
+  const status = tx.tx_status?.startsWith('dropped') ? 'dropped' : (tx.tx_status || 'pending');
+  const result = status === 'success' ? decodeResult(tx.tx_result?.hex) : null;
+  const x = (amount, minimum = false) => ({ token: tokenX, amount, ...(minimum && { minimum }) });
+  const y = (amount, minimum = false) => ({ token: tokenY, amount, ...(minimum && { minimum }) });
+  const shares = (amount, minimum = false) => ({ token: LP_SHARES, amount, ...(minimum && { minimum }) });
+
+  let amountsIn;
+  let amountsOut;
+  let fee = null;
+
+  switch (functionName) {
+    case 'swap-x-for-y':
+      amountsIn = [x(result?.dx ?? args.dx)];
+      amountsOut = [result ? y(result.dy) : y(args['min-dy'], true)];
+      fee = result ? x(result.fee) : null;
+      break;
+    case 'swap-y-for-x':
+      amountsIn = [y(result?.dy ?? args.dy)];
+      amountsOut = [result ? x(result.dx) : x(args['min-dx'], true)];
+      fee = result ? y(result.fee) : null;
+      break;
+    case 'add-liquidity':
+      amountsIn = [x(result?.x ?? args['amount-x']), y(result?.y ?? args['amount-y'])];
+      amountsOut = [result ? shares(result.shares) : shares(args['min-shares'], true)];
+      break;
+    case 'initialize-pool':
+      amountsIn = [x(result?.x ?? args['amount-x']), y(result?.y ?? args['amount-y'])];
+      // Pools before 4.0.0 mint no shares
+      amountsOut = result?.shares !== undefined ? [shares(result.shares)] : [];
+      break;
+    case 'remove-liquidity':
+      amountsIn = [shares(result?.shares ?? args.shares)];
+      amountsOut = result
+        ? [x(result.x), y(result.y)]
+        : [x(args['min-x'], true), y(args['min-y'], true)];
+      break;
+  }
+
+  // An argument that failed to decode leaves no amount to show
+  const known = legs => legs.filter(leg => typeof leg.amount === 'bigint');
+  amountsIn = known(amountsIn);
+  amountsOut = known(amountsOut);
+
+  return {
+    txId: tx.tx_id,
+    action,
+    functionName,
+    status,
+    errorCode: status === 'abort_by_response' ? decodeErrorCode(tx.tx_result?.hex) : null,
+    blockHeight: tx.block_height ?? null,
+    time: tx.burn_block_time ? tx.burn_block_time * 1000 : null,
+    amountsIn,
+    amountsOut,
+    price: result ? effectivePrice(functionName, amountsIn, amountsOut) : null,
+    fee,
+    networkFee: tx.fee_rate !== undefined ? BigInt(tx.fee_rate) : null
+  };
+}
+
+/**
+ * Price the entry executed at, in base units of `quote` per one whole
+ * `base` token: output per input for swaps, Y per X deposited or withdrawn
+ * for liquidity. Null when an amount is missing or zero.
+ * @returns {{base: Object, quote: Object, value: bigint}|null}
+ */
+function effectivePrice(functionName, amountsIn, amountsOut) {
+  let base;
+  let quote;
+  if (HISTORY_ACTIONS.swap.includes(functionName)) {
+    [base, quote] = [amountsIn[0], amountsOut[0]];
+  } else if (functionName === 'remove-liquidity') {
+    [base, quote] = amountsOut;
+  } else {
+    [base, quote] = amountsIn;
+  }
+
+  if (!base?.amount || !quote?.amount) return null;
+  return {
+    base: base.token,
+    quote: quote.token,
+    value: quote.amount * 10n ** BigInt(base.token.decimals) / base.amount
+  };
+}
+
+/**
+ * Contract-call arguments by name, decoded to plain JS; the API gives each
+ * arg's hex alongside its name. An arg that fails to decode is null.
+ */
+export function decodeArgs(functionArgs = []) {
+  const args = {};
+  for (const arg of functionArgs) {
+    try {
+      args[arg.name] = decodeClarityToJS(arg.hex);
+    } catch (e) {
+      args[arg.name] = null;
+    }
+  }
+  return args;
+}
+
+// The tuple inside (ok { ... }), or null
+function decodeResult(hex) {
+  if (!hex) return null;
+  try {
+    const result = decodeClarityToJS(hex);
+    return result?.ok && typeof result.value === 'object' ? result.value : null;
+  } catch (e) {
+    console.error('Failed to decode tx result:', e);
+    return null;
+  }
+}
+
+// ==============================================================================
+// FETCHING
+// ==============================================================================
+
+/**
+ * One page of an address's calls to a pool, newest first.
+ *
+ * The API cannot filter by contract, so address transactions are scanned a
+ * page at a time until `limit` matching calls are found. `nextOffset` is the
+ * API offset just past the last transaction looked at.
+ *
+ * @param {Object} options
+ * @param {string} options.apiUrl - Stacks API base URL
+ * @param {string} options.address - Address whose transactions are scanned: a
+ *   user, or the pool contract itself for every caller's calls
+ * @param {string|null} [options.sender] - Keep only calls sent by this address
+ *   (default: address; null keeps every sender)
+ * @param {string} options.contract - Pool contract id (SP....name)
+ * @param {Object} options.tokenX - Pool token X metadata
+ * @param {Object} options.tokenY - Pool token Y metadata
+ * @param {string[]} [options.actions] - Keys of HISTORY_ACTIONS to keep (default: all)
+ * @param {number} [options.limit] - Entries per page
+ * @param {number} [options.offset] - API offset to start from (0 = newest)
+ * @param {number} [options.since] - Stop at transactions older than this (ms timestamp)
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<{entries: Object[], nextOffset: number|null}>}
+ */
+export async function fetchPoolHistory({
+  apiUrl,
+  address,
+  sender = address,
+  contract,
+  tokenX,
+  tokenY,
+  actions = Object.keys(HISTORY_ACTIONS),
+  limit = 10,
+  offset = 0,
+  since = null,
+  fetch: fetchFn = globalThis.fetch
+}) {
+  const entries = [];
+  let cursor = offset;
+
+  for (let page = 0; page < MAX_SCAN_PAGES; page++) {
+    const response = await fetchFn(
+      `${apiUrl}/extended/v1/address/${address}/transactions?limit=${API_PAGE_SIZE}&offset=${cursor}`
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to fetch history for ${address}: HTTP ${response.status}`);
+    }
+    const { results = [], total = 0 } = await response.json();
+
+    for (const tx of results) {
+      // Newest first, so everything after this is older too
+      if (since !== null && tx.burn_block_time && tx.burn_block_time * 1000 < since) {
+        return { entries, nextOffset: null };
+      }
+      cursor++;
+      if (tx.tx_type !== 'contract_call' || (sender !== null && tx.sender_address !== sender) ||
+          tx.contract_call.contract_id !== contract) continue;
+
+      const entry = decodePoolTx(tx, { tokenX, tokenY });
+      if (!entry || !actions.includes(entry.action)) continue;
+
+      entries.push(entry);
+      if (entries.length === limit) {
+        return { entries, nextOffset: cursor < total ? cursor : null };
+      }
+    }
+
+    if (results.length === 0 || cursor >= total) {
+      return { entries, nextOffset: null };
+    }
+  }
+
+  return { entries, nextOffset: cursor };
+}
+
+/**
+ * Every matching call, newest first, read page by page
+ * @param {Object} options - As fetchPoolHistory, without limit and offset
+ * @param {number} [options.maxEntries] - Stop after this many entries
+ * @returns {Promise<Object[]>}
+ */
+export async function fetchAllPoolHistory({ maxEntries = Infinity, ...options }) {
+  const entries = [];
+  let offset = 0;
+
+  while (offset !== null && entries.length < maxEntries) {
+    const page = await fetchPoolHistory({ ...options, limit: API_PAGE_SIZE, offset });
+    entries.push(...page.entries);
+    offset = page.nextOffset;
+  }
+  return entries.slice(0, maxEntries);
+}
@@ -0,0 +1,183 @@
+/**
+ * Stacks DEX SDK - public entry point.
+ * Safe to import from the browser or Node (no DOM access).
+ */
+
+export {
+  PoolClient,
+  calculateSwapOutput,
+  calculateSwapInput,
+  calculatePriceImpact,
+  calculateLiquidityShares,
+  calculateRemoveAmounts,
+  assetId,
+  DEFAULT_FEE_BPS,
+  DEFAULT_BPS_DENOM
+} from './pool-client.js';
+
+export {
+  toBigInt,
+  parseUnits,
+  formatUnits,
+  percentToBps,
+  swapFee,
+  swapOutput,
+  swapInput,
+  applySlippage,
+  addSlippage,
+  priceImpact,
+  priceChange,
+  sqrtInt,
+  depositAmounts,
+  withdrawAmounts
+} from './amounts.js';
+
+export {
+  decodeClarityValue,
+  decodeClarityToJS,
+  encodeClarityValue,
+  clarityToJS,
+  Cl,
+  ClarityPrefix
+} from './clarity.js';
+
+export {
+  NETWORKS,
+  DEFAULT_NETWORK,
+  resolveNetwork,
+  caipChainId,
+  explorerTxUrl,
+  isNetworkAddress
+} from './networks.js';
+
+export {
+  TxTracker,
+  fetchTxStatus,
+  decodeErrorCode,
+  isFinalStatus,
+  TX_FINAL_STATUSES,
+  DEFAULT_POLL_INTERVAL
+} from './tx-tracker.js';
+
+export {
+  FEE_TIERS,
+  FEE_TIER_LABELS,
+  DEFAULT_FEES,
+  fetchFeeEstimates,
+  estimateTransactionFees,
+  estimateCallFees
+} from './fees.js';
+
+export {
+  REPLACE_ACTIONS,
+  MIN_FEE_BUMP_PERCENT,
+  BURN_ADDRESSES,
+  fetchAccountNonces,
+  fetchRawTransaction,
+  replacementFee,
+  buildSpeedUp,
+  buildCancel,
+  replaceTransaction
+} from './replace.js';
+
+export {
+  ChainWatcher,
+  websocketUrl,
+  DEFAULT_WATCH_INTERVAL,
+  SOCKET_RETRY_INTERVAL
+} from './watcher.js';
+
+export {
+  POOL_ABIS,
+  LATEST_POOL_VERSION,
+  poolAbi,
+  hasFunction,
+  encodeFunctionArgs
+} from './abi.js';
+
+export {
+  swapPostConditions,
+  depositPostConditions,
+  withdrawPostConditions,
+  serializePostConditions
+} from './post-conditions.js';
+
+export { POOL_ERRORS, parseErrorCode, describePoolError } from './errors.js';
+
+export { PoolRegistry, poolLabel } from './registry.js';
+
+export {
+  CAPABILITIES,
+  capabilityProfile,
+  versionProfile,
+  interfaceProfile,
+  fetchContractInterface,
+  detectCapabilities
+} from './capabilities.js';
+
+export {
+  fetchPoolHistory,
+  fetchAllPoolHistory,
+  decodePoolTx,
+  historyAction,
+  HISTORY_ACTIONS,
+  HISTORY_LABELS,
+  LP_SHARES
+} from './history.js';
+
+export {
+  fetchPendingPoolCalls,
+  decodePendingCall,
+  orderPendingCalls,
+  simulatePendingCalls
+} from './mempool.js';
+
+export {
+  EXPORT_LAYOUTS,
+  historyRows,
+  applyLayout,
+  toCSV,
+  toJSON,
+  exportHistory
+} from './export.js';
+
+export {
+  DAY_MS,
+  reserveDelta,
+  reserveSeries,
+  spotPrice,
+  averageReserves,
+  dailyVolume,
+  feeGrowth,
+  tvl,
+  feeApr
+} from './analytics.js';
+
+export {
+  positionBasis,
+  positionPerformance,
+  positionValues,
+  valueIn
+} from './position.js';
+
+export { zapInQuote, zapOutQuote } from './zap.js';
+
+export {
+  MINIMUM_LIQUIDITY,
+  PRICE_DECIMALS,
+  priceRatio,
+  initializationPlan,
+  minimumInitialX
+} from './initialize.js';
+
+export {
+  Router,
+  findRoutes,
+  quoteRoute,
+  quoteRouteForOutput,
+  selectBestRoute,
+  selectBestRouteForOutput,
+  routeLimits,
+  describeRoute,
+  DEFAULT_MAX_HOPS
+} from './router.js';
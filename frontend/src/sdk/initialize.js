@@ -0,0 +1,104 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Initialization
+ * ==============================================================================
+ *
+ * Planning the first deposit into an empty pool. initialize-pool takes both
+ * amounts exactly as given, so they alone set the starting price; 4.0.0
+ * contracts also mint sqrt-int(x * y) shares to the initializer and abort
+ * with err u204 unless that is more than MINIMUM_LIQUIDITY.
+ *
+ *   const ratio = priceRatio('0.12', tokenX, tokenY);     // 0.12 Y per X
+ *   const plan = pool.quoteInitialize({ amountX: parseUnits('1000', 8), ratio });
+ *   plan.y;              // Y base units at that price
+ *   plan.shares;         // sqrt-int(x * y), null without LP shares
+ *   plan.belowMinimum;   // the contract would refuse it
+ *
+ * A ratio is any { x, y } pair of base units in the pool's proportion, so a
+ * reference pool's reserves can be passed straight in.
+ * ==============================================================================
+ */
+
+import { toBigInt, parseUnits, priceChange, sqrtInt } from './amounts.js';
+import { spotPrice } from './analytics.js';
+
+// Shares initialize-pool must exceed on contracts with LP shares
+export const MINIMUM_LIQUIDITY = 1000n;
+
+// Fraction digits accepted in a typed price
+export const PRICE_DECIMALS = 18;
+
+/**
+ * Base-unit ratio for a price typed as whole Y per whole X
+ * @param {string|number} price - Decimal price, e.g. '0.12'
+ * @param {Object} tokenX - { decimals }
+ * @param {Object} tokenY - { decimals }
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function priceRatio(price, tokenX, tokenY) {
+  const units = parseUnits(price, PRICE_DECIMALS);
+  if (units === 0n) {
+    throw new Error('Price must be greater than zero');
+  }
+  return {
+    x: 10n ** BigInt(PRICE_DECIMALS + tokenX.decimals),
+    y: units * 10n ** BigInt(tokenY.decimals)
+  };
+}
+
+/**
+ * Both initial amounts from one of them at a ratio
+ * @param {Object} params
+ * @param {bigint} [params.amountX] - Pass exactly one of amountX and amountY;
+ *   the other is derived, rounded down
+ * @param {bigint} [params.amountY]
+ * @param {{x: bigint, y: bigint}} params.ratio - Target proportion
+ * @param {boolean} params.mintsShares - Whether the contract mints LP shares (4.0.0)
+ * @param {Object} params.tokenX - { decimals }
+ * @returns {Object} {
+ *     x, y,                  // amounts passed to initialize-pool
+ *     shares,                // minted shares, null when the contract has none
+ *     price,                 // resulting price: base units of Y per whole X
+ *     deviation,             // percent the resulting price is off the ratio
+ *     belowMinimum           // true when the contract would refuse the amounts
+ *   }
+ */
+export function initializationPlan({ amountX, amountY, ratio, mintsShares, tokenX }) {
+  const rx = toBigInt(ratio.x);
+  const ry = toBigInt(ratio.y);
+  if (rx <= 0n || ry <= 0n) {
+    throw new Error('Ratio must be positive on both sides');
+  }
+
+  const x = amountX !== undefined ? toBigInt(amountX) : toBigInt(amountY) * rx / ry;
+  const y = amountX !== undefined ? x * ry / rx : toBigInt(amountY);
+  const shares = mintsShares ? sqrtInt(x * y) : null;
+
+  return {
+    x,
+    y,
+    shares,
+    price: spotPrice({ x, y }, { tokenX }),
+    deviation: x > 0n && y > 0n ? priceChange({ reserveIn: rx, reserveOut: ry }, { reserveIn: x, reserveOut: y }) : null,
+    // Zero-amount token transfers fail on every version
+    belowMinimum: x === 0n || y === 0n || (shares !== null && shares <= MINIMUM_LIQUIDITY)
+  };
+}
+
+/**
+ * Smallest amount of X whose plan the contract accepts at a ratio
+ * @param {Object} params - { ratio, mintsShares, tokenX } as for initializationPlan
+ * @returns {bigint}
+ */
+export function minimumInitialX({ ratio, mintsShares, tokenX }) {
+  const accepts = amountX => !initializationPlan({ amountX, ratio, mintsShares, tokenX }).belowMinimum;
+
+  let high = 1n;
+  while (!accepts(high)) high *= 2n;
+  let low = high / 2n + 1n;
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    if (accepts(mid)) high = mid; else low = mid + 1n;
+  }
+  return high;
+}
@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { MINIMUM_LIQUIDITY, initializationPlan, minimumInitialX } from './initialize.js';
+import { MINIMUM_LIQUIDITY as CONTRACT_MINIMUM, ok, err, clarity, property } from './test/pool-lp.js';
+
+describe('MINIMUM_LIQUIDITY (err u204)', () => {
+  it('matches pool-lp.clar', () => {
+    expect(MINIMUM_LIQUIDITY).toBe(CONTRACT_MINIMUM);
+  });
+
+  property('initializationPlan flags exactly the deposits initialize-pool refuses', 7, ({ amount }) => {
+    const [ax, ay] = [amount(30), amount(30)];
+    const plan = initializationPlan({ amountX: ax, ratio: { x: ax, y: ay }, mintsShares: true, tokenX: { decimals: 6 } });
+
+    expect(plan.y).toBe(ay);
+    expect(plan.belowMinimum).toBe(!clarity['initialize-pool'](ax, ay).ok);
+  });
+
+  property('minimumInitialX sits on the boundary', 8, ({ amount }) => {
+    const ratio = { x: amount(24), y: amount(24) };
+    const tokenX = { decimals: 6 };
+    const initialize = x => {
+      const { y } = initializationPlan({ amountX: x, ratio, mintsShares: true, tokenX });
+      return clarity['initialize-pool'](x, y);
+    };
+
+    const x = minimumInitialX({ ratio, mintsShares: true, tokenX });
+    expect(initialize(x).ok).toBe(true);
+    expect(initialize(x - 1n).ok).toBe(false);
+  });
+
+  it('refuses a first deposit minting exactly MINIMUM_LIQUIDITY shares', () => {
+    // Smallest n whose sqrt-int is `shares`
+    const firstWithRoot = (shares) => {
+      let n = 1n;
+      while (clarity['sqrt-int'](n) < shares) n++;
+      return n;
+    };
+    const plan = amountX => initializationPlan({ amountX, ratio: { x: amountX, y: 1n }, mintsShares: true, tokenX: { decimals: 0 } });
+
+    const atMinimum = firstWithRoot(MINIMUM_LIQUIDITY);
+    expect(clarity['initialize-pool'](atMinimum, 1n)).toEqual(err(204));
+    expect(plan(atMinimum).belowMinimum).toBe(true);
+
+    const aboveMinimum = firstWithRoot(MINIMUM_LIQUIDITY + 1n);
+    expect(clarity['initialize-pool'](aboveMinimum, 1n)).toEqual(ok({ shares: MINIMUM_LIQUIDITY + 1n, x: aboveMinimum, y: 1n }));
+    expect(plan(aboveMinimum).belowMinimum).toBe(false);
+    expect(plan(aboveMinimum - 1n).belowMinimum).toBe(true);
+  });
+});
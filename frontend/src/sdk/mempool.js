@@ -0,0 +1,215 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pending Pool Calls
+ * ==============================================================================
+ *
+ * Calls to a pool that are still in the mempool, and the reserves they would
+ * leave. Transactions in a block run one after another, so a swap quoted
+ * from confirmed reserves executes against whatever reached the pool first.
+ *
+ *   const calls = await pool.getPendingCalls();
+ *   const after = pool.simulatePending(reserves, calls, { totalSupply, blockHeight });
+ *   after.reserves;   // { x, y } once every pending call has run
+ *   after.applied;    // calls that would succeed, in order
+ *   after.skipped;    // calls that would abort, each with a reason
+ *
+ * Calls run in arrival order, each sender's nonces kept in sequence. Miners
+ * may pick another order, typically by fee, so the result is what to expect
+ * rather than a guarantee.
+ * ==============================================================================
+ */
+
+import {
+  DEFAULT_FEE_BPS,
+  DEFAULT_BPS_DENOM,
+  toBigInt,
+  swapOutput,
+  sqrtInt,
+  depositAmounts,
+  withdrawAmounts
+} from './amounts.js';
+import { HISTORY_ACTIONS, decodeArgs } from './history.js';
+
+// The mempool endpoint's largest page
+const MEMPOOL_PAGE_SIZE = 50;
+
+// Pool functions that change reserves
+const POOL_FUNCTIONS = Object.values(HISTORY_ACTIONS).flat();
+
+/**
+ * Decode one mempool transaction into a pending call
+ * @param {Object} tx - Transaction from /extended/v1/tx/mempool
+ * @returns {Object|null} { txId, sender, nonce, receivedAt, functionName, args },
+ *   or null if the tx is not a call that changes the pool's reserves
+ */
+export function decodePendingCall(tx) {
+  const functionName = tx.contract_call?.function_name;
+  if (!POOL_FUNCTIONS.includes(functionName)) return null;
+
+  return {
+    txId: tx.tx_id,
+    sender: tx.sender_address,
+    nonce: tx.nonce,
+    receivedAt: tx.receipt_time ? tx.receipt_time * 1000 : null,
+    functionName,
+    args: decodeArgs(tx.contract_call.function_args)
+  };
+}
+
+/**
+ * Expected execution order: arrival order, except that a sender's calls
+ * always run in nonce order
+ * @param {Object[]} calls - Pending calls
+ * @returns {Object[]} A new array
+ */
+export function orderPendingCalls(calls) {
+  const byArrival = [...calls].sort((a, b) => (a.receivedAt ?? 0) - (b.receivedAt ?? 0));
+
+  // Each sender keeps the slots its calls arrived in, filled lowest nonce first
+  const bySender = new Map();
+  for (const call of byArrival) {
+    if (!bySender.has(call.sender)) bySender.set(call.sender, []);
+    bySender.get(call.sender).push(call);
+  }
+  for (const senderCalls of bySender.values()) {
+    senderCalls.sort((a, b) => a.nonce - b.nonce);
+  }
+  return byArrival.map(call => bySender.get(call.sender).shift());
+}
+
+/**
+ * A pool's calls still in the mempool, in expected execution order
+ * @param {Object} options
+ * @param {string} options.apiUrl - Stacks API base URL
+ * @param {string} options.contract - Pool contract id (SP....name)
+ * @param {number} [options.limit] - Mempool transactions to read
+ * @param {Function} [options.fetch] - fetch implementation
+ * @returns {Promise<Object[]>} See decodePendingCall
+ */
+export async function fetchPendingPoolCalls({
+  apiUrl,
+  contract,
+  limit = MEMPOOL_PAGE_SIZE,
+  fetch: fetchFn = globalThis.fetch
+}) {
+  const response = await fetchFn(`${apiUrl}/extended/v1/tx/mempool?address=${contract}&limit=${limit}`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch pending calls to ${contract}: HTTP ${response.status}`);
+  }
+  const { results = [] } = await response.json();
+
+  // The address filter also matches calls the pool sends, e.g. token transfers
+  const calls = results
+    .filter(tx => tx.contract_call?.contract_id === contract)
+    .map(decodePendingCall)
+    .filter(Boolean);
+  return orderPendingCalls(calls);
+}
+
+/**
+ * Run pending calls against reserves with the contracts' integer math
+ * @param {Object} params
+ * @param {{x: bigint, y: bigint}} params.reserves - Confirmed reserves
+ * @param {Object[]} params.calls - Pending calls in execution order
+ * @param {bigint|null} [params.totalSupply] - LP shares outstanding; without
+ *   it liquidity calls are skipped (they move depth, not price)
+ * @param {number|null} [params.blockHeight] - Chain tip; pending calls run in
+ *   the next block, and swaps past their deadline are skipped
+ * @param {number} [params.feeBps]
+ * @param {number} [params.bpsDenom]
+ * @returns {Object} {
+ *     reserves: { x, y }, totalSupply,
+ *     applied: [call],                 // would succeed, in order
+ *     skipped: [{ ...call, reason }]   // 'deadline', 'slippage', 'liquidity' or 'supply'
+ *   }
+ */
+export function simulatePendingCalls({
+  reserves,
+  calls,
+  totalSupply = null,
+  blockHeight = null,
+  feeBps = DEFAULT_FEE_BPS,
+  bpsDenom = DEFAULT_BPS_DENOM
+}) {
+  let x = toBigInt(reserves.x);
+  let y = toBigInt(reserves.y);
+  let supply = totalSupply === null ? null : toBigInt(totalSupply);
+  const applied = [];
+  const skipped = [];
+
+  for (const call of calls) {
+    const reason = applyCall(call);
+    if (reason) skipped.push({ ...call, reason }); else applied.push(call);
+  }
+
+  return { reserves: { x, y }, totalSupply: supply, applied, skipped };
+
+  // Update the running state for one call; returns why it would abort, if it would
+  function applyCall({ functionName, args }) {
+    const amount = name => (typeof args[name] === 'bigint' ? args[name] : null);
+
+    switch (functionName) {
+      case 'swap-x-for-y':
+      case 'swap-y-for-x': {
+        const xForY = functionName === 'swap-x-for-y';
+        const amountIn = amount(xForY ? 'dx' : 'dy');
+        const minOut = amount(xForY ? 'min-dy' : 'min-dx');
+        const deadline = amount('deadline');
+        if (amountIn === null || minOut === null) return 'liquidity';
+        if (deadline !== null && blockHeight !== null && BigInt(blockHeight) + 1n > deadline) return 'deadline';
+
+        const swap = swapOutput(amountIn, xForY ? x : y, xForY ? y : x, feeBps, bpsDenom);
+        if (swap.amountOut === 0n) return 'liquidity';
+        if (swap.amountOut < minOut) return 'slippage';
+        // The fee goes to the fee recipient, not the reserves
+        if (xForY) {
+          x += swap.amountToPool;
+          y -= swap.amountOut;
+        } else {
+          y += swap.amountToPool;
+          x -= swap.amountOut;
+        }
+        return null;
+      }
+
+      case 'initialize-pool': {
+        const ax = amount('amount-x');
+        const ay = amount('amount-y');
+        if (ax === null || ay === null || x !== 0n || y !== 0n) return 'liquidity';
+        x = ax;
+        y = ay;
+        if (supply !== null) supply = sqrtInt(ax * ay);
+        return null;
+      }
+
+      case 'add-liquidity': {
+        if (supply === null) return 'supply';
+        const ax = amount('amount-x');
+        const ay = amount('amount-y');
+        if (ax === null || ay === null || supply === 0n) return 'liquidity';
+
+        const deposit = depositAmounts(ax, ay, x, y, supply);
+        if (deposit.shares === 0n) return 'liquidity';
+        if (deposit.shares < (amount('min-shares') ?? 0n)) return 'slippage';
+        x += deposit.x;
+        y += deposit.y;
+        supply += deposit.shares;
+        return null;
+      }
+
+      case 'remove-liquidity': {
+        if (supply === null) return 'supply';
+        const shares = amount('shares');
+        if (shares === null || shares > supply) return 'liquidity';
+
+        const withdrawn = withdrawAmounts(shares, x, y, supply);
+        if (withdrawn.x < (amount('min-x') ?? 0n) || withdrawn.y < (amount('min-y') ?? 0n)) return 'slippage';
+        x -= withdrawn.x;
+        y -= withdrawn.y;
+        supply -= shares;
+        return null;
+      }
+    }
+    return null;
+  }
+}
@@ -0,0 +1,110 @@
+import { describe, it, expect } from 'vitest';
+import { orderPendingCalls, simulatePendingCalls } from './mempool.js';
+import { swapOutput, depositAmounts, withdrawAmounts } from './amounts.js';
+
+const ALICE = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const BOB = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+
+const call = (txId, sender, nonce, receivedAt, functionName = 'swap-x-for-y', args = {}) =>
+  ({ txId, sender, nonce, receivedAt, functionName, args });
+const swapXForY = (txId, args) => call(txId, ALICE, 0, 0, 'swap-x-for-y', { 'min-dy': 1n, ...args });
+
+const RESERVES = { x: 1000000000n, y: 2000000000n };
+
+describe('orderPendingCalls', () => {
+  it('runs calls in arrival order', () => {
+    const calls = [call('c', BOB, 1, 3000), call('a', ALICE, 7, 1000), call('b', BOB, 0, 2000)];
+    expect(orderPendingCalls(calls).map(c => c.txId)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('keeps one sender\'s nonces in sequence in the slots their calls arrived in', () => {
+    const calls = [
+      call('alice-5', ALICE, 5, 1000),
+      call('bob-0', BOB, 0, 2000),
+      call('alice-4', ALICE, 4, 3000),
+      call('alice-6', ALICE, 6, 4000)
+    ];
+    expect(orderPendingCalls(calls).map(c => c.txId)).toEqual(['alice-4', 'bob-0', 'alice-5', 'alice-6']);
+  });
+
+  it('leaves the input untouched', () => {
+    const calls = [call('b', ALICE, 1, 1000), call('a', ALICE, 0, 2000)];
+    orderPendingCalls(calls);
+    expect(calls.map(c => c.txId)).toEqual(['b', 'a']);
+  });
+});
+
+describe('simulatePendingCalls', () => {
+  it('runs swaps with the contract math, fee outside the reserves', () => {
+    const swap = swapOutput(5000000n, RESERVES.x, RESERVES.y);
+    const result = simulatePendingCalls({ reserves: RESERVES, calls: [swapXForY('s', { dx: 5000000n })] });
+
+    expect(result.applied.map(c => c.txId)).toEqual(['s']);
+    expect(result.reserves).toEqual({ x: RESERVES.x + swap.amountToPool, y: RESERVES.y - swap.amountOut });
+  });
+
+  it('skips swaps whose deadline is before the next block', () => {
+    const calls = [
+      swapXForY('expired', { dx: 5000000n, deadline: 100n }),
+      swapXForY('next-block', { dx: 5000000n, deadline: 101n }),
+      swapXForY('no-deadline', { dx: 5000000n })
+    ];
+    const result = simulatePendingCalls({ reserves: RESERVES, calls, blockHeight: 100 });
+
+    expect(result.skipped.map(c => [c.txId, c.reason])).toEqual([['expired', 'deadline']]);
+    expect(result.applied.map(c => c.txId)).toEqual(['next-block', 'no-deadline']);
+  });
+
+  it('ignores deadlines without a block height', () => {
+    const result = simulatePendingCalls({ reserves: RESERVES, calls: [swapXForY('s', { dx: 5000000n, deadline: 1n })] });
+    expect(result.skipped).toEqual([]);
+  });
+
+  it('skips swaps an earlier call pushes below their minimum output', () => {
+    const quoted = swapOutput(5000000n, RESERVES.x, RESERVES.y).amountOut;
+    const calls = [
+      swapXForY('first', { dx: 50000000n }),
+      swapXForY('second', { dx: 5000000n, 'min-dy': quoted })
+    ];
+    const result = simulatePendingCalls({ reserves: RESERVES, calls });
+    const first = swapOutput(50000000n, RESERVES.x, RESERVES.y);
+
+    expect(result.skipped.map(c => [c.txId, c.reason])).toEqual([['second', 'slippage']]);
+    expect(result.reserves).toEqual({ x: RESERVES.x + first.amountToPool, y: RESERVES.y - first.amountOut });
+  });
+
+  it('skips liquidity calls without a total supply', () => {
+    const calls = [
+      call('add', ALICE, 0, 0, 'add-liquidity', { 'amount-x': 1000000n, 'amount-y': 2000000n, 'min-shares': 1n }),
+      call('remove', BOB, 0, 0, 'remove-liquidity', { shares: 1000n, 'min-x': 1n, 'min-y': 1n })
+    ];
+    const result = simulatePendingCalls({ reserves: RESERVES, calls });
+
+    expect(result.skipped.map(c => [c.txId, c.reason])).toEqual([['add', 'supply'], ['remove', 'supply']]);
+    expect(result.reserves).toEqual(RESERVES);
+    expect(result.totalSupply).toBeNull();
+  });
+
+  it('runs liquidity calls against the running supply', () => {
+    const totalSupply = 1400000000n;
+    const deposit = depositAmounts(1000000n, 2000000n, RESERVES.x, RESERVES.y, totalSupply);
+    const calls = [
+      call('add', ALICE, 0, 0, 'add-liquidity', { 'amount-x': 1000000n, 'amount-y': 2000000n, 'min-shares': 1n }),
+      call('remove', ALICE, 1, 0, 'remove-liquidity', { shares: deposit.shares, 'min-x': 1n, 'min-y': 1n })
+    ];
+    const result = simulatePendingCalls({ reserves: RESERVES, calls, totalSupply });
+
+    const afterAdd = { x: RESERVES.x + deposit.x, y: RESERVES.y + deposit.y };
+    const withdrawn = withdrawAmounts(deposit.shares, afterAdd.x, afterAdd.y, totalSupply + deposit.shares);
+
+    expect(result.applied.map(c => c.txId)).toEqual(['add', 'remove']);
+    expect(result.totalSupply).toBe(totalSupply);
+    expect(result.reserves).toEqual({ x: afterAdd.x - withdrawn.x, y: afterAdd.y - withdrawn.y });
+  });
+
+  it('skips deposits below their minimum shares', () => {
+    const calls = [call('add', ALICE, 0, 0, 'add-liquidity', { 'amount-x': 1000000n, 'amount-y': 2000000n, 'min-shares': 10n ** 12n })];
+    const result = simulatePendingCalls({ reserves: RESERVES, calls, totalSupply: 1400000000n });
+    expect(result.skipped.map(c => c.reason)).toEqual(['slippage']);
+  });
+});
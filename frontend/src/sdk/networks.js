@@ -0,0 +1,83 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Network Presets
+ * ==============================================================================
+ *
+ * API base URL, chain id and explorer for each network the DEX can target.
+ * `devnet` matches the defaults of `clarinet devnet start` (Stacks API on
+ * localhost:3999). Any preset can be pointed at a custom node:
+ *
+ *   const network = resolveNetwork('testnet', { apiUrl: 'http://localhost:3999' });
+ *   explorerTxUrl(network, txId);
+ * ==============================================================================
+ */
+
+export const NETWORKS = {
+  mainnet: {
+    id: 'mainnet',
+    label: 'Mainnet',
+    chain: 'mainnet',
+    chainId: 0x00000001,
+    apiUrl: 'https://api.mainnet.hiro.so',
+    explorerUrl: 'https://explorer.hiro.so'
+  },
+  testnet: {
+    id: 'testnet',
+    label: 'Testnet',
+    chain: 'testnet',
+    chainId: 0x80000000,
+    apiUrl: 'https://api.testnet.hiro.so',
+    explorerUrl: 'https://explorer.hiro.so'
+  },
+  devnet: {
+    id: 'devnet',
+    label: 'Devnet (Clarinet)',
+    chain: 'testnet',
+    chainId: 0x80000000,
+    apiUrl: 'http://localhost:3999',
+    explorerUrl: 'https://explorer.hiro.so'
+  }
+};
+
+export const DEFAULT_NETWORK = 'mainnet';
+
+/**
+ * Preset for a network id, optionally pointed at a custom Stacks API node.
+ * Unknown ids fall back to the default network.
+ * @param {string} id - 'mainnet', 'testnet' or 'devnet'
+ * @param {Object} [options]
+ * @param {string} [options.apiUrl] - Custom Stacks API base URL
+ */
+export function resolveNetwork(id, { apiUrl } = {}) {
+  const preset = NETWORKS[id] || NETWORKS[DEFAULT_NETWORK];
+  return {
+    ...preset,
+    apiUrl: apiUrl ? apiUrl.replace(/\/+$/, '') : preset.apiUrl,
+    customNode: Boolean(apiUrl)
+  };
+}
+
+/**
+ * CAIP-2 chain id used by WalletConnect, e.g. stacks:1 / stacks:2147483648
+ */
+export function caipChainId(network) {
+  return `stacks:${network.chainId}`;
+}
+
+/**
+ * Explorer link for a transaction. Nodes other than the public Hiro API are
+ * passed through the explorer's `api` parameter.
+ */
+export function explorerTxUrl(network, txId) {
+  const url = `${network.explorerUrl}/txid/${txId}?chain=${network.chain}`;
+  return network.apiUrl === NETWORKS[network.chain].apiUrl
+    ? url
+    : `${url}&api=${encodeURIComponent(network.apiUrl)}`;
+}
+
+/**
+ * Whether an address belongs to the network's chain (SP/SM vs ST/SN)
+ */
+export function isNetworkAddress(network, address) {
+  return network.chain === 'mainnet' ? /^S[PM]/.test(address) : /^S[TN]/.test(address);
+}
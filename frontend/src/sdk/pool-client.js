@@ -0,0 +1,671 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Client (headless SDK)
+ * ==============================================================================
+ *
+ * Framework-agnostic access to a constant-product pool contract. Nothing in
+ * here touches the DOM or the app's global state, so the same code backs the
+ * swap page, the liquidity page, and any bot or Node script.
+ *
+ *   const pool = new PoolClient({ contract: 'SP...pool-lp', tokenX, tokenY });
+ *   const reserves = await pool.getReserves();
+ *   const quote = pool.quoteSwap(amountIn, reserves, true);
+ *   const exact = pool.quoteSwapForOutput(amountOut, reserves, true);
+ *   const call = pool.buildSwap({ xForY: true, amountIn, minAmountOut, recipient, deadline });
+ *
+ * Builders return a plain contract-call description
+ *   { contractAddress, contractName, functionName, functionArgs,
+ *     postConditionMode, postConditions }
+ * that any wallet path (openContractCall, stx_callContract,
+ * makeUnsignedContractCall) can sign and broadcast. Arguments are encoded
+ * from the contract version's ABI (abi.js), post-conditions come from
+ * post-conditions.js and the mode is always Deny.
+ * ==============================================================================
+ */
+
+import {
+  uintCV,
+  cvToHex,
+  PostConditionMode
+} from '@stacks/transactions';
+// Not the barrel, see abi.js
+import { principalCV } from '@stacks/transactions/dist/esm/clarity/types/principalCV.js';
+import { decodeClarityToJS } from './clarity.js';
+import { encodeFunctionArgs, LATEST_POOL_VERSION } from './abi.js';
+import { versionProfile, detectCapabilities } from './capabilities.js';
+import { swapPostConditions, depositPostConditions, withdrawPostConditions } from './post-conditions.js';
+import { NETWORKS, DEFAULT_NETWORK } from './networks.js';
+import { fetchPoolHistory, fetchAllPoolHistory } from './history.js';
+import { fetchPendingPoolCalls, simulatePendingCalls } from './mempool.js';
+import { positionBasis, positionPerformance } from './position.js';
+import { zapInQuote, zapOutQuote } from './zap.js';
+import { initializationPlan, minimumInitialX } from './initialize.js';
+import {
+  DEFAULT_FEE_BPS,
+  DEFAULT_BPS_DENOM,
+  toBigInt,
+  swapOutput,
+  swapInput,
+  priceImpact,
+  depositAmounts,
+  withdrawAmounts,
+  swapFee
+} from './amounts.js';
+
+// ==============================================================================
+// SWAP & LIQUIDITY MATH
+// ==============================================================================
+
+// Integer math lives in amounts.js; these keep the SDK's original names.
+// Every amount is BigInt base units.
+
+export { DEFAULT_FEE_BPS, DEFAULT_BPS_DENOM };
+
+/**
+ * Swap output exactly as swap-x-for-y computes it:
+ *   fee = dx * fee / denom, dy = ry * (dx - fee) / (rx + dx - fee)
+ * @returns {bigint}
+ */
+export function calculateSwapOutput(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  return swapOutput(amountIn, reserveIn, reserveOut, feeBps, bpsDenom).amountOut;
+}
+
+/**
+ * Smallest input that swaps to at least amountOut (exact-output swaps)
+ * @returns {bigint|null} null when the pool cannot pay out amountOut
+ */
+export function calculateSwapInput(amountOut, reserveIn, reserveOut, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  return swapInput(amountOut, reserveIn, reserveOut, feeBps, bpsDenom)?.amountIn ?? null;
+}
+
+/**
+ * Price impact in percent relative to the spot price, fee included
+ */
+export function calculatePriceImpact(amountIn, reserveIn, reserveOut, feeBps = DEFAULT_FEE_BPS, bpsDenom = DEFAULT_BPS_DENOM) {
+  const amountOut = calculateSwapOutput(amountIn, reserveIn, reserveOut, feeBps, bpsDenom);
+  return priceImpact(amountIn, amountOut, reserveIn, reserveOut);
+}
+
+/**
+ * LP shares minted for a deposit.
+ * First LP gets sqrt-int(x * y), later LPs the smaller of the two ratios.
+ * @returns {bigint}
+ */
+export function calculateLiquidityShares(amountX, amountY, reserveX, reserveY, totalSupply) {
+  return depositAmounts(amountX, amountY, reserveX, reserveY, totalSupply).shares;
+}
+
+/**
+ * Token amounts returned when burning LP shares
+ * @returns {{x: bigint, y: bigint}}
+ */
+export function calculateRemoveAmounts(shares, reserveX, reserveY, totalSupply) {
+  return withdrawAmounts(shares, reserveX, reserveY, totalSupply);
+}
+
+// ==============================================================================
+// POOL CLIENT
+// ==============================================================================
+
+export class PoolClient {
+  /**
+   * @param {Object} options
+   * @param {string|{address: string, name: string}} options.contract - Pool contract id
+   * @param {string} [options.id] - Registry id (defaults to the contract name)
+   * @param {string} [options.version] - Contract version (get-contract-info), selects the ABI
+   * @param {Object} [options.capabilities] - Detected profile (capabilities.js); overrides version
+   * @param {Object} options.tokenX - { address, name, symbol, decimals, assetName }
+   * @param {Object} options.tokenY - { address, name, symbol, decimals, assetName }
+   * @param {string} [options.network] - 'mainnet', 'testnet' or 'devnet'
+   * @param {string} [options.apiUrl] - Override the Stacks API base URL
+   * @param {number} [options.feeBps] - Pool fee in basis points
+   * @param {number} [options.bpsDenom] - Basis point denominator
+   * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+   */
+  constructor({
+    contract,
+    id,
+    version = LATEST_POOL_VERSION,
+    capabilities,
+    tokenX,
+    tokenY,
+    network = DEFAULT_NETWORK,
+    apiUrl,
+    feeBps = DEFAULT_FEE_BPS,
+    bpsDenom = DEFAULT_BPS_DENOM,
+    fetch: fetchFn
+  }) {
+    const [address, name] = typeof contract === 'string'
+      ? contract.split('.')
+      : [contract.address, contract.name];
+
+    this.contract = { address, name };
+    this.id = id || name;
+    this.version = version;
+    this.useCapabilities(capabilities || versionProfile(version, 'manifest'));
+    this.tokenX = tokenX;
+    this.tokenY = tokenY;
+    this.network = network;
+    this.apiUrl = apiUrl || NETWORKS[network].apiUrl;
+    this.feeBps = feeBps;
+    this.bpsDenom = bpsDenom;
+    // Set by getFeeInfo; null until the pool is initialized
+    this.feeRecipient = undefined;
+    this.fetch = fetchFn || ((...args) => globalThis.fetch(...args));
+  }
+
+  get contractId() {
+    return `${this.contract.address}.${this.contract.name}`;
+  }
+
+  // ----------------------------------------------------------------------------
+  // Capabilities
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Read what the deployed contract supports (see capabilities.js) and
+   * encode calls with its signatures from now on
+   * @returns {Promise<Object>} Capability profile
+   */
+  async detectCapabilities() {
+    const profile = await detectCapabilities(this);
+    this.useCapabilities(profile);
+    return profile;
+  }
+
+  useCapabilities(profile) {
+    this.capabilities = profile;
+    this.version = profile.version ?? this.version;
+    this.abi = profile.abi;
+  }
+
+  /**
+   * Whether the contract has a capability: swapXForY, swapYForX, initialize,
+   * liquidity or fees
+   */
+  supports(capability) {
+    return Boolean(this.capabilities[capability]);
+  }
+
+  // ----------------------------------------------------------------------------
+  // Read-only getters
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Call a read-only function and return the decoded result as plain JS
+   * (uints as bigint, tuples as objects, responses as { ok, value })
+   */
+  async callReadOnly(functionName, args = []) {
+    const { address, name } = this.contract;
+    const response = await this.fetch(
+      `${this.apiUrl}/v2/contracts/call-read/${address}/${name}/${functionName}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          sender: address,
+          arguments: args.map(arg => cvToHex(arg))
+        })
+      }
+    );
+
+    const data = await response.json();
+    if (!data.okay || !data.result) {
+      throw new Error(data.cause || `${functionName} call failed`);
+    }
+    return decodeClarityToJS(data.result);
+  }
+
+  // Amounts come back as BigInt base units
+
+  async getReserves() {
+    const result = await this.callReadOnly('get-reserves');
+    return { x: toAmount(result.x), y: toAmount(result.y) };
+  }
+
+  async getTotalSupply() {
+    return toAmount(await this.callReadOnly('get-total-supply'));
+  }
+
+  /**
+   * Fees charged so far per token. 3.0.0 and later return a
+   * { fees-x, fees-y } tuple; pool.clar and pool-v2 keep one uint. pool.clar
+   * only swaps X -> Y, so its counter is all token X. pool-v2 adds fees of
+   * both tokens together, which cannot be split, so this throws (its
+   * profile has no `fees` capability).
+   */
+  async getTotalFees() {
+    const result = await this.callReadOnly('get-total-fees');
+    if (typeof result !== 'bigint') {
+      return { x: toAmount(result['fees-x']), y: toAmount(result['fees-y']) };
+    }
+    if (this.supports('swapYForX')) {
+      throw new Error(`Pool ${this.id} (v${this.version}) totals the fees of both tokens in one counter`);
+    }
+    return { x: result, y: 0n };
+  }
+
+  async getUserLiquidity(user) {
+    const result = await this.callReadOnly('get-user-liquidity', [principalCV(user)]);
+    return { shares: toAmount(result.shares), x: toAmount(result.x), y: toAmount(result.y) };
+  }
+
+  /**
+   * Tokens burning `shares` would return right now (quote-remove-liquidity)
+   */
+  async getRemoveQuote(shares) {
+    const result = await this.callReadOnly('quote-remove-liquidity', [uintCV(toBigInt(shares))]);
+    if (!result.ok) {
+      throw new Error(`quote-remove-liquidity failed (err u${result.value})`);
+    }
+    return { x: toAmount(result.value['amount-x']), y: toAmount(result.value['amount-y']) };
+  }
+
+  /**
+   * Fee configuration: { feeBps, denom, recipient }. The recipient is kept
+   * for buildSwap's post-conditions.
+   */
+  async getFeeInfo() {
+    const result = await this.callReadOnly('get-fee-info');
+    this.feeRecipient = result.recipient;
+    return {
+      feeBps: toNumber(result['fee-bps']),
+      denom: toNumber(result.denom),
+      recipient: result.recipient
+    };
+  }
+
+  /**
+   * Raw get-contract-info tuple (name, version, fee-bps, reserves, ...).
+   * Field set differs between contract versions, so keys are passed through.
+   */
+  async getContractInfo() {
+    return this.callReadOnly('get-contract-info');
+  }
+
+  /**
+   * Fungible token balances of both pool tokens for an address
+   */
+  async getBalances(user) {
+    const response = await this.fetch(`${this.apiUrl}/extended/v1/address/${user}/balances`);
+    const data = await response.json();
+    const tokens = data.fungible_tokens || {};
+
+    return {
+      x: toBigInt(tokens[assetId(this.tokenX)]?.balance || '0'),
+      y: toBigInt(tokens[assetId(this.tokenY)]?.balance || '0')
+    };
+  }
+
+  async getBlockHeight() {
+    const response = await this.fetch(`${this.apiUrl}/v2/info`);
+    const info = await response.json();
+    return info.stacks_tip_height;
+  }
+
+  /**
+   * An address's past calls to this pool, newest first (see history.js)
+   * @param {string} user - Sender address
+   * @param {Object} [options] - { actions, limit, offset }
+   * @returns {Promise<{entries: Object[], nextOffset: number|null}>}
+   */
+  async getHistory(user, { actions, limit, offset } = {}) {
+    return fetchPoolHistory({
+      apiUrl: this.apiUrl,
+      address: user,
+      contract: this.contractId,
+      tokenX: this.tokenX,
+      tokenY: this.tokenY,
+      actions,
+      limit,
+      offset,
+      fetch: this.fetch
+    });
+  }
+
+  /**
+   * Every past call of an address to this pool, newest first
+   * @param {string} user - Sender address
+   * @param {Object} [options] - { actions, maxEntries }
+   */
+  async getFullHistory(user, { actions, maxEntries } = {}) {
+    return fetchAllPoolHistory({
+      apiUrl: this.apiUrl,
+      address: user,
+      contract: this.contractId,
+      tokenX: this.tokenX,
+      tokenY: this.tokenY,
+      actions,
+      maxEntries,
+      fetch: this.fetch
+    });
+  }
+
+  /**
+   * Every caller's calls to this pool, newest first, for analytics
+   * @param {Object} [options] - { since (ms timestamp), actions, maxEntries }
+   */
+  async getPoolHistory({ since, actions, maxEntries } = {}) {
+    return fetchAllPoolHistory({
+      apiUrl: this.apiUrl,
+      address: this.contractId,
+      sender: null,
+      contract: this.contractId,
+      tokenX: this.tokenX,
+      tokenY: this.tokenY,
+      actions,
+      since,
+      maxEntries,
+      fetch: this.fetch
+    });
+  }
+
+  /**
+   * An address's LP position and how it did against holding (see position.js)
+   * @param {string} user - LP address
+   * @param {Object} [options] - { maxEntries } for the liquidity history read
+   * @returns {Promise<{shares, redeemable, reserves, basis, performance}>}
+   *   performance is null without shares or a deposit in the history
+   */
+  async getPosition(user, { maxEntries } = {}) {
+    const [liquidity, reserves, entries] = await Promise.all([
+      this.getUserLiquidity(user),
+      this.getReserves(),
+      this.getFullHistory(user, { actions: ['add', 'remove', 'initialize'], maxEntries })
+    ]);
+    const redeemable = liquidity.shares > 0n
+      ? await this.getRemoveQuote(liquidity.shares)
+      : { x: 0n, y: 0n };
+    const basis = positionBasis(entries, this);
+
+    return {
+      shares: liquidity.shares,
+      redeemable,
+      reserves,
+      basis,
+      performance: positionPerformance({ basis, shares: liquidity.shares, redeemable, reserves })
+    };
+  }
+
+  /**
+   * This pool's calls still in the mempool, in expected execution order (see mempool.js)
+   * @param {Object} [options] - { limit }
+   */
+  async getPendingCalls({ limit } = {}) {
+    return fetchPendingPoolCalls({
+      apiUrl: this.apiUrl,
+      contract: this.contractId,
+      limit,
+      fetch: this.fetch
+    });
+  }
+
+  // ----------------------------------------------------------------------------
+  // Quotes
+  // ----------------------------------------------------------------------------
+
+  /**
+   * Reserves once pending calls have run, with this pool's fee
+   * @param {{x: bigint, y: bigint}} reserves - Confirmed reserves
+   * @param {Object[]} calls - From getPendingCalls
+   * @param {Object} [options] - { totalSupply, blockHeight }
+   * @returns {Object} { reserves, totalSupply, applied, skipped }
+   */
+  simulatePending(reserves, calls, { totalSupply = null, blockHeight = null } = {}) {
+    return simulatePendingCalls({
+      reserves,
+      calls,
+      totalSupply,
+      blockHeight,
+      feeBps: this.feeBps,
+      bpsDenom: this.bpsDenom
+    });
+  }
+
+  /**
+   * Quote a swap against the given reserves
+   * @param {bigint} amountIn - Input amount in base units
+   * @param {{x: bigint, y: bigint}} reserves - Pool reserves
+   * @param {boolean} xForY - true for X -> Y, false for Y -> X
+   */
+  quoteSwap(amountIn, reserves, xForY = true) {
+    const reserveIn = xForY ? reserves.x : reserves.y;
+    const reserveOut = xForY ? reserves.y : reserves.x;
+
+    const { amountOut, fee } = swapOutput(amountIn, reserveIn, reserveOut, this.feeBps, this.bpsDenom);
+
+    return {
+      amountIn: toBigInt(amountIn),
+      amountOut,
+      priceImpact: priceImpact(amountIn, amountOut, reserveIn, reserveOut),
+      fee
+    };
+  }
+
+  /**
+   * Quote the input needed to receive an exact output
+   * @param {bigint} amountOut - Desired output in base units
+   * @param {{x: bigint, y: bigint}} reserves - Pool reserves
+   * @param {boolean} xForY - true for X -> Y, false for Y -> X
+   * @returns {Object|null} Quote with exactOutput set, or null if the pool
+   *   cannot pay out that much
+   */
+  quoteSwapForOutput(amountOut, reserves, xForY = true) {
+    const reserveIn = xForY ? reserves.x : reserves.y;
+    const reserveOut = xForY ? reserves.y : reserves.x;
+
+    const input = swapInput(amountOut, reserveIn, reserveOut, this.feeBps, this.bpsDenom);
+    if (!input) return null;
+
+    return {
+      amountIn: input.amountIn,
+      amountOut: toBigInt(amountOut),
+      priceImpact: priceImpact(input.amountIn, amountOut, reserveIn, reserveOut),
+      fee: input.fee,
+      exactOutput: true
+    };
+  }
+
+  quoteAddLiquidity(amountX, amountY, reserves, totalSupply) {
+    return calculateLiquidityShares(amountX, amountY, reserves.x, reserves.y, totalSupply);
+  }
+
+  quoteRemoveLiquidity(shares, reserves, totalSupply) {
+    return calculateRemoveAmounts(shares, reserves.x, reserves.y, totalSupply);
+  }
+
+  /**
+   * Deposit one token: swap part of it, add both (see zap.js)
+   * @param {Object} [options] - { xIn (default true), slippageBps }
+   * @returns {Object|null}
+   */
+  quoteZapIn(amountIn, reserves, totalSupply, { xIn = true, slippageBps = 50n } = {}) {
+    return zapInQuote({
+      amountIn,
+      xIn,
+      reserves,
+      totalSupply,
+      slippageBps,
+      feeBps: this.feeBps,
+      bpsDenom: this.bpsDenom
+    });
+  }
+
+  /**
+   * Exit shares into one token: withdraw both, swap the other (see zap.js)
+   * @param {Object} [options] - { xOut (default true), slippageBps,
+   *   redeemable (quote-remove-liquidity result; computed when omitted) }
+   * @returns {Object|null}
+   */
+  quoteZapOut(shares, reserves, totalSupply, { xOut = true, slippageBps = 50n, redeemable } = {}) {
+    return zapOutQuote({
+      shares,
+      xOut,
+      reserves,
+      totalSupply,
+      slippageBps,
+      redeemable,
+      feeBps: this.feeBps,
+      bpsDenom: this.bpsDenom
+    });
+  }
+
+  /**
+   * First deposit at a ratio from one amount (see initialize.js)
+   * @param {Object} params - { amountX or amountY, ratio }
+   * @returns {Object}
+   */
+  quoteInitialize({ amountX, amountY, ratio }) {
+    return initializationPlan({ amountX, amountY, ratio, mintsShares: this.supports('liquidity'), tokenX: this.tokenX });
+  }
+
+  /**
+   * Smallest first deposit initialize-pool accepts at a ratio
+   * @returns {Object} initializationPlan result
+   */
+  quoteMinimumInitialize(ratio) {
+    const amountX = minimumInitialX({ ratio, mintsShares: this.supports('liquidity'), tokenX: this.tokenX });
+    return this.quoteInitialize({ amountX, ratio });
+  }
+
+  // ----------------------------------------------------------------------------
+  // Contract-call builders
+  // ----------------------------------------------------------------------------
+
+  /**
+   * swap-x-for-y / swap-y-for-x
+   *   (token-x, token-y, amount-in, min-out, recipient, deadline)
+   * Token X is always passed first, regardless of swap direction.
+   * `sender` (the signer) defaults to the recipient. Call getFeeInfo first
+   * so the fee recipient's own swaps get exact post-conditions.
+   */
+  buildSwap({ xForY = true, amountIn, minAmountOut, recipient, deadline, sender = recipient }) {
+    const [amountArg, minArg] = xForY ? ['dx', 'min-dy'] : ['dy', 'min-dx'];
+    return contractCall(this, xForY ? 'swap-x-for-y' : 'swap-y-for-x', {
+      ...tokenArgs(this),
+      [amountArg]: amountIn,
+      [minArg]: minAmountOut,
+      recipient,
+      deadline
+    }, swapPostConditions({
+      sender,
+      contract: this.contract,
+      tokenIn: xForY ? this.tokenX : this.tokenY,
+      tokenOut: xForY ? this.tokenY : this.tokenX,
+      amountIn,
+      minAmountOut,
+      fee: swapFee(amountIn, this.feeBps, this.bpsDenom),
+      feeRecipient: this.feeRecipient
+    }));
+  }
+
+  /**
+   * initialize-pool (token-x, token-y, amount-x, amount-y)
+   */
+  buildInitializePool({ amountX, amountY, sender }) {
+    return contractCall(this, 'initialize-pool', {
+      ...tokenArgs(this),
+      'amount-x': amountX,
+      'amount-y': amountY
+    }, depositPostConditions({ sender, tokenX: this.tokenX, tokenY: this.tokenY, amountX, amountY, exact: true }));
+  }
+
+  /**
+   * add-liquidity (token-x, token-y, amount-x, amount-y, min-shares)
+   */
+  buildAddLiquidity({ amountX, amountY, minShares = 1, sender }) {
+    return contractCall(this, 'add-liquidity', {
+      ...tokenArgs(this),
+      'amount-x': amountX,
+      'amount-y': amountY,
+      'min-shares': minShares
+    }, depositPostConditions({ sender, tokenX: this.tokenX, tokenY: this.tokenY, amountX, amountY }));
+  }
+
+  /**
+   * The two calls of a zap in, in signing order: the swap, then add-liquidity
+   * offering the swap's guaranteed output
+   * @param {Object} quote - quoteZapIn result
+   */
+  buildZapIn(quote, { sender, deadline }) {
+    return [
+      this.buildSwap({
+        xForY: quote.xIn,
+        amountIn: quote.swapAmount,
+        minAmountOut: quote.minSwapOut,
+        recipient: sender,
+        deadline
+      }),
+      this.buildAddLiquidity({
+        amountX: quote.deposit.x,
+        amountY: quote.deposit.y,
+        minShares: quote.minShares,
+        sender
+      })
+    ];
+  }
+
+  /**
+   * The two calls of a zap out, in signing order: remove-liquidity, then the
+   * swap of the unwanted token's guaranteed amount
+   * @param {Object} quote - quoteZapOut result
+   */
+  buildZapOut(quote, { sender, deadline }) {
+    return [
+      this.buildRemoveLiquidity({ shares: quote.shares, minX: quote.minX, minY: quote.minY }),
+      this.buildSwap({
+        xForY: !quote.xOut,
+        amountIn: quote.swapAmount,
+        minAmountOut: quote.minSwapOut,
+        recipient: sender,
+        deadline
+      })
+    ];
+  }
+
+  /**
+   * remove-liquidity (token-x, token-y, shares, min-x, min-y)
+   */
+  buildRemoveLiquidity({ shares, minX = 1, minY = 1 }) {
+    return contractCall(this, 'remove-liquidity', {
+      ...tokenArgs(this),
+      shares,
+      'min-x': minX,
+      'min-y': minY
+    }, withdrawPostConditions({ contract: this.contract, tokenX: this.tokenX, tokenY: this.tokenY, minX, minY }));
+  }
+}
+
+/**
+ * Fully qualified asset identifier, e.g. SP...token-alex::alex
+ */
+export function assetId(token) {
+  return `${token.address}.${token.name}::${token.assetName}`;
+}
+
+function toNumber(value) {
+  return value === undefined || value === null ? 0 : Number(value);
+}
+
+function toAmount(value) {
+  return value === undefined || value === null ? 0n : toBigInt(value);
+}
+
+function tokenArgs(client) {
+  return { 'token-x': client.tokenX, 'token-y': client.tokenY };
+}
+
+function contractCall(client, functionName, values, postConditions) {
+  if (!client.abi.functions.some(fn => fn.name === functionName)) {
+    throw new Error(`Pool ${client.id} (v${client.version}) does not support ${functionName}`);
+  }
+
+  return {
+    contractAddress: client.contract.address,
+    contractName: client.contract.name,
+    functionName,
+    functionArgs: encodeFunctionArgs(client.abi, functionName, values),
+    postConditionMode: PostConditionMode.Deny,
+    postConditions
+  };
+}
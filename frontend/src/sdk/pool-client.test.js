@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { PoolClient } from './pool-client.js';
+import { encodeClarityValue, Cl } from './clarity.js';
+import { versionProfile } from './capabilities.js';
+
+const ADDRESS = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const token = name => ({ address: ADDRESS, name, assetName: name, symbol: name, decimals: 6 });
+
+// A client whose read-only calls all return `result`
+function client(version, result) {
+  return new PoolClient({
+    contract: `${ADDRESS}.pool`,
+    version,
+    tokenX: token('x'),
+    tokenY: token('y'),
+    fetch: async () => ({ ok: true, json: async () => ({ okay: true, result: encodeClarityValue(result) }) })
+  });
+}
+
+describe('getTotalFees', () => {
+  it('reads the per-token tuple of 3.0.0 and later', async () => {
+    const fees = Cl.tuple({ 'fees-x': Cl.uint(12), 'fees-y': Cl.uint(34) });
+    expect(await client('3.0.0', fees).getTotalFees()).toEqual({ x: 12n, y: 34n });
+    expect(await client('4.0.0', fees).getTotalFees()).toEqual({ x: 12n, y: 34n });
+  });
+
+  it('reads pool.clar\'s single counter as token X fees', async () => {
+    expect(await client('1.0.0', Cl.uint(56)).getTotalFees()).toEqual({ x: 56n, y: 0n });
+  });
+
+  it('refuses to split pool-v2\'s counter of both tokens', async () => {
+    await expect(client('2.0.0', Cl.uint(56)).getTotalFees()).rejects.toThrow(/both tokens in one counter/);
+  });
+
+  it('only profiles versions with per-token totals as having fees', () => {
+    expect(['1.0.0', '2.0.0', '3.0.0', '4.0.0'].map(version => versionProfile(version, 'manifest').fees))
+      .toEqual([true, false, true, true]);
+  });
+});
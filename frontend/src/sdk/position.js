@@ -0,0 +1,157 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - LP Position Performance
+ * ==============================================================================
+ *
+ * How an LP position did against simply holding the tokens deposited.
+ *
+ *   const position = await pool.getPosition(address);
+ *   position.performance.fees;            // { x, y } gained beyond the no-fee curve
+ *   position.performance.impermanentLoss; // { x, y } lost to the price move
+ *   positionValues(position.performance, 'y', position.reserves);
+ *
+ * The entry basis comes from the address's add-liquidity / initialize-pool
+ * history: tokens deposited and sqrt(x * y) of each deposit. A withdrawal
+ * takes its proportion of the basis with it (average cost).
+ *
+ * The difference between the redeemable amounts and the held deposits
+ * splits in two. Without fees a deposit's sqrt(x * y) stays constant, so the
+ * no-fee position at today's price is that constant on today's curve:
+ * holding versus no-fee is impermanent loss, no-fee versus redeemable is
+ * what the pool's invariant grew by. These pools pay the swap fee to the
+ * fee recipient rather than into the reserves, so that growth is only the
+ * contracts' rounding in the LP's favour; the fee recipient's income is
+ * reported separately.
+ * ==============================================================================
+ */
+
+import { toBigInt } from './amounts.js';
+import { LP_SHARES } from './history.js';
+
+// ==============================================================================
+// BASIS
+// ==============================================================================
+
+/**
+ * Cost basis of the shares an address holds
+ * @param {Object[]} entries - Its liquidity history entries, newest first
+ * @param {{tokenX: Object, tokenY: Object}} tokens - The token objects the entries were decoded with
+ * @returns {{shares: bigint, x: bigint, y: bigint, rootK: bigint, deposits: number}}
+ */
+export function positionBasis(entries, { tokenX, tokenY }) {
+  const basis = { shares: 0n, x: 0n, y: 0n, rootK: 0n, deposits: 0 };
+  const amount = (legs, token) => legs.find(leg => leg.token === token)?.amount ?? 0n;
+
+  for (const entry of [...entries].reverse()) {
+    if (entry.status !== 'success') continue;
+
+    if (entry.action === 'add' || entry.action === 'initialize') {
+      const x = amount(entry.amountsIn, tokenX);
+      const y = amount(entry.amountsIn, tokenY);
+      basis.shares += amount(entry.amountsOut, LP_SHARES);
+      basis.x += x;
+      basis.y += y;
+      basis.rootK += isqrt(x * y);
+      basis.deposits++;
+    } else if (entry.action === 'remove' && basis.shares > 0n) {
+      const burned = amount(entry.amountsIn, LP_SHARES);
+      const kept = burned < basis.shares ? basis.shares - burned : 0n;
+      basis.x = basis.x * kept / basis.shares;
+      basis.y = basis.y * kept / basis.shares;
+      basis.rootK = basis.rootK * kept / basis.shares;
+      basis.shares = kept;
+    }
+  }
+
+  return basis;
+}
+
+// ==============================================================================
+// PERFORMANCE
+// ==============================================================================
+
+/**
+ * Redeemable amounts against holding, in token terms
+ * @param {Object} params
+ * @param {Object} params.basis - positionBasis result
+ * @param {bigint} params.shares - Shares held now
+ * @param {{x: bigint, y: bigint}} params.redeemable - quote-remove-liquidity for those shares
+ * @param {{x: bigint, y: bigint}} params.reserves - Pool reserves now
+ * @returns {Object|null} { hold, current, noFee, fees, impermanentLoss, total, complete },
+ *   each a { x, y } of signed base units; null without shares or a known deposit.
+ *   complete is false when the history does not account for every share
+ *   (transfers, or history past the read limit); the basis is then scaled
+ *   to the shares held.
+ */
+export function positionPerformance({ basis, shares, redeemable, reserves }) {
+  const held = toBigInt(shares);
+  const rx = toBigInt(reserves.x);
+  const ry = toBigInt(reserves.y);
+  if (held === 0n || basis.shares === 0n || rx === 0n || ry === 0n) return null;
+
+  const scale = value => value * held / basis.shares;
+  const rootK = scale(basis.rootK);
+  const rootReserves = isqrt(rx * ry);
+
+  const hold = { x: scale(basis.x), y: scale(basis.y) };
+  const current = { x: toBigInt(redeemable.x), y: toBigInt(redeemable.y) };
+  // sqrt(x * y) = rootK on today's price line y / x = ry / rx
+  const noFee = { x: rootK * rx / rootReserves, y: rootK * ry / rootReserves };
+
+  return {
+    hold,
+    current,
+    noFee,
+    fees: subtract(current, noFee),
+    impermanentLoss: subtract(noFee, hold),
+    total: subtract(current, hold),
+    complete: basis.shares === held
+  };
+}
+
+/**
+ * Value an { x, y } amount in one token at the pool price
+ * @param {{x: bigint, y: bigint}} amounts - Signed base units
+ * @param {'x'|'y'} quote - Token to count in
+ * @param {{x: bigint, y: bigint}} reserves - Pool reserves now
+ * @returns {bigint} Base units of the quote token
+ */
+export function valueIn(amounts, quote, reserves) {
+  const rx = toBigInt(reserves.x);
+  const ry = toBigInt(reserves.y);
+  return quote === 'x'
+    ? amounts.x + amounts.y * rx / ry
+    : amounts.y + amounts.x * ry / rx;
+}
+
+/**
+ * Every part of positionPerformance valued in one token, plus impermanent
+ * loss as a percent of the held value
+ * @returns {{hold, current, noFee, fees, impermanentLoss, total: bigint, impermanentLossPercent: number}}
+ */
+export function positionValues(performance, quote, reserves) {
+  const values = {};
+  for (const key of ['hold', 'current', 'noFee', 'fees', 'impermanentLoss', 'total']) {
+    values[key] = valueIn(performance[key], quote, reserves);
+  }
+  values.impermanentLossPercent = values.hold > 0n
+    ? Number(values.impermanentLoss * 1000000n / values.hold) / 10000
+    : 0;
+  return values;
+}
+
+function subtract(a, b) {
+  return { x: a.x - b.x, y: a.y - b.y };
+}
+
+// Exact floor square root (sqrtInt reproduces the contracts' approximation)
+function isqrt(n) {
+  if (n < 2n) return n;
+  let x = n;
+  let y = (x + 1n) / 2n;
+  while (y < x) {
+    x = y;
+    y = (x + n / x) / 2n;
+  }
+  return x;
+}
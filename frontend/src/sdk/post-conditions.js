@@ -0,0 +1,112 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Post-Conditions
+ * ==============================================================================
+ *
+ * The single source of post-conditions for every pool call. Calls are sent
+ * in Deny mode, so any token movement not listed here aborts the transaction:
+ *
+ *   swap              sender sends exactly amount-in of the input token
+ *                     (fee + pool deposit); the pool sends >= min-out. The
+ *                     fee recipient keeps its fee, so it sends amount-in
+ *                     less the fee, or at most amount-in while the
+ *                     recipient is unknown
+ *   initialize-pool   sender sends exactly amount-x and amount-y
+ *   add-liquidity     sender sends at most amount-x and amount-y (the pool
+ *                     takes the proportional part)
+ *   remove-liquidity  the pool sends >= min-x and >= min-y
+ *
+ * Builders return @stacks/transactions PostCondition objects for
+ * makeUnsignedContractCall; serializePostConditions() turns them into the
+ * hex strings wallet RPCs (stx_callContract, openContractCall) accept.
+ * ==============================================================================
+ */
+
+import {
+  makeStandardFungiblePostCondition,
+  makeContractFungiblePostCondition,
+  FungibleConditionCode,
+  createAssetInfo,
+  serializePostCondition
+} from '@stacks/transactions';
+
+/**
+ * @param {Object} params
+ * @param {string} params.sender - Address signing the swap
+ * @param {{address: string, name: string}} params.contract - Pool contract
+ * @param {Object} params.tokenIn - Token the sender pays
+ * @param {Object} params.tokenOut - Token the pool pays out
+ * @param {number|bigint} params.amountIn - Exact input, fee included
+ * @param {number|bigint} params.minAmountOut - Minimum output
+ * @param {number|bigint} params.fee - Fee the contract takes from amountIn
+ * @param {string|null} [params.feeRecipient] - Pool's fee recipient
+ *   (get-fee-info); undefined when not read yet
+ */
+export function swapPostConditions({ sender, contract, tokenIn, tokenOut, amountIn, minAmountOut, fee, feeRecipient }) {
+  // The contracts skip the fee transfer when the sender is the fee recipient
+  const sent = feeRecipient === undefined
+    ? [FungibleConditionCode.LessEqual, BigInt(amountIn)]
+    : [FungibleConditionCode.Equal, sender === feeRecipient ? BigInt(amountIn) - BigInt(fee) : BigInt(amountIn)];
+  return [
+    makeStandardFungiblePostCondition(sender, ...sent, assetInfo(tokenIn)),
+    makeContractFungiblePostCondition(
+      contract.address,
+      contract.name,
+      FungibleConditionCode.GreaterEqual,
+      BigInt(minAmountOut),
+      assetInfo(tokenOut)
+    )
+  ];
+}
+
+/**
+ * initialize-pool deposits exactly the given amounts; add-liquidity may take less
+ * @param {Object} params
+ * @param {string} params.sender - Liquidity provider
+ * @param {Object} params.tokenX
+ * @param {Object} params.tokenY
+ * @param {number|bigint} params.amountX
+ * @param {number|bigint} params.amountY
+ * @param {boolean} [params.exact] - true for initialize-pool
+ */
+export function depositPostConditions({ sender, tokenX, tokenY, amountX, amountY, exact = false }) {
+  const code = exact ? FungibleConditionCode.Equal : FungibleConditionCode.LessEqual;
+  return [
+    makeStandardFungiblePostCondition(sender, code, BigInt(amountX), assetInfo(tokenX)),
+    makeStandardFungiblePostCondition(sender, code, BigInt(amountY), assetInfo(tokenY))
+  ];
+}
+
+/**
+ * @param {Object} params
+ * @param {{address: string, name: string}} params.contract - Pool contract
+ * @param {Object} params.tokenX
+ * @param {Object} params.tokenY
+ * @param {number|bigint} params.minX - Minimum token X returned
+ * @param {number|bigint} params.minY - Minimum token Y returned
+ */
+export function withdrawPostConditions({ contract, tokenX, tokenY, minX, minY }) {
+  return [
+    makeContractFungiblePostCondition(
+      contract.address, contract.name, FungibleConditionCode.GreaterEqual, BigInt(minX), assetInfo(tokenX)
+    ),
+    makeContractFungiblePostCondition(
+      contract.address, contract.name, FungibleConditionCode.GreaterEqual, BigInt(minY), assetInfo(tokenY)
+    )
+  ];
+}
+
+/**
+ * Hex-encode post-conditions for wallet RPC methods
+ */
+export function serializePostConditions(postConditions) {
+  return postConditions.map(pc => bytesToHex(serializePostCondition(pc)));
+}
+
+function assetInfo(token) {
+  return createAssetInfo(token.address, token.name, token.assetName);
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
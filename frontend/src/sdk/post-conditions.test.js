@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { FungibleConditionCode } from '@stacks/transactions';
+import { swapPostConditions } from './post-conditions.js';
+
+const SENDER = 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7';
+const OTHER = 'SP3FBR2AGK5H9QBDH3EEN6DF8EK8JY7RX8QJ5SVTE';
+const token = name => ({ address: SENDER, name, assetName: name });
+
+const swap = feeRecipient => swapPostConditions({
+  sender: SENDER,
+  contract: { address: SENDER, name: 'pool-v5' },
+  tokenIn: token('token-x'),
+  tokenOut: token('token-y'),
+  amountIn: 10000n,
+  minAmountOut: 900n,
+  fee: 30n,
+  feeRecipient
+});
+
+describe('swapPostConditions', () => {
+  it('pins the full input for other senders', () => {
+    const [sent] = swap(OTHER);
+    expect(sent.conditionCode).toBe(FungibleConditionCode.Equal);
+    expect(sent.amount).toBe(10000n);
+  });
+
+  it('leaves the fee out when the sender is the fee recipient', () => {
+    const [sent] = swap(SENDER);
+    expect(sent.conditionCode).toBe(FungibleConditionCode.Equal);
+    expect(sent.amount).toBe(9970n);
+  });
+
+  it('caps the input while the fee recipient is unknown', () => {
+    const [sent] = swap(undefined);
+    expect(sent.conditionCode).toBe(FungibleConditionCode.LessEqual);
+    expect(sent.amount).toBe(10000n);
+  });
+
+  it('pins the minimum output the pool sends', () => {
+    const [, received] = swap(OTHER);
+    expect(received.conditionCode).toBe(FungibleConditionCode.GreaterEqual);
+    expect(received.amount).toBe(900n);
+  });
+});
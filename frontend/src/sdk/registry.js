@@ -0,0 +1,128 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Pool Registry
+ * ==============================================================================
+ *
+ * Resolves a pool manifest (see src/config/pools.json) into pool entries and
+ * PoolClient instances. The manifest is passed in rather than imported so the
+ * registry works the same under Vite and from Node scripts.
+ *
+ * pools.json holds one manifest per network id; a registry covers one of them:
+ *
+ *   new PoolRegistry(poolManifest.devnet)
+ *
+ * Manifest shape:
+ *   {
+ *     defaultPool: 'pool-lp',
+ *     tokens: { ALEX: { address, name, symbol, decimals, assetName }, ... },
+ *     pools: [{ id, contract, version, tokenX: 'ALEX', tokenY: 'USDA', feeBps }]
+ *   }
+ * ==============================================================================
+ */
+
+import { PoolClient, DEFAULT_FEE_BPS, DEFAULT_BPS_DENOM } from './pool-client.js';
+import { versionProfile } from './capabilities.js';
+
+export class PoolRegistry {
+  /**
+   * @param {Object} [manifest] - Manifest for one network. A network without
+   *   deployments yields an empty registry (getDefault() returns null).
+   */
+  constructor(manifest = {}) {
+    this.tokens = manifest.tokens || {};
+    this.pools = (manifest.pools || []).map(entry => resolvePool(entry, this.tokens));
+    this.defaultPoolId = manifest.defaultPool || this.pools[0]?.id;
+  }
+
+  list() {
+    return this.pools;
+  }
+
+  get(id) {
+    return this.pools.find(pool => pool.id === id) || null;
+  }
+
+  getDefault() {
+    return this.get(this.defaultPoolId) || this.pools[0] || null;
+  }
+
+  /**
+   * All pools trading the given pair, in either orientation
+   */
+  findByPair(symbolA, symbolB) {
+    return this.pools.filter(pool =>
+      (pool.tokenX.symbol === symbolA && pool.tokenY.symbol === symbolB) ||
+      (pool.tokenX.symbol === symbolB && pool.tokenY.symbol === symbolA)
+    );
+  }
+
+  /**
+   * Read every pool's capabilities from the chain (see capabilities.js).
+   * Entries keep the profile and the detected version, and clients created
+   * afterwards use them.
+   * @param {Object} [options] - PoolClient options (network, apiUrl, fetch)
+   * @returns {Promise<Object>} Profiles keyed by pool id
+   */
+  async detectCapabilities(options = {}) {
+    const profiles = {};
+    await Promise.all(this.pools.map(async (pool) => {
+      const profile = await this.createClient(pool.id, options).detectCapabilities();
+      pool.capabilities = profile;
+      pool.version = profile.version ?? pool.version;
+      profiles[pool.id] = profile;
+    }));
+    return profiles;
+  }
+
+  /**
+   * Build a PoolClient for a registered pool
+   * @param {string} id - Pool id from the manifest
+   * @param {Object} [options] - Extra PoolClient options (network, apiUrl, fetch)
+   */
+  createClient(id, options = {}) {
+    const pool = this.get(id);
+    if (!pool) {
+      throw new Error(`Unknown pool: ${id}`);
+    }
+
+    return new PoolClient({
+      id: pool.id,
+      contract: pool.contract,
+      version: pool.version,
+      capabilities: pool.capabilities,
+      tokenX: pool.tokenX,
+      tokenY: pool.tokenY,
+      feeBps: pool.feeBps,
+      bpsDenom: pool.bpsDenom,
+      ...options
+    });
+  }
+}
+
+/**
+ * Human-readable label for a pool, e.g. "ALEX / USDA · pool-lp (v4.0.0)"
+ */
+export function poolLabel(pool) {
+  return `${pool.tokenX.symbol} / ${pool.tokenY.symbol} · ${pool.id} (v${pool.version})`;
+}
+
+function resolvePool(entry, tokens) {
+  const tokenX = tokens[entry.tokenX];
+  const tokenY = tokens[entry.tokenY];
+
+  if (!tokenX || !tokenY) {
+    throw new Error(`Pool ${entry.id} references an unknown token`);
+  }
+
+  return {
+    id: entry.id,
+    contract: entry.contract,
+    version: entry.version,
+    // Replaced by detectCapabilities with what the contract really supports
+    capabilities: versionProfile(entry.version, 'manifest'),
+    tokenX,
+    tokenY,
+    feeBps: entry.feeBps ?? DEFAULT_FEE_BPS,
+    bpsDenom: entry.bpsDenom ?? DEFAULT_BPS_DENOM
+  };
+}
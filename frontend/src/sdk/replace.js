@@ -0,0 +1,188 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Transaction Replacement
+ * ==============================================================================
+ *
+ * Speeding up or cancelling a transaction stuck in the mempool. A node
+ * replaces a pending transaction with another from the same sender at the
+ * same nonce when the new one pays a higher fee:
+ *
+ *   const { txId, fee } = await replaceTransaction({
+ *     action: 'speedUp',           // or 'cancel'
+ *     txId: stuckTxId,
+ *     apiUrl, chain: 'mainnet',
+ *     publicKey,                   // the connected wallet's key
+ *     sign: unsignedTx => wallet.signTransaction(unsignedTx)
+ *   });
+ *
+ * A speed-up repeats the original contract call, post-conditions included,
+ * read back from the raw transaction. A cancel spends the nonce on a
+ * 1 micro-STX transfer to the burn address: nodes refuse a transfer to the
+ * sender itself, so that micro-STX is the price of a cancel. Whichever
+ * transaction is mined first wins and the other is dropped, so a
+ * replacement can still lose the race.
+ * ==============================================================================
+ */
+
+import {
+  deserializeTransaction,
+  makeUnsignedContractCall,
+  makeUnsignedSTXTokenTransfer,
+  addressToString,
+  PayloadType
+} from '@stacks/transactions';
+import { DEFAULT_FEES, estimateTransactionFees } from './fees.js';
+
+export const REPLACE_ACTIONS = ['speedUp', 'cancel'];
+
+// A replacement pays at least this much more than the transaction it replaces
+export const MIN_FEE_BUMP_PERCENT = 25n;
+
+// Cancels pay their 1 micro-STX here: the zero-hash address, which no key controls
+export const BURN_ADDRESSES = {
+  mainnet: 'SP000000000000000000002Q6VF78',
+  testnet: 'ST000000000000000000002AMW42H'
+};
+
+/**
+ * An account's nonces as the API sees them
+ * @param {Object} params - { apiUrl, address, fetch }
+ * @returns {Promise<{lastExecuted: number|null, lastMempool: number|null, next: number, missing: number[]}>}
+ *   missing lists nonces below pending ones that nothing has used, which
+ *   hold every later transaction back
+ */
+export async function fetchAccountNonces({ apiUrl, address, fetch: fetchFn = globalThis.fetch }) {
+  const response = await fetchFn(`${apiUrl}/extended/v1/address/${address}/nonces`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch nonces for ${address}: HTTP ${response.status}`);
+  }
+  const nonces = await response.json();
+  return {
+    lastExecuted: nonces.last_executed_tx_nonce ?? null,
+    lastMempool: nonces.last_mempool_tx_nonce ?? null,
+    next: nonces.possible_next_nonce,
+    missing: nonces.detected_missing_nonces || []
+  };
+}
+
+/**
+ * A broadcast transaction, decoded from its raw bytes
+ * @param {Object} params - { apiUrl, txId, fetch }
+ * @returns {Promise<StacksTransaction>}
+ */
+export async function fetchRawTransaction({ apiUrl, txId, fetch: fetchFn = globalThis.fetch }) {
+  const id = txId.startsWith('0x') ? txId : `0x${txId}`;
+  const response = await fetchFn(`${apiUrl}/extended/v1/tx/${id}/raw`);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch raw tx ${txId}: HTTP ${response.status}`);
+  }
+  const { raw_tx: raw } = await response.json();
+  return deserializeTransaction(raw.startsWith('0x') ? raw.slice(2) : raw);
+}
+
+/**
+ * Fee for a replacement: the estimate, but always enough above the
+ * original's fee for the node to accept the swap
+ * @param {StacksTransaction} original
+ * @param {bigint} [estimate] - Current estimate for the chosen speed
+ */
+export function replacementFee(original, estimate = 0n) {
+  const paid = BigInt(original.auth.spendingCondition.fee);
+  const bumped = paid * (100n + MIN_FEE_BUMP_PERCENT) / 100n + 1n;
+  return estimate > bumped ? estimate : bumped;
+}
+
+/**
+ * The original contract call again, at its nonce with a new fee
+ * @param {StacksTransaction} original
+ * @param {Object} params - { publicKey, fee, chain }
+ * @returns {Promise<StacksTransaction>} Unsigned
+ */
+export async function buildSpeedUp(original, { publicKey, fee, chain }) {
+  const payload = original.payload;
+  if (payload.payloadType !== PayloadType.ContractCall) {
+    throw new Error('Only contract calls can be sped up');
+  }
+
+  const transaction = await makeUnsignedContractCall({
+    contractAddress: addressToString(payload.contractAddress),
+    contractName: payload.contractName.content,
+    functionName: payload.functionName.content,
+    functionArgs: payload.functionArgs,
+    postConditionMode: original.postConditionMode,
+    postConditions: original.postConditions.values,
+    anchorMode: original.anchorMode,
+    publicKey,
+    fee,
+    nonce: original.auth.spendingCondition.nonce,
+    network: chain
+  });
+  assertSameSigner(original, transaction);
+  return transaction;
+}
+
+/**
+ * A 1 micro-STX transfer to the burn address that takes the original's nonce
+ * @param {StacksTransaction} original
+ * @param {Object} params - { publicKey, fee, chain }
+ * @returns {Promise<StacksTransaction>} Unsigned
+ */
+export async function buildCancel(original, { publicKey, fee, chain }) {
+  const transaction = await makeUnsignedSTXTokenTransfer({
+    recipient: chain === 'mainnet' ? BURN_ADDRESSES.mainnet : BURN_ADDRESSES.testnet,
+    amount: 1n,
+    memo: 'cancel',
+    anchorMode: original.anchorMode,
+    publicKey,
+    fee,
+    nonce: original.auth.spendingCondition.nonce,
+    network: chain
+  });
+  assertSameSigner(original, transaction);
+  return transaction;
+}
+
+/**
+ * Build, sign and broadcast a speed-up or cancel for a pending transaction
+ * @param {Object} params
+ * @param {string} params.action - 'speedUp' or 'cancel'
+ * @param {string} params.txId - Pending transaction
+ * @param {string} params.apiUrl - Stacks API base URL
+ * @param {string} params.chain - 'mainnet' or 'testnet'
+ * @param {string} params.publicKey - Key that signed the original
+ * @param {Function} params.sign - Signs and broadcasts an unsigned
+ *   transaction, resolving to its txId (WalletAdapter.signTransaction)
+ * @param {string} [params.tier] - Fee estimate to start from (default 'fast')
+ * @param {Function} [params.fetch] - fetch implementation
+ * @returns {Promise<{txId: string, fee: bigint, nonce: bigint}>}
+ */
+export async function replaceTransaction({ action, txId, apiUrl, chain, publicKey, sign, tier = 'fast', fetch: fetchFn }) {
+  if (!REPLACE_ACTIONS.includes(action)) {
+    throw new Error(`Unknown replacement: ${action}`);
+  }
+
+  const original = await fetchRawTransaction({ apiUrl, txId, fetch: fetchFn });
+  let estimate;
+  try {
+    estimate = (await estimateTransactionFees(original, { apiUrl, fetch: fetchFn }))[tier];
+  } catch (error) {
+    console.warn(`No fee estimate for replacing ${txId}:`, error.message);
+    estimate = DEFAULT_FEES[tier];
+  }
+
+  const fee = replacementFee(original, estimate);
+  const build = action === 'speedUp' ? buildSpeedUp : buildCancel;
+  const replacement = await build(original, { publicKey, fee, chain });
+  return {
+    txId: await sign(replacement),
+    fee,
+    nonce: BigInt(original.auth.spendingCondition.nonce)
+  };
+}
+
+// Only the original's signer can use its nonce
+function assertSameSigner(original, replacement) {
+  if (original.auth.spendingCondition.signer !== replacement.auth.spendingCondition.signer) {
+    throw new Error('The connected wallet did not sign this transaction');
+  }
+}
@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import {
+  makeUnsignedContractCall,
+  getAddressFromPublicKey,
+  cvToString,
+  uintCV,
+  TransactionVersion
+} from '@stacks/transactions';
+import { BURN_ADDRESSES, replacementFee, buildCancel } from './replace.js';
+
+const PUBLIC_KEY = '03ef788b3830c00abe8f64f62dc32fc863bc0b2cafeb073b6c8e1c7657d9c2c3ab';
+const OTHER_KEY = '02b30fafab3a12372c5d150d567034f37d60a91168009a779498168b0e9d8ec7f2';
+
+const original = (fee, publicKey = PUBLIC_KEY) => makeUnsignedContractCall({
+  contractAddress: 'SP2J6ZY48GV1EZ5V2V5RB9MP66SW86PYKKNRV9EJ7',
+  contractName: 'pool-v5',
+  functionName: 'get-balance',
+  functionArgs: [uintCV(1)],
+  publicKey,
+  fee,
+  nonce: 7n,
+  network: 'mainnet'
+});
+
+describe('replacementFee', () => {
+  it('bumps the original fee by MIN_FEE_BUMP_PERCENT and one micro-STX', async () => {
+    expect(replacementFee(await original(1000n))).toBe(1251n);
+    expect(replacementFee(await original(1000n), 1251n)).toBe(1251n);
+    expect(replacementFee(await original(0n))).toBe(1n);
+  });
+
+  it('takes the estimate when it is above the bump', async () => {
+    expect(replacementFee(await original(1000n), 1252n)).toBe(1252n);
+    expect(replacementFee(await original(1000n), 50000n)).toBe(50000n);
+  });
+});
+
+describe('buildCancel', () => {
+  it('sends to the burn address, never back to the signer', async () => {
+    for (const chain of ['mainnet', 'testnet']) {
+      const version = chain === 'mainnet' ? TransactionVersion.Mainnet : TransactionVersion.Testnet;
+      const cancel = await buildCancel(await original(1000n), { publicKey: PUBLIC_KEY, fee: 1251n, chain });
+      const recipient = cvToString(cancel.payload.recipient);
+
+      expect(recipient).toBe(BURN_ADDRESSES[chain]);
+      expect(recipient).not.toBe(getAddressFromPublicKey(PUBLIC_KEY, version));
+      expect(cancel.payload.amount).toBe(1n);
+    }
+  });
+
+  it('takes the original nonce at the new fee', async () => {
+    const cancel = await buildCancel(await original(1000n), { publicKey: PUBLIC_KEY, fee: 1251n, chain: 'mainnet' });
+    expect(cancel.auth.spendingCondition.nonce).toBe(7n);
+    expect(cancel.auth.spendingCondition.fee).toBe(1251n);
+  });
+
+  it('refuses a key that did not sign the original', async () => {
+    await expect(buildCancel(await original(1000n), { publicKey: OTHER_KEY, fee: 1251n, chain: 'mainnet' }))
+      .rejects.toThrow('did not sign this transaction');
+  });
+});
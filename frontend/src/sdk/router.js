@@ -0,0 +1,394 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Multi-hop Router
+ * ==============================================================================
+ *
+ * Finds and quotes swap paths across every pool in a PoolRegistry, then turns
+ * the best path into a chain of swap-x-for-y / swap-y-for-x contract calls.
+ *
+ *   const router = new Router(registry, { network: 'mainnet' });
+ *   const quote = await router.findBestRoute('ALEX', 'USDA', 100000000);
+ *   const steps = router.buildRouteCalls(quote, { slippage: 0.5, recipient, deadline });
+ *
+ * Exact-output quotes (quoteRouteForOutput) walk the path backwards from the
+ * desired amount; their calls spend a capped input instead of a quoted one.
+ *
+ * Each hop is quoted with the same constant-product math as a direct swap,
+ * using that pool's own fee. Hops are separate transactions: the wallet
+ * broadcasts them with consecutive nonces so they execute in order.
+ * ==============================================================================
+ */
+
+import { toBigInt, swapOutput, swapInput, applySlippage, addSlippage, priceImpact, percentToBps } from './amounts.js';
+import { hasFunction } from './abi.js';
+
+export const DEFAULT_MAX_HOPS = 3;
+
+// ==============================================================================
+// PATH FINDING & QUOTING
+// ==============================================================================
+
+/**
+ * Every simple path from one token to another through the given pools
+ * @param {Array} pools - Resolved registry entries
+ * @param {string} fromSymbol - Input token symbol
+ * @param {string} toSymbol - Output token symbol
+ * @param {number} [maxHops] - Longest path to consider
+ * @returns {Array<Array<{pool, xForY, tokenIn, tokenOut}>>}
+ */
+export function findRoutes(pools, fromSymbol, toSymbol, maxHops = DEFAULT_MAX_HOPS) {
+  const routes = [];
+  if (fromSymbol === toSymbol) return routes;
+
+  const walk = (symbol, hops, visitedTokens) => {
+    if (hops.length >= maxHops) return;
+
+    for (const pool of pools) {
+      if (hops.some(hop => hop.pool.id === pool.id)) continue;
+
+      let xForY;
+      if (pool.tokenX.symbol === symbol) xForY = true;
+      else if (pool.tokenY.symbol === symbol) xForY = false;
+      else continue;
+
+      // Older versions only swap one way; entries built by hand fall back to their version
+      const canSwap = pool.capabilities
+        ? pool.capabilities[xForY ? 'swapXForY' : 'swapYForX']
+        : hasFunction(pool.version, xForY ? 'swap-x-for-y' : 'swap-y-for-x');
+      if (!canSwap) continue;
+
+      const tokenIn = xForY ? pool.tokenX : pool.tokenY;
+      const tokenOut = xForY ? pool.tokenY : pool.tokenX;
+      if (visitedTokens.has(tokenOut.symbol)) continue;
+
+      const path = [...hops, { pool, xForY, tokenIn, tokenOut }];
+      if (tokenOut.symbol === toSymbol) {
+        routes.push(path);
+      } else {
+        walk(tokenOut.symbol, path, new Set([...visitedTokens, tokenOut.symbol]));
+      }
+    }
+  };
+
+  walk(fromSymbol, [], new Set([fromSymbol]));
+  return routes;
+}
+
+/**
+ * Quote a path hop by hop
+ * @param {Array} route - Path from findRoutes
+ * @param {bigint} amountIn - Input amount in base units
+ * @param {Object} reserves - Map of pool id -> { x, y } (bigint)
+ * @returns {Object|null} Quote, or null if any pool on the path is empty
+ */
+export function quoteRoute(route, amountIn, reserves) {
+  const hops = [];
+  let amount = toBigInt(amountIn);
+  // The route's spot price is the product of each hop's reserveOut / reserveIn
+  let reservesIn = 1n;
+  let reservesOut = 1n;
+
+  for (const hop of route) {
+    const poolReserves = reserves[hop.pool.id];
+    const reserveIn = hop.xForY ? poolReserves?.x : poolReserves?.y;
+    const reserveOut = hop.xForY ? poolReserves?.y : poolReserves?.x;
+    if (!reserveIn || !reserveOut) return null;
+
+    const { amountOut, fee } = swapOutput(amount, reserveIn, reserveOut, hop.pool.feeBps, hop.pool.bpsDenom);
+    if (amountOut <= 0n) return null;
+
+    reservesIn *= toBigInt(reserveIn);
+    reservesOut *= toBigInt(reserveOut);
+
+    hops.push({
+      ...hop,
+      reserveIn,
+      reserveOut,
+      amountIn: amount,
+      amountOut,
+      fee
+    });
+    amount = amountOut;
+  }
+
+  return {
+    route,
+    hops,
+    amountIn: toBigInt(amountIn),
+    amountOut: amount,
+    priceImpact: priceImpact(amountIn, amount, reservesIn, reservesOut)
+  };
+}
+
+/**
+ * Quote a path backwards from a desired output: each hop's input is the
+ * least that yields the next hop's input
+ * @param {Array} route - Path from findRoutes
+ * @param {bigint} amountOut - Desired output in base units
+ * @param {Object} reserves - Map of pool id -> { x, y } (bigint)
+ * @returns {Object|null} Quote with exactOutput set, or null if any pool on
+ *   the path is empty or cannot pay out its hop
+ */
+export function quoteRouteForOutput(route, amountOut, reserves) {
+  const hops = [];
+  let amount = toBigInt(amountOut);
+  let reservesIn = 1n;
+  let reservesOut = 1n;
+
+  for (const hop of [...route].reverse()) {
+    const poolReserves = reserves[hop.pool.id];
+    const reserveIn = hop.xForY ? poolReserves?.x : poolReserves?.y;
+    const reserveOut = hop.xForY ? poolReserves?.y : poolReserves?.x;
+    if (!reserveIn || !reserveOut) return null;
+
+    const input = swapInput(amount, reserveIn, reserveOut, hop.pool.feeBps, hop.pool.bpsDenom);
+    if (!input) return null;
+
+    reservesIn *= toBigInt(reserveIn);
+    reservesOut *= toBigInt(reserveOut);
+
+    hops.unshift({
+      ...hop,
+      reserveIn,
+      reserveOut,
+      amountIn: input.amountIn,
+      amountOut: amount,
+      fee: input.fee
+    });
+    amount = input.amountIn;
+  }
+
+  return {
+    route,
+    hops,
+    amountIn: amount,
+    amountOut: toBigInt(amountOut),
+    priceImpact: priceImpact(amount, amountOut, reservesIn, reservesOut),
+    exactOutput: true
+  };
+}
+
+/**
+ * Quote every path between two tokens against known reserves and return the
+ * one with the most output, or null if no path has liquidity
+ */
+export function selectBestRoute(pools, fromSymbol, toSymbol, amountIn, reserves, maxHops = DEFAULT_MAX_HOPS) {
+  if (!(amountIn > 0)) return null;
+
+  let best = null;
+  for (const route of findRoutes(pools, fromSymbol, toSymbol, maxHops)) {
+    const quote = quoteRoute(route, amountIn, reserves);
+    if (quote && (!best || quote.amountOut > best.amountOut)) {
+      best = quote;
+    }
+  }
+  return best;
+}
+
+/**
+ * Exact-output counterpart of selectBestRoute: the path needing the least input
+ */
+export function selectBestRouteForOutput(pools, fromSymbol, toSymbol, amountOut, reserves, maxHops = DEFAULT_MAX_HOPS) {
+  if (!(amountOut > 0)) return null;
+
+  let best = null;
+  for (const route of findRoutes(pools, fromSymbol, toSymbol, maxHops)) {
+    const quote = quoteRouteForOutput(route, amountOut, reserves);
+    if (quote && (!best || quote.amountIn < best.amountIn)) {
+      best = quote;
+    }
+  }
+  return best;
+}
+
+/**
+ * Human-readable path, e.g. "ALEX → USDA (pool-lp)"
+ */
+export function describeRoute(quote) {
+  const symbols = [quote.hops[0].tokenIn.symbol, ...quote.hops.map(hop => hop.tokenOut.symbol)];
+  const pools = quote.hops.map(hop => hop.pool.id).join(', ');
+  return `${symbols.join(' → ')} (${pools})`;
+}
+
+/**
+ * What each hop of a route quote spends and must receive under a slippage
+ * tolerance.
+ *
+ * The overall slippage is split evenly across hops. Exact input: each hop
+ * spends only the previous hop's guaranteed minimum, so a later hop can never
+ * fail for lack of input, and the last hop's minimum is raised to the overall
+ * limit whenever that hop can still meet it. Exact output: working back from
+ * the desired amount, each hop must deliver the next hop's input and spends
+ * the input that needs plus its share of the tolerance, so the first hop's
+ * input is the most the route can cost. That input never exceeds the quoted
+ * input plus the overall tolerance.
+ *
+ * @param {Object} quote - Result of quoteRoute / quoteRouteForOutput
+ * @param {number} slippage - Overall slippage tolerance in percent
+ * @returns {Array<{amountIn: bigint, expectedOut: bigint, minAmountOut: bigint}>}
+ */
+export function routeLimits(quote, slippage) {
+  const slippageBps = percentToBps(slippage);
+  const s = Number(slippageBps) / 10000;
+  const n = quote.hops.length;
+  const hopOutput = (hop, amountIn) =>
+    swapOutput(amountIn, hop.reserveIn, hop.reserveOut, hop.pool.feeBps, hop.pool.bpsDenom).amountOut;
+
+  if (quote.exactOutput) {
+    const exactOutputLimits = (hopBps) => {
+      const limits = [];
+      let minAmountOut = quote.amountOut;
+      for (const hop of [...quote.hops].reverse()) {
+        const input = swapInput(minAmountOut, hop.reserveIn, hop.reserveOut, hop.pool.feeBps, hop.pool.bpsDenom);
+        if (!input) {
+          throw new Error(`Not enough liquidity in ${hop.pool.id} for ${minAmountOut} ${hop.tokenOut.symbol}`);
+        }
+        const amountIn = addSlippage(input.amountIn, hopBps);
+        limits.unshift({ amountIn, expectedOut: hopOutput(hop, amountIn), minAmountOut });
+        minAmountOut = amountIn;
+      }
+      return limits;
+    };
+
+    // Per-hop headroom that compounds to the overall one: (1 + s)^(1/n) - 1,
+    // rounded down. Each hop needs a little more than its share because
+    // swapInput grows faster than its output and rounds up, so shrink it
+    // until the route's maximum input fits the overall limit.
+    const maxAmountIn = addSlippage(quote.amountIn, slippageBps);
+    let hopBps = BigInt(Math.floor(10000 * (Math.pow(1 + s, 1 / n) - 1)));
+    let limits = exactOutputLimits(hopBps);
+    while (hopBps > 0n && limits[0].amountIn > maxAmountIn) {
+      hopBps -= 1n;
+      limits = exactOutputLimits(hopBps);
+    }
+    return limits;
+  }
+
+  // Per-hop tolerance that compounds to the overall one: 1 - (1 - s)^(1/n),
+  // rounded down so the hops together never exceed it
+  const hopBps = BigInt(Math.floor(10000 * (1 - Math.pow(1 - s, 1 / n))));
+
+  const overallMin = applySlippage(quote.amountOut, slippageBps);
+  let amountIn = quote.amountIn;
+  return quote.hops.map((hop, index) => {
+    // Re-quote with the (possibly reduced) input this hop will actually spend
+    const expectedOut = hopOutput(hop, amountIn);
+
+    let minAmountOut = applySlippage(expectedOut, hopBps);
+    if (index === quote.hops.length - 1 && minAmountOut < overallMin) {
+      minAmountOut = overallMin < expectedOut ? overallMin : expectedOut;
+    }
+
+    const limit = { amountIn, expectedOut, minAmountOut };
+    amountIn = minAmountOut;
+    return limit;
+  });
+}
+
+// ==============================================================================
+// ROUTER
+// ==============================================================================
+
+export class Router {
+  /**
+   * @param {PoolRegistry} registry - Known pools
+   * @param {Object} [clientOptions] - Options passed to every PoolClient (network, apiUrl, fetch)
+   */
+  constructor(registry, clientOptions = {}) {
+    this.registry = registry;
+    this.clientOptions = clientOptions;
+    this.clients = new Map();
+  }
+
+  /**
+   * Client for a registered pool, rebuilt once registry.detectCapabilities
+   * has replaced the entry's profile
+   */
+  client(id) {
+    const entry = this.registry.get(id);
+    let client = this.clients.get(id);
+    if (!client || client.capabilities !== entry.capabilities) {
+      client = this.registry.createClient(id, this.clientOptions);
+      this.clients.set(id, client);
+    }
+    return client;
+  }
+
+  /**
+   * Fetch reserves for the given pools. Pools that fail to load are left out.
+   */
+  async loadReserves(poolIds) {
+    const reserves = {};
+    await Promise.all(poolIds.map(async (id) => {
+      try {
+        reserves[id] = await this.client(id).getReserves();
+      } catch (error) {
+        console.error(`Failed to fetch reserves for ${id}:`, error);
+      }
+    }));
+    return reserves;
+  }
+
+  /**
+   * Quote every path between two tokens and return the one with the most output
+   * @returns {Promise<Object|null>} Best quote, or null if no path has liquidity
+   */
+  async findBestRoute(fromSymbol, toSymbol, amountIn, { maxHops = DEFAULT_MAX_HOPS, reserves } = {}) {
+    const pools = this.registry.list();
+    const routes = findRoutes(pools, fromSymbol, toSymbol, maxHops);
+    if (routes.length === 0 || !(amountIn > 0)) return null;
+
+    const poolIds = [...new Set(routes.flat().map(hop => hop.pool.id))];
+    const poolReserves = reserves || await this.loadReserves(poolIds);
+
+    return selectBestRoute(pools, fromSymbol, toSymbol, amountIn, poolReserves, maxHops);
+  }
+
+  /**
+   * Find the path that delivers amountOut for the least input
+   * @returns {Promise<Object|null>} Best exact-output quote, or null
+   */
+  async findBestRouteForOutput(fromSymbol, toSymbol, amountOut, { maxHops = DEFAULT_MAX_HOPS, reserves } = {}) {
+    const pools = this.registry.list();
+    const routes = findRoutes(pools, fromSymbol, toSymbol, maxHops);
+    if (routes.length === 0 || !(amountOut > 0)) return null;
+
+    const poolIds = [...new Set(routes.flat().map(hop => hop.pool.id))];
+    const poolReserves = reserves || await this.loadReserves(poolIds);
+
+    return selectBestRouteForOutput(pools, fromSymbol, toSymbol, amountOut, poolReserves, maxHops);
+  }
+
+  /**
+   * Turn a route quote into one contract call per hop, with the per-hop
+   * amounts from routeLimits.
+   *
+   * @param {Object} quote - Result of findBestRoute / findBestRouteForOutput
+   * @param {Object} params
+   * @param {number} params.slippage - Overall slippage tolerance in percent
+   * @param {string} params.recipient - Address receiving every hop's output
+   * @param {number} params.deadline - Block height deadline for all hops
+   */
+  buildRouteCalls(quote, { slippage, recipient, deadline }) {
+    const limits = routeLimits(quote, slippage);
+
+    return quote.hops.map((hop, index) => {
+      const { amountIn, expectedOut, minAmountOut } = limits[index];
+      return {
+        pool: hop.pool,
+        tokenIn: hop.tokenIn,
+        tokenOut: hop.tokenOut,
+        amountIn,
+        expectedOut,
+        minAmountOut,
+        call: this.client(hop.pool.id).buildSwap({
+          xForY: hop.xForY,
+          amountIn,
+          minAmountOut,
+          recipient,
+          deadline
+        })
+      };
+    });
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import { findRoutes, quoteRoute, quoteRouteForOutput, routeLimits } from './router.js';
+import { addSlippage, applySlippage, percentToBps, swapOutput } from './amounts.js';
+
+const token = symbol => ({ symbol, decimals: 6 });
+const pool = (id, x, y) => ({ id, version: '4.0.0', tokenX: token(x), tokenY: token(y), feeBps: 30, bpsDenom: 10000 });
+
+// A -> B -> C -> D
+const POOLS = [pool('ab', 'A', 'B'), pool('bc', 'B', 'C'), pool('cd', 'C', 'D')];
+const RESERVES = {
+  ab: { x: 5000000000n, y: 8000000000n },
+  bc: { x: 3000000000n, y: 2500000000n },
+  cd: { x: 9000000000n, y: 4000000000n }
+};
+
+const route = (to) => findRoutes(POOLS, 'A', to)[0];
+
+// Output amounts from tiny to a large share of the thinnest pool
+const OUTPUTS = [1n, 999n, 123456n, 50000000n, 400000000n];
+const SLIPPAGES = [0, 0.1, 0.5, 1, 5, 10, 50];
+
+describe('routeLimits, exact output', () => {
+  describe.each([['two hops', 'C'], ['three hops', 'D']])('%s', (name, to) => {
+    it.each(SLIPPAGES)('stays within %s%% slippage of the quoted input', (slippage) => {
+      for (const amountOut of OUTPUTS) {
+        const quote = quoteRouteForOutput(route(to), amountOut, RESERVES);
+        const limits = routeLimits(quote, slippage);
+
+        expect(limits[0].amountIn).toBeLessThanOrEqual(addSlippage(quote.amountIn, percentToBps(slippage)));
+        expect(limits[0].amountIn).toBeGreaterThanOrEqual(quote.amountIn);
+      }
+    });
+
+    it('chains each hop into the next and delivers the desired output', () => {
+      const quote = quoteRouteForOutput(route(to), 50000000n, RESERVES);
+      const limits = routeLimits(quote, 1);
+
+      limits.forEach((limit, index) => {
+        const hop = quote.hops[index];
+        expect(swapOutput(limit.amountIn, hop.reserveIn, hop.reserveOut).amountOut).toBeGreaterThanOrEqual(limit.minAmountOut);
+        if (index > 0) expect(limit.amountIn).toBe(limits[index - 1].minAmountOut);
+      });
+      expect(limits[limits.length - 1].minAmountOut).toBe(50000000n);
+    });
+  });
+
+  it('keeps most of the headroom rather than dropping to none', () => {
+    const quote = quoteRouteForOutput(route('C'), 123456n, RESERVES);
+    const limits = routeLimits(quote, 50);
+    // (1.5)^(1/2) per hop is about 22%; the route can cost well over 40% more
+    expect(limits[0].amountIn).toBeGreaterThan(addSlippage(quote.amountIn, 4000n));
+  });
+});
+
+describe('routeLimits, exact input', () => {
+  it.each(SLIPPAGES)('guarantees at least the overall minimum at %s%% slippage', (slippage) => {
+    const quote = quoteRoute(route('D'), 50000000n, RESERVES);
+    const limits = routeLimits(quote, slippage);
+
+    expect(limits[0].amountIn).toBe(50000000n);
+    expect(limits[limits.length - 1].minAmountOut).toBeGreaterThanOrEqual(applySlippage(quote.amountOut, percentToBps(slippage)));
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Test Helpers
+ * ==============================================================================
+ *
+ * pool-lp.clar transcribed into BigInt math for property tests, and a seeded
+ * generator of amounts. Used by the *.test.js files only.
+ * ==============================================================================
+ */
+
+import { it } from 'vitest';
+
+// ==============================================================================
+// pool-lp.clar, transcribed: uint math, every `/` floors, asserts become errors
+// ==============================================================================
+
+export const FEE_BPS = 30n;
+export const BPS_DENOM = 10000n;
+export const MINIMUM_LIQUIDITY = 1000n;
+const UINT_MAX = (1n << 128n) - 1n;
+
+export const ok = value => ({ ok: true, value });
+export const err = code => ({ ok: false, code });
+
+// Clarity aborts the call on overflow
+function mul(a, b) {
+  const product = a * b;
+  if (product > UINT_MAX) throw new Error('uint overflow');
+  return product;
+}
+
+export const clarity = {
+  'sqrt-int'(n) {
+    if (n <= 1n) return n;
+    if (n <= 3n) return 1n;
+    const x0 = n / 2n;
+    const x1 = (x0 + n / x0) / 2n;
+    const x2 = (x1 + n / x1) / 2n;
+    const x3 = (x2 + n / x2) / 2n;
+    const x4 = (x3 + n / x3) / 2n;
+    const x5 = (x4 + n / x4) / 2n;
+    const x6 = (x5 + n / x5) / 2n;
+    const x7 = (x6 + n / x6) / 2n;
+    return mul(x7, x7) <= n ? x7 : x7 - 1n;
+  },
+
+  'swap-x-for-y'(dx, rx, ry) {
+    if (!(dx > 0n)) return err(100);
+    if (!(rx > 0n && ry > 0n)) return err(101);
+    const fee = mul(dx, FEE_BPS) / BPS_DENOM;
+    const dxToPool = dx - fee;
+    const dy = mul(ry, dxToPool) / (rx + dxToPool);
+    if (!(dy < ry)) return err(104);
+    return ok({ dy, fee, dxToPool });
+  },
+
+  'initialize-pool'(amountX, amountY) {
+    if (!(amountX > 0n && amountY > 0n)) return err(100);
+    const shares = clarity['sqrt-int'](mul(amountX, amountY));
+    if (!(shares > MINIMUM_LIQUIDITY)) return err(204);
+    return ok({ shares, x: amountX, y: amountY });
+  },
+
+  'add-liquidity'(amountX, amountY, rx, ry, supply) {
+    if (!(supply > 0n)) return err(201);
+    if (!(amountX > 0n && amountY > 0n)) return err(100);
+    const sharesFromX = mul(amountX, supply) / rx;
+    const sharesFromY = mul(amountY, supply) / ry;
+    const shares = sharesFromX < sharesFromY ? sharesFromX : sharesFromY;
+    const actualX = mul(shares, rx) / supply;
+    const actualY = mul(shares, ry) / supply;
+    if (!(shares > 0n)) return err(203);
+    return ok({ shares, x: actualX, y: actualY });
+  },
+
+  'remove-liquidity'(shares, rx, ry, supply) {
+    if (!(supply > 0n)) return err(201);
+    if (!(shares > 0n)) return err(100);
+    return ok({ x: mul(shares, rx) / supply, y: mul(shares, ry) / supply });
+  }
+};
+
+// ==============================================================================
+// RANDOM INPUTS
+// ==============================================================================
+
+const RUNS = 500;
+
+// mulberry32: seeded, so a failure reproduces
+export function generator(seed) {
+  let a = seed;
+  const next = () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Log-uniform in [min, 2^maxBits): small and large amounts alike
+  const amount = (maxBits = 60, min = 1n) => {
+    const bits = 1 + Math.floor(next() * maxBits);
+    let value = 0n;
+    for (let i = 0; i < bits; i += 30) {
+      value = (value << 30n) | BigInt(Math.floor(next() * 2 ** 30));
+    }
+    value &= (1n << BigInt(bits)) - 1n;
+    return value < min ? min : value;
+  };
+
+  return { next, amount };
+}
+
+export function property(name, seed, check) {
+  it(name, () => {
+    const random = generator(seed);
+    for (let run = 0; run < RUNS; run++) check(random, run);
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Transaction Tracker
+ * ==============================================================================
+ *
+ * Follows submitted transactions until they reach a final state by polling
+ * the Stacks API transaction endpoint.
+ *
+ *   const tracker = new TxTracker({ apiUrl, network: 'mainnet', storage: localStorage, onUpdate });
+ *   tracker.resume();                          // pick up txs pending before a reload
+ *   tracker.track(txId, { label: 'Swap 1 ALEX → USDA' });
+ *
+ * onUpdate(tx) fires whenever a tracked tx changes status. Records look like
+ *   { txId, label, network, status, errorCode, result, blockHeight,
+ *     sender, nonce, fee, submittedAt, updatedAt }
+ * where status is 'pending', 'success', 'abort_by_response',
+ * 'abort_by_post_condition' or 'dropped', errorCode is the uint from an
+ * (err uNNN) result, and sender, nonce and fee (micro-STX, a string) are
+ * filled in once the API has seen the tx. A speed-up or cancel (replace.js)
+ * links the two records through replacedBy and replaces.
+ * ==============================================================================
+ */
+
+import { decodeClarityValue } from './clarity.js';
+
+export const TX_FINAL_STATUSES = ['success', 'abort_by_response', 'abort_by_post_condition', 'dropped'];
+
+export const DEFAULT_POLL_INTERVAL = 10000;
+
+// Finished transactions kept for display after the pending ones
+const MAX_FINISHED = 10;
+
+/**
+ * Fetch and normalise the status of one transaction. A tx the API has not
+ * indexed yet (404 right after broadcast) is reported as pending.
+ * @param {string} apiUrl - Stacks API base URL
+ * @param {string} txId - Transaction id
+ * @param {Function} [fetchFn] - fetch implementation
+ * @returns {Promise<{status, errorCode, result, blockHeight, sender, nonce, fee}>}
+ */
+export async function fetchTxStatus(apiUrl, txId, fetchFn = globalThis.fetch) {
+  const id = txId.startsWith('0x') ? txId : `0x${txId}`;
+  const response = await fetchFn(`${apiUrl}/extended/v1/tx/${id}`);
+
+  if (response.status === 404) {
+    return { status: 'pending', errorCode: null, result: null, blockHeight: null, sender: null, nonce: null, fee: null };
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch tx ${txId}: HTTP ${response.status}`);
+  }
+
+  const tx = await response.json();
+  // dropped_replace_by_fee, dropped_stale_garbage_collect, ...
+  const status = tx.tx_status?.startsWith('dropped') ? 'dropped' : (tx.tx_status || 'pending');
+
+  return {
+    status,
+    errorCode: status === 'abort_by_response' ? decodeErrorCode(tx.tx_result?.hex) : null,
+    result: tx.tx_result?.repr ?? null,
+    blockHeight: tx.block_height ?? null,
+    sender: tx.sender_address ?? null,
+    nonce: tx.nonce ?? null,
+    fee: tx.fee_rate ?? null
+  };
+}
+
+/**
+ * The uint inside an (err uNNN) result, or null for any other shape
+ */
+export function decodeErrorCode(resultHex) {
+  if (!resultHex) return null;
+  try {
+    const value = decodeClarityValue(resultHex);
+    if (value.type === 'response' && !value.ok &&
+        (value.value.type === 'uint' || value.value.type === 'int')) {
+      return Number(value.value.value);
+    }
+  } catch (e) {
+    console.error('Failed to decode tx result:', e);
+  }
+  return null;
+}
+
+export function isFinalStatus(status) {
+  return TX_FINAL_STATUSES.includes(status);
+}
+
+// ==============================================================================
+// TRACKER
+// ==============================================================================
+
+export class TxTracker {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Stacks API base URL
+   * @param {string} [options.network] - Network id; persisted records are kept per network
+   * @param {Object} [options.storage] - localStorage-like store for surviving reloads
+   * @param {string} [options.storageKey] - Storage key prefix
+   * @param {number} [options.pollInterval] - Milliseconds between polls
+   * @param {Function} [options.onUpdate] - Called with a tx record when its status changes
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor({
+    apiUrl,
+    network = 'mainnet',
+    storage = null,
+    storageKey = 'stacks-dex:txs',
+    pollInterval = DEFAULT_POLL_INTERVAL,
+    onUpdate = () => {},
+    fetch: fetchFn
+  }) {
+    this.apiUrl = apiUrl;
+    this.network = network;
+    this.storage = storage;
+    this.storageKey = `${storageKey}:${network}`;
+    this.pollInterval = pollInterval;
+    this.onUpdate = onUpdate;
+    this.fetch = fetchFn || ((...args) => globalThis.fetch(...args));
+    this.txs = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Start following a transaction
+   * @param {string} txId - Transaction id
+   * @param {Object} [meta] - Extra fields stored on the record (label, poolId, ...)
+   */
+  track(txId, meta = {}) {
+    const now = Date.now();
+    const tx = {
+      ...meta,
+      txId,
+      network: this.network,
+      status: 'pending',
+      errorCode: null,
+      result: null,
+      blockHeight: null,
+      sender: null,
+      nonce: null,
+      fee: null,
+      submittedAt: now,
+      updatedAt: now
+    };
+
+    this.txs.set(txId, tx);
+    this.save();
+    this.onUpdate(tx);
+    this.schedule();
+    return tx;
+  }
+
+  /**
+   * Reload records saved before a page reload and resume polling the pending ones
+   */
+  resume() {
+    for (const tx of this.load()) {
+      this.txs.set(tx.txId, tx);
+    }
+    if (this.pending().length > 0) this.schedule(0);
+    return this.list();
+  }
+
+  /**
+   * All records, newest first
+   */
+  list() {
+    return [...this.txs.values()].sort((a, b) => b.submittedAt - a.submittedAt);
+  }
+
+  pending() {
+    return this.list().filter(tx => !isFinalStatus(tx.status));
+  }
+
+  get(txId) {
+    return this.txs.get(txId) || null;
+  }
+
+  /**
+   * Merge extra fields into a record (e.g. a decoded error message) and persist
+   */
+  update(txId, fields) {
+    const tx = this.txs.get(txId);
+    if (!tx) return null;
+
+    const next = { ...tx, ...fields, updatedAt: Date.now() };
+    this.txs.set(txId, next);
+    this.save();
+    return next;
+  }
+
+  /**
+   * Follow a speed-up or cancel of a pending tx. The original keeps being
+   * polled and ends 'dropped' once the replacement is mined.
+   * @param {string} txId - Transaction replaced
+   * @param {string} replacementTxId - Transaction replacing it
+   * @param {Object} [meta] - Fields for the replacement's record
+   */
+  replace(txId, replacementTxId, meta = {}) {
+    this.update(txId, { replacedBy: replacementTxId });
+    return this.track(replacementTxId, { ...meta, replaces: txId });
+  }
+
+  remove(txId) {
+    this.txs.delete(txId);
+    this.save();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Poll every pending transaction once
+   */
+  async poll() {
+    await Promise.all(this.pending().map(async (tx) => {
+      try {
+        const update = await fetchTxStatus(this.apiUrl, tx.txId, this.fetch);
+        // A pending tx's nonce is news too: it is what a replacement needs
+        if (update.status === tx.status && (update.nonce === null || update.nonce === tx.nonce)) return;
+
+        const next = { ...tx, ...update, updatedAt: Date.now() };
+        this.txs.set(tx.txId, next);
+        this.onUpdate(next);
+      } catch (error) {
+        console.error(`Failed to poll tx ${tx.txId}:`, error);
+      }
+    }));
+
+    this.save();
+  }
+
+  schedule(delay = this.pollInterval) {
+    if (this.timer) return;
+
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll();
+      if (this.pending().length > 0) this.schedule();
+    }, delay);
+  }
+
+  load() {
+    if (!this.storage) return [];
+    try {
+      return JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+    } catch (e) {
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storage) return;
+
+    // Keep every pending tx and only the most recent finished ones
+    const finished = this.list().filter(tx => isFinalStatus(tx.status)).slice(0, MAX_FINISHED);
+    const keep = [...this.pending(), ...finished];
+    this.txs = new Map(keep.map(tx => [tx.txId, tx]));
+
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(keep));
+    } catch (e) {
+      // Storage full or unavailable - tracking continues in memory
+    }
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Chain Watcher
+ * ==============================================================================
+ *
+ * Tells a page when reserves and balances may have changed, so it can
+ * re-read them instead of waiting for a manual refresh.
+ *
+ *   const watcher = new ChainWatcher({ apiUrl, onBlock, onAddressTx, onModeChange });
+ *   watcher.watch(pool.contractId);   // pool contract calls
+ *   watcher.watch(userAddress);       // the connected wallet
+ *   watcher.start();
+ *
+ * The watcher subscribes to the Stacks API websocket (/extended/v1/ws,
+ * JSON-RPC 2.0) for new blocks and for transactions involving the watched
+ * addresses. Until the socket opens, and whenever it drops, it polls
+ * /v2/info for the chain tip instead and retries the socket in the
+ * background.
+ *
+ * onBlock({ height }) fires once per new tip in either mode.
+ * onAddressTx({ address, txId, status }) only arrives over the socket, for
+ * mempool and anchored updates alike; while polling, a page should treat
+ * every new block as a possible change. onModeChange(mode) reports
+ * 'socket', 'polling' or 'stopped'.
+ * ==============================================================================
+ */
+
+export const DEFAULT_WATCH_INTERVAL = 10000;
+
+// Delay before a dropped or refused socket is tried again
+export const SOCKET_RETRY_INTERVAL = 30000;
+
+/**
+ * Websocket endpoint of a Stacks API
+ * @param {string} apiUrl - Stacks API base URL (http or https)
+ */
+export function websocketUrl(apiUrl) {
+  return `${apiUrl.replace(/\/+$/, '').replace(/^http/, 'ws')}/extended/v1/ws`;
+}
+
+export class ChainWatcher {
+  /**
+   * @param {Object} options
+   * @param {string} options.apiUrl - Stacks API base URL
+   * @param {number} [options.pollInterval] - Milliseconds between tip polls
+   * @param {number} [options.retryInterval] - Milliseconds before retrying the socket
+   * @param {Function} [options.onBlock] - Called with { height } for each new tip
+   * @param {Function} [options.onAddressTx] - Called with { address, txId, status }
+   * @param {Function} [options.onModeChange] - Called with the new mode
+   * @param {Function} [options.WebSocket] - WebSocket implementation; polls only without one
+   * @param {Function} [options.fetch] - fetch implementation
+   */
+  constructor({
+    apiUrl,
+    pollInterval = DEFAULT_WATCH_INTERVAL,
+    retryInterval = SOCKET_RETRY_INTERVAL,
+    onBlock = () => {},
+    onAddressTx = () => {},
+    onModeChange = () => {},
+    WebSocket: Socket = globalThis.WebSocket,
+    fetch: fetchFn
+  }) {
+    this.apiUrl = apiUrl;
+    this.pollInterval = pollInterval;
+    this.retryInterval = retryInterval;
+    this.onBlock = onBlock;
+    this.onAddressTx = onAddressTx;
+    this.onModeChange = onModeChange;
+    this.Socket = Socket;
+    this.fetch = fetchFn || ((...args) => globalThis.fetch(...args));
+    this.addresses = new Set();
+    this.mode = 'stopped';
+    this.height = null;
+    this.socket = null;
+    this.pollTimer = null;
+    this.retryTimer = null;
+    this.requestId = 0;
+  }
+
+  /**
+   * Report transactions involving an address (contract or standard principal)
+   */
+  watch(address) {
+    if (!address || this.addresses.has(address)) return;
+    this.addresses.add(address);
+    if (this.mode === 'socket') this.subscribeAddress(address);
+  }
+
+  unwatch(address) {
+    if (!this.addresses.delete(address)) return;
+    if (this.mode === 'socket') {
+      this.send('unsubscribe', { event: 'address_tx_update', address });
+    }
+  }
+
+  start() {
+    if (this.mode !== 'stopped') return;
+    this.setMode('polling');
+    this.schedulePoll(0);
+    this.connect();
+  }
+
+  stop() {
+    this.setMode('stopped');
+    clearTimeout(this.pollTimer);
+    clearTimeout(this.retryTimer);
+    this.pollTimer = null;
+    this.retryTimer = null;
+
+    const socket = this.socket;
+    this.socket = null;
+    if (socket) socket.close();
+  }
+
+  connect() {
+    if (!this.Socket) return;
+
+    let socket;
+    try {
+      socket = new this.Socket(websocketUrl(this.apiUrl));
+    } catch (error) {
+      console.error('Failed to open chain websocket:', error);
+      this.scheduleRetry();
+      return;
+    }
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+      this.setMode('socket');
+      this.send('subscribe', { event: 'block' });
+      for (const address of this.addresses) this.subscribeAddress(address);
+    };
+    socket.onmessage = (event) => {
+      if (this.socket === socket) this.handleMessage(event.data);
+    };
+    // An error is always followed by close, which handles the fallback
+    socket.onclose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.setMode('polling');
+      this.schedulePoll(0);
+      this.scheduleRetry();
+    };
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      return;
+    }
+
+    if (message.error) {
+      console.error('Chain websocket error:', message.error);
+      return;
+    }
+
+    const params = message.params || {};
+    if (message.method === 'block') {
+      this.reportBlock(params.height);
+    } else if (message.method === 'address_tx_update') {
+      this.onAddressTx({ address: params.address, txId: params.tx_id, status: params.tx_status });
+    }
+  }
+
+  /**
+   * Read the chain tip once
+   */
+  async poll() {
+    try {
+      const response = await this.fetch(`${this.apiUrl}/v2/info`);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      const info = await response.json();
+      this.reportBlock(info.stacks_tip_height);
+    } catch (error) {
+      console.error('Failed to poll chain tip:', error);
+    }
+  }
+
+  schedulePoll(delay = this.pollInterval) {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setTimeout(async () => {
+      this.pollTimer = null;
+      await this.poll();
+      if (this.mode === 'polling') this.schedulePoll();
+    }, delay);
+  }
+
+  scheduleRetry() {
+    if (this.retryTimer || !this.Socket) return;
+
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      if (this.mode === 'polling' && !this.socket) this.connect();
+    }, this.retryInterval);
+  }
+
+  reportBlock(height) {
+    if (typeof height !== 'number' || (this.height !== null && height <= this.height)) return;
+    this.height = height;
+    this.onBlock({ height });
+  }
+
+  subscribeAddress(address) {
+    this.send('subscribe', { event: 'address_tx_update', address });
+  }
+
+  send(method, params) {
+    try {
+      this.socket.send(JSON.stringify({ jsonrpc: '2.0', id: ++this.requestId, method, params }));
+    } catch (error) {
+      console.error(`Failed to send ${method} over chain websocket:`, error);
+    }
+  }
+
+  setMode(mode) {
+    if (mode === this.mode) return;
+    this.mode = mode;
+    this.onModeChange(mode);
+  }
+}
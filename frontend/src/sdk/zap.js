@@ -0,0 +1,200 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Zaps
+ * ==============================================================================
+ *
+ * Single-token liquidity: a zap in swaps part of one token for the other
+ * and deposits both, a zap out withdraws both and swaps the unwanted one.
+ * The pool contracts know nothing about zaps, so each is two contract calls
+ * signed back to back.
+ *
+ *   const quote = pool.quoteZapIn(amountIn, reserves, totalSupply, { xIn: true, slippageBps: 50n });
+ *   const [swap, deposit] = pool.buildZapIn(quote, { sender, deadline });
+ *
+ *   const out = pool.quoteZapOut(shares, reserves, totalSupply, { xOut: true, slippageBps: 50n, redeemable });
+ *   const [withdraw, swapBack] = pool.buildZapOut(out, { sender, deadline });
+ *
+ * The second call only spends what the first is guaranteed to leave the
+ * sender: a zap in deposits the swap's minimum output, a zap out swaps the
+ * withdrawal's minimum. add-liquidity takes the proportional amounts and
+ * refunds nothing; the zap-in swap portion is searched over the exact
+ * integer math, fee and slippage included, for the most shares.
+ * ==============================================================================
+ */
+
+import {
+  DEFAULT_FEE_BPS,
+  DEFAULT_BPS_DENOM,
+  toBigInt,
+  swapOutput,
+  applySlippage,
+  priceImpact,
+  depositAmounts,
+  withdrawAmounts
+} from './amounts.js';
+
+/**
+ * Plan a zap in
+ * @param {Object} params
+ * @param {bigint} params.amountIn - Amount of the one token deposited
+ * @param {boolean} params.xIn - True when the token is X
+ * @param {{x: bigint, y: bigint}} params.reserves - Pool reserves now
+ * @param {bigint} params.totalSupply - LP shares outstanding
+ * @param {bigint|number} params.slippageBps - Tolerance on the swap and the shares
+ * @param {number} [params.feeBps]
+ * @param {number} [params.bpsDenom]
+ * @returns {Object|null} {
+ *     xIn, amountIn,
+ *     swapAmount, swapOut, minSwapOut, fee, priceImpact,
+ *     deposit: { x, y },             // amounts passed to add-liquidity
+ *     expected: { shares, x, y },    // what add-liquidity takes at the quoted price
+ *     minShares,
+ *     dust: { x, y }                 // left in the wallet at the quoted price
+ *   }, or null when the pool is empty or the amount too small to split
+ */
+export function zapInQuote({
+  amountIn,
+  xIn,
+  reserves,
+  totalSupply,
+  slippageBps,
+  feeBps = DEFAULT_FEE_BPS,
+  bpsDenom = DEFAULT_BPS_DENOM
+}) {
+  const total = toBigInt(amountIn);
+  const supply = toBigInt(totalSupply);
+  const rx = toBigInt(reserves.x);
+  const ry = toBigInt(reserves.y);
+  if (total < 2n || supply === 0n || rx === 0n || ry === 0n) return null;
+
+  const [reserveIn, reserveOut] = xIn ? [rx, ry] : [ry, rx];
+
+  // Deposit that follows swapping `swapAmount` of the input
+  const plan = (swapAmount) => {
+    const swap = swapOutput(swapAmount, reserveIn, reserveOut, feeBps, bpsDenom);
+    const minSwapOut = applySlippage(swap.amountOut, slippageBps);
+    const afterIn = reserveIn + swap.amountToPool;
+    const afterOut = reserveOut - swap.amountOut;
+    const keep = total - swapAmount;
+    const [depositX, depositY, afterX, afterY] = xIn
+      ? [keep, minSwapOut, afterIn, afterOut]
+      : [minSwapOut, keep, afterOut, afterIn];
+    return {
+      swap,
+      minSwapOut,
+      // Shares each side alone would mint; the deposit mints the smaller
+      fromIn: keep * supply / afterIn,
+      fromOut: minSwapOut * supply / afterOut,
+      deposit: { x: depositX, y: depositY },
+      expected: depositAmounts(depositX, depositY, afterX, afterY, supply)
+    };
+  };
+
+  // Swapping more lowers the input side's shares and raises the output
+  // side's; the best split is where they cross
+  let low = 1n;
+  let high = total - 1n;
+  while (low < high) {
+    const mid = (low + high) / 2n;
+    const { fromIn, fromOut } = plan(mid);
+    if (fromOut >= fromIn) high = mid; else low = mid + 1n;
+  }
+  let swapAmount = low;
+  let best = plan(low);
+  if (low > 1n) {
+    const before = plan(low - 1n);
+    if (before.expected.shares >= best.expected.shares) {
+      swapAmount = low - 1n;
+      best = before;
+    }
+  }
+  // Zero-amount token transfers fail, so both sides must be deposited
+  if (best.expected.shares === 0n || best.expected.x === 0n || best.expected.y === 0n) return null;
+
+  const { swap, minSwapOut, deposit, expected } = best;
+  const minShares = applySlippage(expected.shares, slippageBps);
+  const held = xIn
+    ? { x: total - swapAmount, y: swap.amountOut }
+    : { x: swap.amountOut, y: total - swapAmount };
+
+  return {
+    xIn,
+    amountIn: total,
+    swapAmount,
+    swapOut: swap.amountOut,
+    minSwapOut,
+    fee: swap.fee,
+    priceImpact: priceImpact(swapAmount, swap.amountOut, reserveIn, reserveOut),
+    deposit,
+    expected,
+    minShares: minShares > 0n ? minShares : 1n,
+    dust: { x: held.x - expected.x, y: held.y - expected.y }
+  };
+}
+
+/**
+ * Plan a zap out
+ * @param {Object} params
+ * @param {bigint} params.shares - LP shares to burn
+ * @param {boolean} params.xOut - True to exit into X
+ * @param {{x: bigint, y: bigint}} params.reserves - Pool reserves now
+ * @param {bigint} params.totalSupply - LP shares outstanding
+ * @param {bigint|number} params.slippageBps - Tolerance on the withdrawal and the swap
+ * @param {{x: bigint, y: bigint}} [params.redeemable] - quote-remove-liquidity for
+ *   the shares; computed from the reserves when omitted
+ * @param {number} [params.feeBps]
+ * @param {number} [params.bpsDenom]
+ * @returns {Object|null} {
+ *     xOut, shares,
+ *     removed: { x, y }, minX, minY,       // remove-liquidity and its minimums
+ *     swapAmount, swapOut, minSwapOut, fee, priceImpact,
+ *     amountOut, minAmountOut,             // total of the wanted token
+ *     dust: { x, y }                       // unwanted token left unswapped
+ *   }, or null when nothing would be withdrawn
+ */
+export function zapOutQuote({
+  shares,
+  xOut,
+  reserves,
+  totalSupply,
+  slippageBps,
+  redeemable,
+  feeBps = DEFAULT_FEE_BPS,
+  bpsDenom = DEFAULT_BPS_DENOM
+}) {
+  const burned = toBigInt(shares);
+  const rx = toBigInt(reserves.x);
+  const ry = toBigInt(reserves.y);
+  const removed = redeemable
+    ? { x: toBigInt(redeemable.x), y: toBigInt(redeemable.y) }
+    : withdrawAmounts(burned, rx, ry, totalSupply);
+  if (burned === 0n || removed.x === 0n || removed.y === 0n) return null;
+
+  const floor = amount => (amount > 0n ? amount : 1n);
+  const minX = floor(applySlippage(removed.x, slippageBps));
+  const minY = floor(applySlippage(removed.y, slippageBps));
+
+  // The swap runs against the reserves the withdrawal leaves
+  const [reserveIn, reserveOut, swapAmount, wanted, minWanted] = xOut
+    ? [ry - removed.y, rx - removed.x, minY, removed.x, minX]
+    : [rx - removed.x, ry - removed.y, minX, removed.y, minY];
+  const swap = swapOutput(swapAmount, reserveIn, reserveOut, feeBps, bpsDenom);
+  const minSwapOut = applySlippage(swap.amountOut, slippageBps);
+  const unswapped = (xOut ? removed.y : removed.x) - swapAmount;
+
+  return {
+    xOut,
+    shares: burned,
+    removed,
+    minX,
+    minY,
+    swapAmount,
+    swapOut: swap.amountOut,
+    minSwapOut,
+    fee: swap.fee,
+    priceImpact: priceImpact(swapAmount, swap.amountOut, reserveIn, reserveOut),
+    amountOut: wanted + swap.amountOut,
+    minAmountOut: minWanted + minSwapOut,
+    dust: xOut ? { x: 0n, y: unswapped } : { x: unswapped, y: 0n }
+  };
+}
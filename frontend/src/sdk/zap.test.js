@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest';
+import { zapInQuote, zapOutQuote } from './zap.js';
+import { applySlippage, depositAmounts } from './amounts.js';
+import { clarity, property } from './test/pool-lp.js';
+
+const SLIPPAGES = [0n, 10n, 50n, 100n, 500n];
+
+// Both directions through swap-x-for-y: a Y-in swap is the same math with the reserves flipped
+const contractSwap = (xIn, dx, rx, ry) => (xIn ? clarity['swap-x-for-y'](dx, rx, ry) : clarity['swap-x-for-y'](dx, ry, rx));
+
+describe('zapInQuote', () => {
+  property('deposits at the reserves the swap leaves', 10, ({ amount, next }) => {
+    const reserves = { x: amount(60, 1000n), y: amount(60, 1000n) };
+    const totalSupply = amount(60, 1000n);
+    const amountIn = amount(60, 100n);
+    const xIn = next() < 0.5;
+    const slippageBps = SLIPPAGES[Math.floor(next() * SLIPPAGES.length)];
+
+    const quote = zapInQuote({ amountIn, xIn, reserves, totalSupply, slippageBps });
+    if (!quote) return;
+
+    const swap = contractSwap(xIn, quote.swapAmount, reserves.x, reserves.y);
+    expect(swap.ok).toBe(true);
+    const { dy, dxToPool } = swap.value;
+    const after = xIn
+      ? { x: reserves.x + dxToPool, y: reserves.y - dy }
+      : { x: reserves.x - dy, y: reserves.y + dxToPool };
+
+    expect(quote.swapOut).toBe(dy);
+    expect(quote.minSwapOut).toBe(applySlippage(dy, slippageBps));
+    expect(quote.deposit).toEqual(xIn
+      ? { x: amountIn - quote.swapAmount, y: quote.minSwapOut }
+      : { x: quote.minSwapOut, y: amountIn - quote.swapAmount });
+
+    const expected = depositAmounts(quote.deposit.x, quote.deposit.y, after.x, after.y, totalSupply);
+    expect(quote.expected).toEqual(expected);
+    expect(clarity['add-liquidity'](quote.deposit.x, quote.deposit.y, after.x, after.y, totalSupply))
+      .toEqual({ ok: true, value: expected });
+
+    const minShares = applySlippage(expected.shares, slippageBps);
+    expect(quote.minShares).toBe(minShares > 0n ? minShares : 1n);
+    expect(quote.minShares <= expected.shares).toBe(true);
+
+    // add-liquidity transfers both tokens, and a zero-amount transfer fails
+    expect(quote.expected.x > 0n).toBe(true);
+    expect(quote.expected.y > 0n).toBe(true);
+  });
+
+  it('has nothing to quote for an empty pool or an unsplittable amount', () => {
+    const reserves = { x: 5000000000n, y: 8000000000n };
+    expect(zapInQuote({ amountIn: 1000000n, xIn: true, reserves, totalSupply: 0n, slippageBps: 50n })).toBeNull();
+    expect(zapInQuote({ amountIn: 1000000n, xIn: true, reserves: { x: 0n, y: 0n }, totalSupply: 1000n, slippageBps: 50n })).toBeNull();
+    expect(zapInQuote({ amountIn: 1n, xIn: true, reserves, totalSupply: 6000000000n, slippageBps: 50n })).toBeNull();
+  });
+});
+
+describe('zapOutQuote', () => {
+  property('swaps the withdrawal minimum at the reserves the withdrawal leaves', 11, ({ amount, next }) => {
+    const reserves = { x: amount(60, 1000n), y: amount(60, 1000n) };
+    const totalSupply = amount(60, 1000n);
+    const shares = 1n + amount() % totalSupply;
+    const xOut = next() < 0.5;
+    const slippageBps = SLIPPAGES[Math.floor(next() * SLIPPAGES.length)];
+
+    const quote = zapOutQuote({ shares, xOut, reserves, totalSupply, slippageBps });
+    const removed = clarity['remove-liquidity'](shares, reserves.x, reserves.y, totalSupply).value;
+    if (removed.x === 0n || removed.y === 0n) {
+      expect(quote).toBeNull();
+      return;
+    }
+
+    const floor = value => (value > 0n ? value : 1n);
+    expect(quote.removed).toEqual(removed);
+    expect(quote.minX).toBe(floor(applySlippage(removed.x, slippageBps)));
+    expect(quote.minY).toBe(floor(applySlippage(removed.y, slippageBps)));
+
+    // Only the unwanted token's guaranteed amount is swapped back
+    const after = { x: reserves.x - removed.x, y: reserves.y - removed.y };
+    expect(quote.swapAmount).toBe(xOut ? quote.minY : quote.minX);
+    const swap = contractSwap(!xOut, quote.swapAmount, after.x, after.y);
+    expect(swap.ok).toBe(true);
+    expect(quote.swapOut).toBe(swap.value.dy);
+    expect(quote.fee).toBe(swap.value.fee);
+    expect(quote.minSwapOut).toBe(applySlippage(swap.value.dy, slippageBps));
+
+    expect(quote.amountOut).toBe((xOut ? removed.x : removed.y) + swap.value.dy);
+    expect(quote.minAmountOut).toBe((xOut ? quote.minX : quote.minY) + quote.minSwapOut);
+    expect(quote.dust).toEqual(xOut
+      ? { x: 0n, y: removed.y - quote.swapAmount }
+      : { x: removed.x - quote.swapAmount, y: 0n });
+  });
+
+  it('uses the redeemable amounts when given', () => {
+    const reserves = { x: 5000000000n, y: 8000000000n };
+    const redeemable = { x: 4000000n, y: 7000000n };
+    const quote = zapOutQuote({ shares: 5000000n, xOut: true, reserves, totalSupply: 6000000000n, slippageBps: 0n, redeemable });
+    expect(quote.removed).toEqual(redeemable);
+    expect(quote.swapAmount).toBe(7000000n);
+  });
+
+  it('has nothing to quote when no shares or nothing would be withdrawn', () => {
+    const reserves = { x: 5000000000n, y: 8000000000n };
+    expect(zapOutQuote({ shares: 0n, xOut: true, reserves, totalSupply: 6000000000n, slippageBps: 50n })).toBeNull();
+    expect(zapOutQuote({ shares: 1n, xOut: true, reserves, totalSupply: 6000000000000n, slippageBps: 50n })).toBeNull();
+  });
+});
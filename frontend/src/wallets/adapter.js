@@ -0,0 +1,210 @@
+/**
+ * ==============================================================================
+ * STACKS DEX - Wallet Adapter Interface
+ * ==============================================================================
+ *
+ * Every wallet the pages can use implements the same surface, so swap and
+ * liquidity code never branches on the wallet type:
+ *
+ *   const address = await wallet.connect();
+ *   const txId = await wallet.callContract(pool.buildSwap({ ... }));
+ *   wallet.on('disconnect', handleDisconnect);
+ *
+ * Adapters only sign and transport. Calls arrive fully built by PoolClient
+ * (ABI-encoded arguments, Deny-mode post-conditions) and are sent as-is.
+ *
+ * Events: 'disconnect', and adapter specific ones such as WalletConnect's
+ * 'display_uri' (uri). Leather and Xverse do not report account switches, so
+ * there is no account-change event; switching accounts means reconnecting.
+ * ==============================================================================
+ */
+
+import { cvToHex, deserializeTransaction, broadcastTransaction } from '@stacks/transactions';
+import { isNetworkAddress, serializePostConditions } from '../sdk/index.js';
+
+export class WalletAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.network - Active network preset (src/sdk/networks.js)
+   * @param {Object} [options.stacksNetwork] - @stacks/network instance used to broadcast
+   */
+  constructor({ network, stacksNetwork } = {}) {
+    this.network = network;
+    this.stacksNetwork = stacksNetwork;
+    this.address = null;
+    // address -> public key, for wallets that report them with their addresses
+    this.publicKeys = new Map();
+    this.listeners = new Map();
+  }
+
+  /** Stable id used by the wallet picker, e.g. 'leather' */
+  get id() { return 'unknown'; }
+  get name() { return 'Wallet'; }
+  get icon() { return '👛'; }
+  /** Short tag shown next to the name in the wallet picker */
+  get badge() { return 'Detected'; }
+  /** Watch-only adapters can show balances but never sign */
+  get readOnly() { return false; }
+  /** Multisig wallets queue calls for co-signers instead of broadcasting */
+  get multisig() { return false; }
+  /**
+   * Public key of the connected address, or null when the wallet did not
+   * report it. Needed to build transactions in the app (sdk/replace.js).
+   */
+  get publicKey() { return this.publicKeys.get(this.address) || null; }
+
+  /**
+   * Whether the wallet can be used in this browser (extension injected, ...)
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Ask the wallet for an account on the active network
+   * @returns {Promise<string>} Connected address
+   */
+  async connect() {
+    throw new Error(`${this.name} does not support connecting`);
+  }
+
+  /**
+   * Reconnect a session that survived a page reload
+   * @returns {Promise<string|null>} Address, or null when there is no session
+   */
+  async restore() {
+    return null;
+  }
+
+  async disconnect() {
+    this.address = null;
+    this.emit('disconnect');
+  }
+
+  async getAddresses() {
+    return this.address ? [this.address] : [];
+  }
+
+  /**
+   * Sign and broadcast a contract call built by PoolClient
+   * @param {Object} call - { contractAddress, contractName, functionName, functionArgs, postConditionMode, postConditions },
+   *   plus an optional fee in micro-STX (sdk/fees.js); without one the wallet picks the fee
+   * @returns {Promise<string|null>} txId, or null when a multisig wallet queued it for approval
+   */
+  async callContract(call) {
+    throw new Error(`${this.name} cannot sign transactions`);
+  }
+
+  /**
+   * Sign and broadcast a contract deployment
+   * @param {Object} deploy - { name, source, clarityVersion, fee }
+   * @returns {Promise<string>} txId
+   */
+  async deployContract(deploy) {
+    throw new Error(`${this.name} cannot deploy contracts`);
+  }
+
+  /**
+   * Sign a pre-built transaction and broadcast it
+   * @param {StacksTransaction} unsignedTx
+   * @returns {Promise<string>} txId
+   */
+  async signTransaction(unsignedTx) {
+    throw new Error(`${this.name} cannot sign transactions`);
+  }
+
+  /**
+   * Subscribe to an adapter event
+   * @returns {Function} Unsubscribe
+   */
+  on(event, handler) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(handler);
+    return () => this.listeners.get(event)?.delete(handler);
+  }
+
+  emit(event, ...args) {
+    for (const handler of this.listeners.get(event) || []) {
+      try {
+        handler(...args);
+      } catch (error) {
+        console.error(`${this.name} ${event} handler failed:`, error);
+      }
+    }
+  }
+
+  /**
+   * First address on the active network, or null
+   */
+  pickAddress(addresses) {
+    return addresses.find(address => address && isNetworkAddress(this.network, address)) || null;
+  }
+}
+
+// ==============================================================================
+// SHARED TRANSPORT HELPERS
+// ==============================================================================
+
+/**
+ * stx_callContract params for a PoolClient call (Leather, Xverse and Asigna RPC)
+ */
+export function callContractParams(call, network) {
+  return {
+    contract: `${call.contractAddress}.${call.contractName}`,
+    functionName: call.functionName,
+    functionArgs: call.functionArgs.map(arg => cvToHex(arg)),
+    network: network.chain,
+    postConditionMode: 'deny',
+    postConditions: serializePostConditions(call.postConditions),
+    ...(call.fee !== undefined && { fee: Number(call.fee) })
+  };
+}
+
+/**
+ * txId from an stx_* RPC result, whichever casing the wallet uses
+ */
+export function resultTxId(result) {
+  return result?.txid || result?.txId || null;
+}
+
+/**
+ * Broadcast a signed transaction returned by a wallet
+ * @param {string} signedTxHex - Serialized signed transaction
+ * @param {Object} stacksNetwork - @stacks/network instance
+ * @returns {Promise<string>} txId
+ */
+export async function broadcastSigned(signedTxHex, stacksNetwork) {
+  const signedTx = deserializeTransaction(hexToBytes(signedTxHex));
+  const broadcastResult = await broadcastTransaction(signedTx, stacksNetwork);
+
+  if (broadcastResult.error) {
+    throw new Error(broadcastResult.reason || 'Broadcast failed');
+  }
+  return broadcastResult.txid;
+}
+
+/**
+ * Result of stx_signTransaction: some wallets broadcast themselves and return
+ * a txId, others return the signed transaction for us to broadcast
+ */
+export async function settleSignResult(result, stacksNetwork) {
+  if (!result) throw new Error('Signing failed');
+
+  const txId = typeof result === 'object' ? resultTxId(result) : null;
+  if (txId) return txId;
+
+  return broadcastSigned(result.transaction || result, stacksNetwork);
+}
+
+export function bytesToHex(bytes) {
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function hexToBytes(hex) {
+  const cleanHex = hex.startsWith('0x') ? hex.slice(2) : hex;
+  const bytes = new Uint8Array(cleanHex.length / 2);
+  for (let i = 0; i < cleanHex.length; i += 2) {
+    bytes[i / 2] = parseInt(cleanHex.substr(i, 2), 16);
+  }
+  return bytes;
+}
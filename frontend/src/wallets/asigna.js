@@ -0,0 +1,54 @@
+/**
+ * Asigna multisig vaults. When the DEX is opened from the Asigna app, Asigna
+ * injects a request()-style provider (window.AsignaProvider) with the same
+ * getAddresses / stx_callContract methods as Leather.
+ *
+ * A call does not broadcast: it becomes a vault proposal that co-signers
+ * approve in Asigna, so callContract resolves to null unless the vault
+ * reports a txid (a 1-of-n vault executes at once).
+ */
+
+import { WalletAdapter, callContractParams, resultTxId } from './adapter.js';
+
+export class AsignaAdapter extends WalletAdapter {
+  get id() { return 'asigna'; }
+  get name() { return 'Asigna (multisig)'; }
+  get icon() { return '🔐'; }
+  get badge() { return 'Multisig'; }
+  get multisig() { return true; }
+
+  get provider() {
+    return typeof window !== 'undefined' ? window.AsignaProvider : undefined;
+  }
+
+  isAvailable() {
+    return Boolean(this.provider);
+  }
+
+  async connect() {
+    if (!this.provider) {
+      throw new Error('Asigna not detected. Open the DEX from your Asigna vault');
+    }
+
+    const address = this.pickAddress(await this.getAddresses());
+    if (!address) {
+      throw new Error('No vault address on this network in Asigna');
+    }
+
+    this.address = address;
+    return address;
+  }
+
+  async getAddresses() {
+    const response = await this.provider.request('getAddresses');
+    return (response.result?.addresses || []).map(addr => addr.address);
+  }
+
+  async callContract(call) {
+    const response = await this.provider.request('stx_callContract', callContractParams(call, this.network));
+    if (response.error) {
+      throw new Error(response.error.message || 'Asigna rejected the proposal');
+    }
+    return resultTxId(response.result);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Wallet adapters - public entry point.
+ *
+ *   const wallets = createWalletAdapters({ network, stacksNetwork, walletConnect, requestAddress });
+ *   wallets.filter(wallet => wallet.isAvailable());
+ */
+
+import { LeatherAdapter } from './leather.js';
+import { XverseAdapter } from './xverse.js';
+import { WalletConnectAdapter } from './walletconnect.js';
+import { AsignaAdapter } from './asigna.js';
+import { WatchAdapter } from './watch.js';
+import { MockWalletAdapter } from './mock.js';
+
+export { WalletAdapter } from './adapter.js';
+export { LeatherAdapter, XverseAdapter, WalletConnectAdapter, AsignaAdapter, WatchAdapter, MockWalletAdapter };
+
+/**
+ * Every adapter the wallet picker offers, in display order
+ * @param {Object} options
+ * @param {Object} options.network - Active network preset
+ * @param {Object} options.stacksNetwork - @stacks/network instance
+ * @param {{projectId: string, metadata: Object}} options.walletConnect - WalletConnect settings
+ * @param {Function} options.requestAddress - Asks the user for an address to watch
+ * @param {boolean} [options.includeMock] - Offer the mock wallet (dev builds)
+ */
+export function createWalletAdapters({ network, stacksNetwork, walletConnect, requestAddress, includeMock = false }) {
+  const options = { network, stacksNetwork };
+  const adapters = [
+    new LeatherAdapter(options),
+    new XverseAdapter(options),
+    new AsignaAdapter(options),
+    new WalletConnectAdapter({ ...options, ...walletConnect }),
+    new WatchAdapter({ ...options, requestAddress })
+  ];
+  if (includeMock) adapters.push(new MockWalletAdapter(options));
+  return adapters;
+}
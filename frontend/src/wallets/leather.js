@@ -0,0 +1,80 @@
+/**
+ * Leather browser extension (window.LeatherProvider).
+ * Contract calls go through @stacks/connect openContractCall, pinned to
+ * this provider so connect never shows its own wallet picker.
+ */
+
+import { openContractCall } from '@stacks/connect';
+import { serializePostConditions } from '../sdk/index.js';
+import { WalletAdapter, bytesToHex, resultTxId, settleSignResult } from './adapter.js';
+
+export class LeatherAdapter extends WalletAdapter {
+  get id() { return 'leather'; }
+  get name() { return 'Leather'; }
+  get icon() { return '🦊'; }
+
+  get provider() {
+    return typeof window !== 'undefined' ? window.LeatherProvider : undefined;
+  }
+
+  isAvailable() {
+    return Boolean(this.provider);
+  }
+
+  async connect() {
+    if (!this.provider) {
+      throw new Error('Leather wallet not installed. Please install from leather.io');
+    }
+
+    const addresses = await this.getAddresses();
+    const address = this.pickAddress(addresses);
+    if (!address) {
+      throw new Error('No Stacks address found in Leather wallet');
+    }
+
+    this.address = address;
+    return address;
+  }
+
+  async getAddresses() {
+    const response = await this.provider.request('getAddresses');
+    const addresses = (response.result?.addresses || []).filter(addr => addr.symbol === 'STX');
+    addresses.forEach(addr => addr.publicKey && this.publicKeys.set(addr.address, addr.publicKey));
+    return addresses.map(addr => addr.address);
+  }
+
+  async callContract(call) {
+    return new Promise((resolve, reject) => {
+      openContractCall({
+        ...call,
+        network: this.stacksNetwork,
+        // Hex so connect passes them through untouched
+        postConditions: serializePostConditions(call.postConditions),
+        ...(call.fee !== undefined && { fee: Number(call.fee) }),
+        onFinish: (data) => resolve(data.txId),
+        onCancel: () => reject(new Error('Transaction cancelled by user'))
+      }, this.provider);
+    });
+  }
+
+  async deployContract({ name, source, clarityVersion = '3', fee }) {
+    const response = await this.provider.request('stx_deployContract', {
+      name,
+      clarityCode: source,
+      clarityVersion: String(clarityVersion),
+      network: this.network.chain,
+      ...(fee !== undefined && { fee })
+    });
+    const txId = resultTxId(response.result);
+    if (!txId) throw new Error('Contract deployment failed');
+    return txId;
+  }
+
+  async signTransaction(unsignedTx) {
+    const response = await this.provider.request('stx_signTransaction', {
+      transaction: bytesToHex(unsignedTx.serialize()),
+      network: this.network.chain
+    });
+    return settleSignResult(response.result, this.stacksNetwork);
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * In-memory wallet for tests and local UI work. Records every call and
+ * returns fake txIds without signing or broadcasting anything.
+ *
+ *   const wallet = new MockWalletAdapter({ network, address: 'ST1...' });
+ *   await wallet.connect();
+ *   await wallet.callContract(call);   // '0x0000...0001'
+ *   wallet.calls;                      // [call]
+ *
+ * Set `wallet.failWith = new Error('User rejected')` to make the next
+ * signature fail.
+ */
+
+import { WalletAdapter } from './adapter.js';
+
+const DEFAULT_ADDRESSES = {
+  mainnet: 'SP000000000000000000002Q6VF78',
+  testnet: 'ST000000000000000000002AMW42H'
+};
+
+export class MockWalletAdapter extends WalletAdapter {
+  /**
+   * @param {Object} options - WalletAdapter options plus:
+   * @param {string} [options.address] - Address returned by connect()
+   */
+  constructor({ address, ...options } = {}) {
+    super(options);
+    this.mockAddress = address || DEFAULT_ADDRESSES[this.network?.chain || 'mainnet'];
+    this.calls = [];
+    this.signed = [];
+    this.failWith = null;
+  }
+
+  get id() { return 'mock'; }
+  get name() { return 'Mock wallet'; }
+  get icon() { return '🧪'; }
+  get badge() { return 'Dev'; }
+
+  async connect() {
+    this.address = this.mockAddress;
+    return this.address;
+  }
+
+  async callContract(call) {
+    this.throwIfFailing();
+    this.calls.push(call);
+    return this.nextTxId();
+  }
+
+  async signTransaction(unsignedTx) {
+    this.throwIfFailing();
+    this.signed.push(unsignedTx);
+    return this.nextTxId();
+  }
+
+  throwIfFailing() {
+    if (!this.failWith) return;
+    const error = this.failWith;
+    this.failWith = null;
+    throw error;
+  }
+
+  nextTxId() {
+    const count = this.calls.length + this.signed.length;
+    return `0x${count.toString(16).padStart(64, '0')}`;
+  }
+}
@@ -0,0 +1,130 @@
+/**
+ * WalletConnect v2 (mobile wallets via QR code), using the stx_* JSON-RPC
+ * methods. Emits 'display_uri' with the pairing URI for the QR modal.
+ */
+
+import UniversalProvider from '@walletconnect/universal-provider';
+import { makeUnsignedContractCall, AnchorMode } from '@stacks/transactions';
+import { caipChainId, DEFAULT_FEES } from '../sdk/index.js';
+import { WalletAdapter, bytesToHex, broadcastSigned, resultTxId } from './adapter.js';
+
+export class WalletConnectAdapter extends WalletAdapter {
+  /**
+   * @param {Object} options - WalletAdapter options plus:
+   * @param {string} options.projectId - REOWN / WalletConnect project id
+   * @param {Object} options.metadata - App metadata shown in the wallet
+   */
+  constructor({ projectId, metadata, ...options }) {
+    super(options);
+    this.projectId = projectId;
+    this.metadata = metadata;
+    this.chainId = caipChainId(this.network);
+    this.universalProvider = null;
+  }
+
+  get id() { return 'walletconnect'; }
+  get name() { return 'WalletConnect'; }
+  get icon() { return '🔗'; }
+  get badge() { return 'QR Code'; }
+
+  async init() {
+    if (this.universalProvider) return;
+
+    this.universalProvider = await UniversalProvider.init({
+      projectId: this.projectId,
+      metadata: this.metadata,
+      relayUrl: 'wss://relay.walletconnect.com'
+    });
+
+    this.universalProvider.on('display_uri', (uri) => this.emit('display_uri', uri));
+    this.universalProvider.on('session_delete', () => {
+      this.address = null;
+      this.emit('disconnect');
+    });
+  }
+
+  async connect() {
+    await this.init();
+
+    await this.universalProvider.connect({
+      namespaces: {
+        stacks: {
+          methods: ['stx_getAddresses', 'stx_signTransaction', 'stx_signMessage'],
+          chains: [this.chainId],
+          events: ['accountsChanged', 'chainChanged']
+        }
+      }
+    });
+
+    const addresses = await this.getAddresses();
+    const address = this.pickAddress(addresses) || addresses[0];
+    if (!address) {
+      throw new Error('No Stacks address returned');
+    }
+
+    this.address = address;
+    return address;
+  }
+
+  async restore() {
+    await this.init();
+    if (!this.universalProvider.session) return null;
+
+    const addresses = await this.getAddresses();
+    this.address = addresses[0] || null;
+    return this.address;
+  }
+
+  async disconnect() {
+    if (this.universalProvider?.session) {
+      await this.universalProvider.disconnect();
+    }
+    await super.disconnect();
+  }
+
+  async getAddresses() {
+    const response = await this.universalProvider.request({
+      method: 'stx_getAddresses',
+      params: {}
+    }, this.chainId);
+
+    if (typeof response === 'string') return [response];
+    const addresses = response?.addresses || [];
+    addresses.forEach(addr => addr.publicKey && this.publicKeys.set(addr.address, addr.publicKey));
+    return addresses.map(addr => addr.address);
+  }
+
+  /**
+   * WalletConnect has no stx_callContract: build the transaction here and
+   * have the wallet sign it. It pays the call's fee, or the standard
+   * default when the caller did not estimate one. Building needs the
+   * signer's public key from stx_getAddresses.
+   */
+  async callContract(call) {
+    if (!this.publicKey) {
+      throw new Error(`${this.name} did not share the public key of ${this.address}, so the transaction cannot be built. Reconnect with a wallet that reports it`);
+    }
+    const unsignedTx = await makeUnsignedContractCall({
+      ...call,
+      publicKey: this.publicKey,
+      network: this.stacksNetwork,
+      anchorMode: AnchorMode.Any,
+      fee: call.fee ?? DEFAULT_FEES.standard
+    });
+    return this.signTransaction(unsignedTx);
+  }
+
+  async signTransaction(unsignedTx) {
+    const signed = await this.universalProvider.request({
+      method: 'stx_signTransaction',
+      params: {
+        transaction: bytesToHex(unsignedTx.serialize()),
+        network: this.network.chain,
+        address: this.address
+      }
+    }, this.chainId);
+
+    const txId = typeof signed === 'object' ? resultTxId(signed) : null;
+    return txId || broadcastSigned(signed.transaction || signed, this.stacksNetwork);
+  }
+}
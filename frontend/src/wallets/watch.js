@@ -0,0 +1,47 @@
+/**
+ * Watch-only address: shows balances and quotes for any address without a
+ * wallet. Signing always fails.
+ */
+
+import { WalletAdapter } from './adapter.js';
+
+// Standard principal: S + version char + c32 hash
+const ADDRESS_PATTERN = /^S[0-9A-Z]{38,40}$/;
+
+export class WatchAdapter extends WalletAdapter {
+  /**
+   * @param {Object} options - WalletAdapter options plus:
+   * @param {Function} options.requestAddress - Resolves to the address to watch (e.g. a prompt)
+   */
+  constructor({ requestAddress, ...options }) {
+    super(options);
+    this.requestAddress = requestAddress;
+  }
+
+  get id() { return 'watch'; }
+  get name() { return 'Watch an address'; }
+  get icon() { return '👁'; }
+  get badge() { return 'Read-only'; }
+  get readOnly() { return true; }
+
+  async connect() {
+    const input = (await this.requestAddress())?.trim().toUpperCase();
+    if (!input) {
+      throw new Error('No address entered');
+    }
+    if (!ADDRESS_PATTERN.test(input) || !this.pickAddress([input])) {
+      throw new Error(`Not a ${this.network.label} Stacks address: ${input}`);
+    }
+
+    this.address = input;
+    return input;
+  }
+
+  async callContract() {
+    throw new Error('This is a watch-only address. Connect a wallet to sign transactions');
+  }
+
+  async signTransaction() {
+    throw new Error('This is a watch-only address. Connect a wallet to sign transactions');
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Xverse browser extension (window.XverseProviders.StacksProvider)
+ */
+
+import {
+  WalletAdapter,
+  bytesToHex,
+  callContractParams,
+  resultTxId,
+  settleSignResult
+} from './adapter.js';
+
+export class XverseAdapter extends WalletAdapter {
+  get id() { return 'xverse'; }
+  get name() { return 'Xverse'; }
+  get icon() { return '🟠'; }
+
+  get provider() {
+    return typeof window !== 'undefined' ? window.XverseProviders?.StacksProvider : undefined;
+  }
+
+  isAvailable() {
+    return Boolean(this.provider || (typeof window !== 'undefined' && window.btc));
+  }
+
+  async connect() {
+    if (!this.provider) {
+      throw new Error('Xverse wallet not installed. Please install from xverse.app');
+    }
+
+    const address = this.pickAddress(await this.getAddresses());
+    if (!address) {
+      throw new Error('No Stacks address found in Xverse wallet');
+    }
+
+    this.address = address;
+    return address;
+  }
+
+  async getAddresses() {
+    const response = await this.provider.request('getAddresses', { purposes: ['stacks'] });
+    const addresses = (response.result?.addresses || []).filter(addr => addr.purpose === 'stacks');
+    addresses.forEach(addr => addr.publicKey && this.publicKeys.set(addr.address, addr.publicKey));
+    return addresses.map(addr => addr.address);
+  }
+
+  async callContract(call) {
+    if (!this.provider) {
+      throw new Error('Xverse provider not available');
+    }
+
+    const response = await this.provider.request('stx_callContract', callContractParams(call, this.network));
+    const txId = resultTxId(response.result);
+    if (!txId) throw new Error('Contract call failed');
+    return txId;
+  }
+
+  async deployContract({ name, source, clarityVersion = '3', fee }) {
+    if (!this.provider) {
+      throw new Error('Xverse provider not available');
+    }
+
+    const response = await this.provider.request('stx_deployContract', {
+      name,
+      clarityCode: source,
+      clarityVersion: String(clarityVersion),
+      network: this.network.chain,
+      ...(fee !== undefined && { fee })
+    });
+    const txId = resultTxId(response.result);
+    if (!txId) throw new Error('Contract deployment failed');
+    return txId;
+  }
+
+  async signTransaction(unsignedTx) {
+    const response = await this.provider.request('stx_signTransaction', {
+      transaction: bytesToHex(unsignedTx.serialize()),
+      network: this.network.chain
+    });
+    return settleSignResult(response.result, this.stacksNetwork);
+  }
+}
@@ -1,13 +1,64 @@
 import { defineConfig } from 'vite';
+import { fileURLToPath } from 'node:url';
+import { readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, relative, basename } from 'node:path';
+
+const CONTRACTS_DIR = fileURLToPath(new URL('../contracts', import.meta.url));
+const CONTRACTS_MODULE = 'virtual:contracts';
+
+/**
+ * `import contracts from 'virtual:contracts'`: every .clar file under
+ * contracts/, read at build time, as [{ path, name, source, sha256 }]. The
+ * deploy page sends these exact strings, so nothing is copied by hand.
+ */
+function clarityContracts() {
+  const resolvedId = '\0' + CONTRACTS_MODULE;
+  const files = (dir) => readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+    entry.isDirectory() ? files(join(dir, entry.name)) : entry.name.endsWith('.clar') ? [join(dir, entry.name)] : []
+  );
+
+  return {
+    name: 'clarity-contracts',
+    resolveId(id) {
+      return id === CONTRACTS_MODULE ? resolvedId : null;
+    },
+    load(id) {
+      if (id !== resolvedId) return null;
+      const contracts = files(CONTRACTS_DIR).sort().map(file => {
+        this.addWatchFile(file);
+        const source = readFileSync(file, 'utf8');
+        return {
+          path: relative(join(CONTRACTS_DIR, '..'), file).split('\\').join('/'),
+          name: basename(file, '.clar'),
+          source,
+          sha256: createHash('sha256').update(source, 'utf8').digest('hex')
+        };
+      });
+      return `export default ${JSON.stringify(contracts)};`;
+    }
+  };
+}
 
 export default defineConfig({
+  plugins: [clarityContracts()],
   server: {
     port: 3000,
     open: true
   },
   build: {
     outDir: 'dist',
-    sourcemap: true
+    sourcemap: true,
+    rollupOptions: {
+      // Multi-page app: every top-level page that imports from src/
+      input: {
+        main: fileURLToPath(new URL('./index.html', import.meta.url)),
+        liquidity: fileURLToPath(new URL('./liquidity.html', import.meta.url)),
+        analytics: fileURLToPath(new URL('./analytics.html', import.meta.url)),
+        deploy: fileURLToPath(new URL('./deploy.html', import.meta.url)),
+        init: fileURLToPath(new URL('./init.html', import.meta.url))
+      }
+    }
   },
   define: {
     global: 'globalThis',